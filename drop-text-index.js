@@ -1,24 +1,28 @@
 const { MongoClient } = require('mongodb');
+require('dotenv').config();
 
 async function dropTextIndex() {
   let client;
   
   try {
-    // Try common MongoDB connection strings
-    const possibleUris = [
+    // Use the server's database when it is configured, else try common MongoDB connection strings
+    const possibleUris = process.env.MONGODB_URI ? [process.env.MONGODB_URI] : [
       'mongodb://localhost:27017',
       'mongodb://127.0.0.1:27017'
     ];
 
-    const possibleDbs = ['library-management', 'library'];
+    // undefined: the database named in MONGODB_URI
+    const possibleDbs = process.env.MONGODB_URI ? [undefined] : ['library-management', 'library'];
 
     let connected = false;
     let db;
 
     for (const uri of possibleUris) {
       for (const dbName of possibleDbs) {
+        // MONGODB_URI may hold credentials, so it is not printed
+        const target = dbName ? `${uri}/${dbName}` : 'MONGODB_URI';
         try {
-          console.log(`Trying to connect to: ${uri}/${dbName}`);
+          console.log(`Trying to connect to: ${target}`);
           client = new MongoClient(uri);
           await client.connect();
           db = client.db(dbName);
@@ -26,14 +30,14 @@ async function dropTextIndex() {
           // Check if books collection exists
           const collections = await db.listCollections({ name: 'books' }).toArray();
           if (collections.length > 0) {
-            console.log(`✅ Connected to MongoDB: ${uri}/${dbName}`);
+            console.log(`✅ Connected to MongoDB: ${db.databaseName}`);
             connected = true;
             break;
           } else {
             await client.close();
           }
         } catch (error) {
-          console.log(`❌ Failed to connect to ${uri}/${dbName}`);
+          console.log(`❌ Failed to connect to ${target}`);
           if (client) {
             try { await client.close(); } catch (e) {}
           }
@@ -85,8 +89,7 @@ async function dropTextIndex() {
     });
 
     console.log('\n🎉 Text index cleanup completed!');
-    console.log('You should now be able to update book languages without errors.');
-    console.log('Please restart your backend server to ensure changes take effect.');
+    console.log('Books can now be saved with any language; search uses the in-process index.');
 
   } catch (error) {
     console.error('❌ Error dropping text index:', error.message);
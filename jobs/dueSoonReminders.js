@@ -0,0 +1,37 @@
+const Transaction = require('../models/Transaction');
+const { notifyStudent } = require('../services/notifications');
+
+// Remind students about loans falling due within REMINDER_DAYS_BEFORE_DUE days (default 2).
+// Each loan is reminded once per due date; renewing clears reminderSentAt.
+const dueSoonReminders = async () => {
+  const now = new Date();
+  const horizon = new Date(now);
+  horizon.setDate(horizon.getDate() + (parseInt(process.env.REMINDER_DAYS_BEFORE_DUE, 10) || 2));
+
+  const loans = await Transaction.find({
+    status: 'active',
+    dueDate: { $gte: now, $lte: horizon },
+    reminderSentAt: null,
+  })
+    .populate('book', 'title');
+
+  let sent = 0;
+  for (const loan of loans) {
+    // Claim the reminder first so two runs never remind twice
+    const claimed = await Transaction.updateOne(
+      { _id: loan._id, reminderSentAt: null },
+      { reminderSentAt: now }
+    );
+    if (!claimed.modifiedCount || !loan.book) continue;
+
+    await notifyStudent(loan.student, 'dueSoon', {
+      book: loan.book,
+      dueDate: loan.dueDate,
+    }, { transaction: loan._id });
+    sent += 1;
+  }
+
+  return { due: loans.length, sent };
+};
+
+module.exports = dueSoonReminders;
@@ -0,0 +1,6 @@
+const Hold = require('../models/Hold');
+
+// Expire holds not collected by their pickup deadline and waiting holds past their expiry date
+const expireHolds = () => Hold.expireHolds();
+
+module.exports = expireHolds;
@@ -0,0 +1,27 @@
+const markOverdue = require('./markOverdue');
+const expireHolds = require('./expireHolds');
+const dueSoonReminders = require('./dueSoonReminders');
+
+// Background jobs and their default schedules; intervals can be changed through /api/jobs
+const jobs = [
+  {
+    name: 'markOverdue',
+    description: 'Mark loans past their due date as overdue and accrue fines',
+    intervalMinutes: 60,
+    handler: markOverdue,
+  },
+  {
+    name: 'expireHolds',
+    description: 'Expire uncollected and lapsed holds',
+    intervalMinutes: 60,
+    handler: expireHolds,
+  },
+  {
+    name: 'dueSoonReminders',
+    description: 'Remind students about loans falling due soon',
+    intervalMinutes: 24 * 60,
+    handler: dueSoonReminders,
+  },
+];
+
+module.exports = jobs;
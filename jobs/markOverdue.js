@@ -0,0 +1,62 @@
+const Transaction = require('../models/Transaction');
+const { notifyStudent } = require('../services/notifications');
+const audit = require('../services/audit');
+
+// Mark loans past their due date as overdue and accrue their fines to date.
+// Each loan is updated only while it is still open, so a return in the meantime wins.
+// Students get an overdue notice when their loan is first marked, and each change is audited.
+const markOverdue = async () => {
+  const loans = await Transaction.find({
+    status: { $in: Transaction.OPEN_STATUSES },
+    dueDate: { $lt: new Date() },
+  }).populate('book', 'title');
+
+  let marked = 0;
+  let accrued = 0;
+
+  for (const loan of loans) {
+    const wasActive = loan.status === 'active';
+    const previousFine = loan.fine.amount;
+    const before = loan.toObject({ depopulate: true });
+
+    loan.status = 'overdue';
+    loan.calculateFine();
+
+    const result = await Transaction.updateOne(
+      { _id: loan._id, status: { $in: Transaction.OPEN_STATUSES } },
+      {
+        status: 'overdue',
+        'fine.amount': loan.fine.amount,
+        'fine.reason': loan.fine.reason,
+      }
+    );
+
+    if (result.modifiedCount) {
+      await audit.record(null, {
+        action: 'update',
+        entity: 'Transaction',
+        entityId: loan._id,
+        before,
+        after: loan,
+        related: audit.loanRefs(loan),
+        actorName: 'Overdue job',
+      });
+
+      if (wasActive) {
+        marked += 1;
+
+        // Tell the student the first time a loan goes overdue
+        await notifyStudent(loan.student, 'overdue', {
+          book: loan.book,
+          dueDate: loan.dueDate,
+          fine: loan.fine.amount,
+        }, { transaction: loan._id });
+      }
+      if (loan.fine.amount !== previousFine) accrued += 1;
+    }
+  }
+
+  return { checked: loans.length, marked, accrued };
+};
+
+module.exports = markOverdue;
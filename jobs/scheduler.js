@@ -0,0 +1,143 @@
+const os = require('os');
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+const jobs = require('./index');
+const { madeBy } = require('../utils/actor');
+
+// Identifies this process in job locks and run history
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// How long a run may hold its lock before another instance may take over
+const LOCK_MINUTES = parseInt(process.env.JOB_LOCK_MINUTES, 10) || 10;
+
+let timer = null;
+let ticking = false;
+
+// Create the stored state for any job that doesn't have it yet
+const ensureJobs = async () => {
+  for (const definition of jobs) {
+    await Job.updateOne(
+      { name: definition.name },
+      {
+        $set: { description: definition.description },
+        $setOnInsert: {
+          intervalMinutes: definition.intervalMinutes,
+          enabled: true,
+          nextRunAt: new Date(),
+        },
+      },
+      { upsert: true }
+    );
+  }
+};
+
+// Run one job if this instance can take its lock. Scheduled runs only start once the
+// job is enabled and due; manual runs skip that check. Returns the run, or null if skipped.
+const runJob = async (name, { trigger = 'schedule', actor } = {}) => {
+  const definition = jobs.find(job => job.name === name);
+  if (!definition) {
+    return null;
+  }
+
+  const now = new Date();
+  const filter = {
+    name,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }],
+  };
+  if (trigger === 'schedule') {
+    filter.enabled = true;
+    filter.nextRunAt = { $lte: now };
+  }
+
+  const job = await Job.findOneAndUpdate(
+    filter,
+    { lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + LOCK_MINUTES * 60 * 1000) },
+    { new: true }
+  );
+
+  if (!job) {
+    return null;
+  }
+
+  const run = await JobRun.create({
+    job: name,
+    instance: INSTANCE_ID,
+    trigger,
+    startedAt: now,
+    ...madeBy(actor, 'triggeredBy'),
+  });
+
+  try {
+    run.result = await definition.handler();
+    run.status = 'success';
+  } catch (error) {
+    console.error(`Job ${name} failed:`, error);
+    run.status = 'failed';
+    run.error = error.message;
+  }
+
+  run.finishedAt = new Date();
+  run.durationMs = run.finishedAt - run.startedAt;
+  await run.save();
+
+  // Release the lock and schedule the next run from when this one started
+  await Job.updateOne(
+    { name, lockedBy: INSTANCE_ID },
+    {
+      lockedBy: null,
+      lockedUntil: null,
+      lastRunAt: now,
+      lastStatus: run.status,
+      lastError: run.error || null,
+      nextRunAt: new Date(now.getTime() + job.intervalMinutes * 60 * 1000),
+    }
+  );
+
+  return run;
+};
+
+// Run every due job once; a tick never overlaps the previous one
+const tick = async () => {
+  if (ticking) {
+    return;
+  }
+
+  ticking = true;
+  try {
+    for (const definition of jobs) {
+      await runJob(definition.name);
+    }
+  } catch (error) {
+    console.error('Job scheduler error:', error);
+  } finally {
+    ticking = false;
+  }
+};
+
+// Start checking for due jobs every JOB_TICK_SECONDS (default 60)
+const start = async () => {
+  if (timer) {
+    return;
+  }
+
+  await ensureJobs();
+
+  const seconds = parseInt(process.env.JOB_TICK_SECONDS, 10) || 60;
+  timer = setInterval(tick, seconds * 1000);
+  timer.unref();
+  console.log(`Job scheduler started on ${INSTANCE_ID} (every ${seconds}s)`);
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  ensureJobs,
+  runJob,
+  start,
+  stop,
+};
@@ -1,10 +1,45 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Role = require('../models/Role');
+const ApiKey = require('../models/ApiKey');
 
-// Protect routes
-const protect = async (req, res, next) => {
+// Authenticate a request made with an X-API-Key header. req.user becomes a stand-in
+// for the key holding only the key's permissions; req.apiKey is the key itself.
+const authenticateApiKey = async (req, res, next) => {
+  try {
+    const { apiKey, reason } = await ApiKey.authenticate(req.get('X-API-Key'), req.ip);
+
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: reason,
+      });
+    }
+
+    req.apiKey = apiKey;
+    req.user = apiKey.toPrincipal();
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Authenticate the access token, or an API key where allowApiKey is set. Users whose role
+// requires two-factor authentication but who haven't set it up only get through where
+// allowTwoFactorSetup is set.
+const authenticate = ({ allowTwoFactorSetup = false, allowApiKey = true } = {}) => async (req, res, next) => {
   let token;
 
+  if (req.get('X-API-Key')) {
+    if (!allowApiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'This route needs a user login, not an API key',
+      });
+    }
+    return authenticateApiKey(req, res, next);
+  }
+
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     token = req.headers.authorization.split(' ')[1];
   }
@@ -17,8 +52,11 @@ const protect = async (req, res, next) => {
   }
 
   try {
-    // Verify token
+    // Verify token; login challenge tokens carry a purpose and are not access tokens
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose) {
+      throw new Error('Not an access token');
+    }
 
     // Get user from token
     req.user = await User.findById(decoded.id);
@@ -30,6 +68,30 @@ const protect = async (req, res, next) => {
       });
     }
 
+    // Deactivation takes effect on the next request, not when the token expires
+    if (!req.user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated',
+      });
+    }
+
+    // Tokens issued before a password change or "log out all sessions" no longer count
+    if (req.user.tokenRevoked(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended, please log in again',
+      });
+    }
+
+    if (!allowTwoFactorSetup && !req.user.twoFactor.enabled && await Role.requiresTwoFactor(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        twoFactorSetupRequired: true,
+        message: 'Your role requires two-factor authentication; set it up to continue',
+      });
+    }
+
     next();
   } catch (error) {
     return res.status(401).json({
@@ -39,17 +101,33 @@ const protect = async (req, res, next) => {
   }
 };
 
-// Grant access to specific roles
-const authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: `User role ${req.user.role} is not authorized to access this route`,
-      });
+// Protect routes
+const protect = authenticate();
+
+// Protect routes about the logged-in user's own account, which API keys don't have
+const protectUser = authenticate({ allowApiKey: false });
+
+// Protect the routes a user needs to set up two-factor authentication
+const protectTwoFactorSetup = authenticate({ allowTwoFactorSetup: true, allowApiKey: false });
+
+// Grant access when the user's role, or the API key, has every one of the given permissions
+const authorize = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      req.permissions = await req.user.getPermissions();
+      const missing = permissions.filter(permission => !req.permissions.includes(permission));
+
+      if (missing.length) {
+        return res.status(403).json({
+          success: false,
+          message: `Not authorized: requires ${missing.join(', ')}`,
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
     }
-    next();
   };
 };
 
-module.exports = { protect, authorize };
+module.exports = { protect, protectUser, protectTwoFactorSetup, authorize };
@@ -37,6 +37,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode || 500).json({
     success: false,
     error: error.message || 'Server Error',
+    message: error.message || 'Server Error',
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
   });
 };
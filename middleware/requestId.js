@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+// Tag each request with an id, kept from a proxy's X-Request-Id or generated,
+// and send it back so a response can be matched to its audit log entries
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.:-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
@@ -0,0 +1,36 @@
+const path = require('path');
+const multer = require('multer');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Accept a single file upload in `field`, kept in memory, limited to the given extensions
+// and UPLOAD_MAX_MB megabytes (default 5). The file is available as req.file.
+const uploadFile = (field, extensions) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: (parseInt(process.env.UPLOAD_MAX_MB, 10) || 5) * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+      if (!extensions.includes(extension)) {
+        return cb(new ErrorResponse(`Please upload a ${extensions.join(', ')} file`, 400));
+      }
+      cb(null, true);
+    },
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        return next(new ErrorResponse(err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : err.message, 400));
+      }
+      if (err) {
+        return next(err);
+      }
+      if (!req.file) {
+        return next(new ErrorResponse(`Please upload a file in the "${field}" field`, 400));
+      }
+      next();
+    });
+  };
+};
+
+module.exports = { uploadFile };
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const net = require('net');
+const mongoose = require('mongoose');
+const Role = require('./Role');
+
+const KEY_PREFIX = 'lk_';
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+// Keys can't manage staff accounts, roles or other keys, so a leaked key can't grant itself more
+const GRANTABLE_PERMISSIONS = Object.keys(Role.PERMISSIONS).filter(permission => ![
+  'portal.use', 'users.manage', 'roles.manage', 'apikeys.manage',
+].includes(permission));
+
+// "::ffff:10.0.0.5" and "10.0.0.5" are the same client
+const normalizeIp = ip => String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+
+const ipv4ToNumber = ip => ip.split('.').reduce((total, part) => total * 256 + Number(part), 0);
+
+// An allowlist entry is a single address or an IPv4 range such as 10.0.0.0/24
+const isValidAllowedIp = (entry) => {
+  const [address, bits, ...rest] = String(entry).split('/');
+  if (rest.length) return false;
+  if (bits === undefined) return net.isIP(address) !== 0;
+  return net.isIPv4(address) && /^\d+$/.test(bits) && Number(bits) <= 32;
+};
+
+const ipMatches = (entry, ip) => {
+  const [address, bits] = entry.split('/');
+  if (bits === undefined) {
+    return normalizeIp(address) === ip;
+  }
+  if (!net.isIPv4(ip)) {
+    return false;
+  }
+  const size = 2 ** (32 - Number(bits));
+  return Math.floor(ipv4ToNumber(ip) / size) === Math.floor(ipv4ToNumber(address) / size);
+};
+
+const ApiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a name for the key'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters'],
+  },
+  // The start of the key, so it can be recognised in lists without being stored
+  prefix: {
+    type: String,
+    required: true,
+  },
+  // Only the hash is stored; the key itself is shown once when it's created
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  permissions: [{
+    type: String,
+    enum: GRANTABLE_PERMISSIONS,
+  }],
+  // Empty means any address
+  allowedIps: [{
+    type: String,
+    validate: {
+      validator: isValidAllowedIp,
+      message: props => `${props.value} is not an IP address or IPv4 range`,
+    },
+  }],
+  // Missing means the key doesn't expire
+  expiresAt: {
+    type: Date,
+  },
+  lastUsedAt: {
+    type: Date,
+  },
+  lastUsedIp: {
+    type: String,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  revokedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+ApiKeySchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+  return 'active';
+});
+
+ApiKeySchema.statics.GRANTABLE_PERMISSIONS = GRANTABLE_PERMISSIONS;
+ApiKeySchema.statics.isValidAllowedIp = isValidAllowedIp;
+
+// Whether a request from `ip` may use the key
+ApiKeySchema.methods.allowsIp = function(ip) {
+  if (!this.allowedIps || this.allowedIps.length === 0) {
+    return true;
+  }
+  const client = normalizeIp(ip);
+  return this.allowedIps.some(entry => ipMatches(entry, client));
+};
+
+// What the rest of the API sees as req.user for a request made with the key:
+// enough of a user for ownership fields, permission checks and the audit log
+ApiKeySchema.methods.toPrincipal = function() {
+  const permissions = [...this.permissions];
+  return {
+    _id: this._id,
+    id: this.id,
+    name: `${this.name} (API key)`,
+    apiKey: true,
+    getPermissions: async () => permissions,
+  };
+};
+
+// Create a key. Returns the stored record and the plain key, which isn't kept anywhere.
+ApiKeySchema.statics.issue = async function({ name, permissions, allowedIps, expiresAt }, createdBy) {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+
+  const record = await this.create({
+    name,
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    keyHash: hashKey(key),
+    permissions,
+    allowedIps,
+    expiresAt,
+    createdBy: createdBy._id,
+  });
+
+  return { record, key };
+};
+
+// The active key for a request, or null with the reason it was refused. Revoked and
+// expired keys stop working on their next use since every request looks the key up.
+ApiKeySchema.statics.authenticate = async function(key, ip) {
+  const record = await this.findOne({ keyHash: hashKey(String(key)) });
+  const now = new Date();
+
+  if (!record) {
+    return { apiKey: null, reason: 'Invalid API key' };
+  }
+  if (record.revokedAt) {
+    return { apiKey: null, reason: 'API key has been revoked' };
+  }
+  if (record.expiresAt && record.expiresAt <= now) {
+    return { apiKey: null, reason: 'API key has expired' };
+  }
+  if (!record.allowsIp(ip)) {
+    return { apiKey: null, reason: 'API key is not allowed from this address' };
+  }
+
+  // Last use only needs to be roughly right; don't write on every kiosk scan
+  const client = normalizeIp(ip);
+  if (!record.lastUsedAt || now - record.lastUsedAt > 60 * 1000 || record.lastUsedIp !== client) {
+    await this.updateOne({ _id: record._id }, { lastUsedAt: now, lastUsedIp: client });
+  }
+
+  return { apiKey: record, reason: null };
+};
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+// Kinds of record the log refers to
+const ENTITIES = [
+  'Book', 'BookCopy', 'Student', 'Transaction', 'FineEntry', 'Hold',
+  'User', 'Role', 'CirculationPolicy', 'PromotionRun', 'ApiKey',
+  'Category', 'Subject',
+];
+
+const EntityRefSchema = new mongoose.Schema({
+  entity: {
+    type: String,
+    enum: ENTITIES,
+    required: true,
+  },
+  entityId: {
+    type: mongoose.Schema.ObjectId,
+    required: true,
+  },
+}, { _id: false });
+
+const ChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true,
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed,
+}, { _id: false });
+
+const AuditLogSchema = new mongoose.Schema({
+  // Missing for failed logins, background jobs and API keys
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  // Set instead of actor for requests made with an API key
+  apiKey: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ApiKey',
+  },
+  // Kept as it was at the time, in case the user is renamed or removed
+  actorName: {
+    type: String,
+  },
+  action: {
+    type: String,
+    enum: [
+      'create', 'update', 'delete', 'import',
+      'login', 'login_failed', 'logout', 'lockout', 'unlock',
+      'issue', 'return', 'renew',
+      'charge', 'payment', 'waiver', 'refund', 'adjustment',
+      'promote', 'rollback', 'revoke', 'merge',
+    ],
+    required: true,
+  },
+  entity: {
+    type: String,
+    enum: ENTITIES,
+    required: true,
+  },
+  entityId: {
+    type: mongoose.Schema.ObjectId,
+  },
+  // Other records the action touched, e.g. the book and student of a loan
+  related: [EntityRefSchema],
+  changes: [ChangeSchema],
+  note: {
+    type: String,
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  requestId: {
+    type: String,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+AuditLogSchema.statics.ENTITIES = ENTITIES;
+
+// The log is append-only
+const readOnly = function(next) {
+  next(new Error('Audit log entries cannot be modified'));
+};
+
+AuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be modified'));
+  }
+  next();
+});
+AuditLogSchema.pre(['updateOne', 'deleteOne'], { document: true, query: true }, readOnly);
+AuditLogSchema.pre(['updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'], readOnly);
+
+AuditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ 'related.entityId': 1, createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ apiKey: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+AuditLogSchema.index({ requestId: 1 });
+AuditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
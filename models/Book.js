@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const Category = require('./Category');
+const callNumbers = require('../utils/callNumber');
+const isbns = require('../utils/isbn');
+
+// Run a validator only on a value being changed. Books stored before a rule came in, such as
+// a legacy ISBN-10 or a category since removed, can still be saved, e.g. when soft-deleted.
+// Update validators only see the fields being set, and have no document as `this`.
+const whenModified = (path, validator) => function(value) {
+  if (this instanceof mongoose.Document && !this.isModified(path)) {
+    return true;
+  }
+  return validator(value);
+};
 
 const BookSchema = new mongoose.Schema({
   title: {
@@ -13,11 +26,20 @@ const BookSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Author name cannot be more than 50 characters'],
   },
+  // Always the ISBN-13, so an edition entered as ISBN-10 and ISBN-13 is one book (utils/isbn.js)
   isbn: {
     type: String,
     required: [true, 'Please add an ISBN'],
     unique: true,
-    match: [/^(?:\d{9}[\dX]|\d{13})$/, 'Please add a valid ISBN'],
+    validate: {
+      validator: whenModified('isbn', isbns.isValid13),
+      message: props => `${props.value} is not a valid ISBN`,
+    },
+  },
+  // The ISBN as it was entered, e.g. an ISBN-10 or with hyphens
+  originalIsbn: {
+    type: String,
+    trim: true,
   },
   publisher: {
     type: String,
@@ -31,23 +53,21 @@ const BookSchema = new mongoose.Schema({
     min: [1800, 'Publication year must be after 1800'],
     max: [new Date().getFullYear(), 'Publication year cannot be in the future'],
   },
+  // Categories and subcategories come from the stored taxonomy (models/Category.js)
   category: {
     type: String,
     required: [true, 'Please add a category'],
-    enum: [
-      'Fiction',
-      'Non-Fiction',
-      'Science',
-      'Mathematics',
-      'History',
-      'Geography',
-      'Literature',
-      'Biography',
-      'Reference',
-      'Textbook',
-      'Other'
-    ],
+    trim: true,
+    validate: {
+      validator: whenModified('category', value => Category.isValid(value)),
+      message: props => `${props.value} is not a category`,
+    },
   },
+  subcategory: {
+    type: String,
+    trim: true,
+  },
+  // A heading from the subject vocabulary (models/Subject.js)
   subject: {
     type: String,
     trim: true,
@@ -67,6 +87,26 @@ const BookSchema = new mongoose.Schema({
     required: [true, 'Please add available copies'],
     min: [0, 'Available copies cannot be negative'],
   },
+  // Dewey call number, e.g. 823.914 S655 v.2 (utils/callNumber.js)
+  callNumber: {
+    classNumber: {
+      type: String,
+      trim: true,
+      match: [callNumbers.CLASS_PATTERN, 'Please add a valid Dewey class number, e.g. 823.914'],
+    },
+    cutter: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [callNumbers.CUTTER_PATTERN, 'Please add a valid Cutter number, e.g. S655'],
+    },
+    volume: {
+      type: Number,
+      min: [1, 'Volume must be at least 1'],
+    },
+    // Shelf order; set from the parts above
+    sortKey: String,
+  },
   location: {
     shelf: {
       type: String,
@@ -93,7 +133,12 @@ const BookSchema = new mongoose.Schema({
   addedBy: {
     type: mongoose.Schema.ObjectId,
     ref: 'User',
-    required: true,
+    required: function() { return !this.apiKey; },
+  },
+  // Set instead of addedBy when the book was added with an API key
+  apiKey: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ApiKey',
   },
   isActive: {
     type: Boolean,
@@ -114,5 +159,69 @@ BookSchema.pre('save', function(next) {
   next();
 });
 
+// Store a newly entered ISBN in either form as its ISBN-13, keeping what was entered unless
+// that is given too. Updates through queries normalize the ISBN before they are sent.
+BookSchema.pre('validate', function(next) {
+  if (this.isbn && this.isModified('isbn')) {
+    const isbn13 = isbns.toIsbn13(this.isbn);
+    if (isbn13) {
+      if (!this.isModified('originalIsbn')) {
+        this.originalIsbn = String(this.isbn).trim();
+      }
+      this.isbn = isbn13;
+    }
+  }
+  next();
+});
+
+// A book by its ISBN in either form
+BookSchema.statics.findByIsbn = function(value, filter = {}) {
+  return this.findOne({ ...filter, isbn: { $in: isbns.lookupValues(value) } });
+};
+
+// Keep the call number's sort key in step with its parts. Updates through queries set the
+// whole call number from utils/callNumber.js parse(), which includes the key.
+BookSchema.pre('validate', function(next) {
+  if (this.callNumber && this.callNumber.classNumber) {
+    this.callNumber.sortKey = callNumbers.sortKey(this.callNumber);
+  } else if (this.callNumber && (this.callNumber.cutter || this.callNumber.volume)) {
+    this.invalidate('callNumber.classNumber', 'A call number needs a class number');
+  } else if (this.callNumber) {
+    this.callNumber.sortKey = undefined;
+  }
+  next();
+});
+
+// Keep the catalog search index in step with writes made through the model. Required
+// lazily because the search service loads this model. Index upkeep never fails a write.
+const searchIndex = () => require('../services/catalogSearch');
+
+const keepIndexed = action => async function(result) {
+  try {
+    await action.call(this, searchIndex(), result);
+  } catch (error) {
+    console.error('Search index update failed:', error.message);
+  }
+};
+
+BookSchema.post('save', keepIndexed((search, book) => search.update(book)));
+
+BookSchema.post('insertMany', keepIndexed((search, books) => books.forEach(book => search.update(book))));
+
+BookSchema.post('findOneAndUpdate', keepIndexed(function(search, book) {
+  if (book && search.touchesIndex(this.getUpdate())) {
+    return search.refresh(book._id);
+  }
+}));
+
+BookSchema.post(['updateOne', 'updateMany', 'replaceOne'], { document: false, query: true }, keepIndexed(function(search) {
+  if (this.op === 'replaceOne' || search.touchesIndex(this.getUpdate())) {
+    search.markStale();
+  }
+}));
+
+BookSchema.post(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, keepIndexed(search => search.markStale()));
+
+BookSchema.index({ 'callNumber.sortKey': 1 });
 
 module.exports = mongoose.model('Book', BookSchema);
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const BookCopySchema = new mongoose.Schema({
+  book: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Book',
+    required: [true, 'Please add a book'],
+  },
+  accessionNumber: {
+    type: String,
+    required: [true, 'Please add an accession number'],
+    unique: true,
+    trim: true,
+  },
+  barcode: {
+    type: String,
+    required: [true, 'Please add a barcode'],
+    unique: true,
+    trim: true,
+  },
+  condition: {
+    type: String,
+    enum: ['New', 'Good', 'Fair', 'Poor', 'Damaged'],
+    default: 'Good',
+  },
+  location: {
+    shelf: {
+      type: String,
+      trim: true,
+    },
+    section: {
+      type: String,
+      trim: true,
+    },
+  },
+  status: {
+    type: String,
+    enum: ['available', 'issued', 'on_hold', 'damaged', 'missing', 'lost', 'withdrawn'],
+    default: 'available',
+  },
+  lastSeenAt: {
+    type: Date,
+  },
+  notes: {
+    type: String,
+    maxlength: [200, 'Notes cannot be more than 200 characters'],
+  },
+  addedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  // Set instead of addedBy when the copy was added with an API key
+  apiKey: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ApiKey',
+  },
+}, {
+  timestamps: true,
+});
+
+// Copies that no longer count towards a title's holdings
+BookCopySchema.statics.INACTIVE_STATUSES = ['lost', 'withdrawn'];
+
+// Generate the next accession number: ACC + 6-digit sequence
+BookCopySchema.statics.nextAccessionNumber = async function(session) {
+  const seq = await Counter.next('accessionNumber', session);
+  return `ACC${seq.toString().padStart(6, '0')}`;
+};
+
+// Create `count` copies of a book, barcoded with their accession number
+BookCopySchema.statics.createForBook = async function(book, count, fields = {}, session) {
+  const copies = [];
+  for (let i = 0; i < count; i++) {
+    const accessionNumber = await this.nextAccessionNumber(session);
+    copies.push({
+      book: book._id,
+      accessionNumber,
+      barcode: accessionNumber,
+      condition: book.condition === 'New' ? 'New' : 'Good',
+      location: {
+        shelf: book.location && book.location.shelf,
+        section: book.location && book.location.section,
+      },
+      ...fields,
+    });
+  }
+  return this.create(copies, { session });
+};
+
+// Recompute a book's totalCopies/availableCopies from the state of its copies
+BookCopySchema.statics.syncBookCounts = async function(bookId, session) {
+  const Book = mongoose.model('Book');
+  const counts = await this.aggregate([
+    { $match: { book: new mongoose.Types.ObjectId(bookId) } },
+    {
+      $group: {
+        _id: null,
+        totalCopies: {
+          $sum: { $cond: [{ $in: ['$status', this.INACTIVE_STATUSES] }, 0, 1] },
+        },
+        availableCopies: {
+          $sum: { $cond: [{ $eq: ['$status', 'available'] }, 1, 0] },
+        },
+      },
+    },
+  ]).session(session || null);
+
+  const { totalCopies = 0, availableCopies = 0 } = counts[0] || {};
+
+  // Bypass document validation: a title may temporarily have no usable copies
+  return Book.findByIdAndUpdate(
+    bookId,
+    { totalCopies, availableCopies },
+    { new: true, session }
+  );
+};
+
+BookCopySchema.index({ book: 1, status: 1 });
+
+module.exports = mongoose.model('BookCopy', BookCopySchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// Categories a new installation starts with; admins edit them through /api/taxonomy
+const DEFAULT_CATEGORIES = [
+  'Fiction',
+  'Non-Fiction',
+  'Science',
+  'Mathematics',
+  'History',
+  'Geography',
+  'Literature',
+  'Biography',
+  'Reference',
+  'Textbook',
+  'Other',
+];
+
+// A book category, or a subcategory of one. Books store the names, so renaming or
+// merging one re-tags its books (see services/taxonomy.js).
+const CategorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a category name'],
+    trim: true,
+    maxlength: [50, 'Category name cannot be more than 50 characters'],
+  },
+  // Missing for top-level categories. Subcategories don't have subcategories of their own.
+  parent: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Category',
+    default: null,
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters'],
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  // Set instead of updatedBy when last updated with an API key
+  apiKey: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ApiKey',
+  },
+}, {
+  timestamps: true,
+});
+
+CategorySchema.statics.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+
+// Store the default categories on a new installation. Once any category exists the
+// taxonomy is the admins' to change.
+CategorySchema.statics.ensureDefaults = async function() {
+  if (await this.exists({})) {
+    return;
+  }
+  await this.insertMany(DEFAULT_CATEGORIES.map(name => ({ name })));
+};
+
+// Names of the top-level categories, in order
+CategorySchema.statics.topLevelNames = async function() {
+  const categories = await this.find({ parent: null }).sort('name');
+  return categories.map(category => category.name);
+};
+
+// Top-level categories with their subcategories
+CategorySchema.statics.tree = async function() {
+  const categories = await this.find().sort('name').lean();
+  return categories
+    .filter(category => !category.parent)
+    .map(category => ({
+      ...category,
+      subcategories: categories.filter(child => String(child.parent) === String(category._id)),
+    }));
+};
+
+// Whether a category name, and a subcategory name under it if given, exist
+CategorySchema.statics.isValid = async function(category, subcategory) {
+  const parent = await this.findOne({ name: category, parent: null });
+  if (!parent) {
+    return false;
+  }
+  return !subcategory || Boolean(await this.exists({ name: subcategory, parent: parent._id }));
+};
+
+// Names are unique among siblings, ignoring case
+CategorySchema.index(
+  { parent: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+module.exports = mongoose.model('Category', CategorySchema);
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+
+// Built-in rules used when no stored rule sets a value
+const DEFAULTS = {
+  loanable: true,
+  loanDays: 14,
+  fixedDueDate: null,
+  renewalLimit: 3,
+  finePerDay: 2,
+  graceDays: 0,
+  maxFine: null,
+  maxBooks: 3,
+  fineBlockThreshold: 10,
+};
+
+const POLICY_FIELDS = Object.keys(DEFAULTS);
+
+const CirculationPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a policy name'],
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters'],
+  },
+  // Rule keys: leave empty to match every category / class
+  category: {
+    type: String,
+    default: null,
+  },
+  studentClass: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  // Rule values: leave unset to inherit from a less specific rule
+  loanable: {
+    type: Boolean,
+  },
+  loanDays: {
+    type: Number,
+    min: [1, 'Loan period must be at least 1 day'],
+  },
+  fixedDueDate: {
+    type: Date,
+  },
+  renewalLimit: {
+    type: Number,
+    min: [0, 'Renewal limit cannot be negative'],
+  },
+  finePerDay: {
+    type: Number,
+    min: [0, 'Fine rate cannot be negative'],
+  },
+  graceDays: {
+    type: Number,
+    min: [0, 'Grace days cannot be negative'],
+  },
+  maxFine: {
+    type: Number,
+    min: [0, 'Fine cap cannot be negative'],
+  },
+  maxBooks: {
+    type: Number,
+    min: [0, 'Book limit cannot be negative'],
+  },
+  // Unpaid fines above this amount block new issues
+  fineBlockThreshold: {
+    type: Number,
+    min: [0, 'Fine block threshold cannot be negative'],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  // Set instead of updatedBy when last updated with an API key
+  apiKey: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ApiKey',
+  },
+}, {
+  timestamps: true,
+});
+
+CirculationPolicySchema.statics.DEFAULTS = DEFAULTS;
+CirculationPolicySchema.statics.POLICY_FIELDS = POLICY_FIELDS;
+
+// How specific a rule is: category + class > category > class > catch-all
+const specificity = (rule) => (rule.category ? 2 : 0) + (rule.studentClass ? 1 : 0);
+
+// Resolve the effective rules for a book category and student class.
+// Matching rules are layered from least to most specific over the built-in defaults.
+CirculationPolicySchema.statics.resolve = async function({ category, studentClass } = {}) {
+  const rules = await this.find({
+    isActive: true,
+    category: { $in: [null, category || null] },
+    studentClass: { $in: [null, studentClass || null] },
+  });
+
+  rules.sort((a, b) => specificity(a) - specificity(b));
+
+  const policy = { ...DEFAULTS, rules: [] };
+  for (const rule of rules) {
+    for (const field of POLICY_FIELDS) {
+      if (rule[field] !== undefined && rule[field] !== null) {
+        policy[field] = rule[field];
+      }
+    }
+    policy.rules.push(rule.name);
+  }
+  return policy;
+};
+
+// The rules a loan keeps for its lifetime
+CirculationPolicySchema.statics.snapshot = function(policy) {
+  return {
+    loanDays: policy.loanDays,
+    renewalLimit: policy.renewalLimit,
+    finePerDay: policy.finePerDay,
+    graceDays: policy.graceDays,
+    maxFine: policy.maxFine,
+  };
+};
+
+// Due date for a loan starting at `from`: a fixed term date when one applies, else loanDays later
+CirculationPolicySchema.statics.dueDateFor = function(policy, from = new Date()) {
+  if (policy.fixedDueDate && new Date(policy.fixedDueDate) > from) {
+    return new Date(policy.fixedDueDate);
+  }
+
+  const dueDate = new Date(from);
+  dueDate.setDate(dueDate.getDate() + policy.loanDays);
+  return dueDate;
+};
+
+// Fine for `overdueDays` late days under a policy, after grace days and capped
+CirculationPolicySchema.statics.fineFor = function(policy, overdueDays) {
+  const chargeableDays = overdueDays - (policy.graceDays || 0);
+  if (chargeableDays <= 0) {
+    return 0;
+  }
+
+  const amount = chargeableDays * policy.finePerDay;
+  return policy.maxFine !== null && policy.maxFine !== undefined
+    ? Math.min(amount, policy.maxFine)
+    : amount;
+};
+
+// One rule per category/class combination
+CirculationPolicySchema.index({ category: 1, studentClass: 1 }, { unique: true });
+
+module.exports = mongoose.model('CirculationPolicy', CirculationPolicySchema);
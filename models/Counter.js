@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const CounterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+// Atomically increment a named sequence and return the new value
+CounterSchema.statics.next = async function(name, session) {
+  const counter = await this.findOneAndUpdate(
+    { name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
@@ -0,0 +1,261 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const ErrorResponse = require('../utils/errorResponse');
+const { madeBy } = require('../utils/actor');
+
+// Round money to cents so repeated allocations don't drift
+const round = (value) => Math.round(value * 100) / 100;
+
+const AllocationSchema = new mongoose.Schema({
+  charge: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'FineEntry',
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+}, { _id: false });
+
+const FineEntrySchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Student',
+    required: [true, 'Please add a student'],
+  },
+  type: {
+    type: String,
+    enum: ['charge', 'payment', 'waiver', 'refund', 'adjustment'],
+    required: [true, 'Please specify entry type'],
+  },
+  // Always positive, except adjustments which may lower a charge
+  amount: {
+    type: Number,
+    required: [true, 'Please add an amount'],
+  },
+  transaction: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Transaction',
+  },
+  reason: {
+    type: String,
+    enum: ['overdue', 'damage', 'lost', 'other'],
+    required: function() {
+      return this.type === 'charge';
+    },
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot be more than 200 characters'],
+  },
+  method: {
+    type: String,
+    enum: ['cash', 'card', 'online', 'other'],
+  },
+  receiptNumber: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+  // Charges a payment, waiver, refund or adjustment applies to
+  allocations: [AllocationSchema],
+  refundOf: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'FineEntry',
+  },
+  // Order of the student's payments, waivers, adjustments and refunds; see createAllocated
+  sequence: {
+    type: Number,
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: function() { return !this.apiKey; },
+  },
+  // Set instead of createdBy when the entry was made with an API key
+  apiKey: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ApiKey',
+  },
+}, {
+  timestamps: true,
+});
+
+// Ledger entries are append-only
+FineEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Fine ledger entries cannot be modified'));
+  }
+  next();
+});
+
+// For working out amounts to record the way the ledger rounds them
+FineEntrySchema.statics.round = round;
+
+// Generate the next receipt number: RCP + year + 6-digit sequence
+FineEntrySchema.statics.nextReceiptNumber = async function(session) {
+  const year = new Date().getFullYear();
+  const seq = await Counter.next(`receipt-${year}`, session);
+  return `RCP${year}-${seq.toString().padStart(6, '0')}`;
+};
+
+// Charges matching `filter` with what has been paid, waived, refunded and adjusted against each
+FineEntrySchema.statics.chargeBalances = async function(filter = {}) {
+  const charges = await this.find({ ...filter, type: 'charge' }).sort('createdAt');
+  const ids = charges.map(charge => charge._id);
+
+  const totals = await this.aggregate([
+    { $match: { 'allocations.charge': { $in: ids } } },
+    { $unwind: '$allocations' },
+    { $match: { 'allocations.charge': { $in: ids } } },
+    {
+      $group: {
+        _id: { charge: '$allocations.charge', type: '$type' },
+        total: { $sum: '$allocations.amount' },
+      },
+    },
+  ]);
+
+  const byCharge = {};
+  for (const { _id, total } of totals) {
+    const key = _id.charge.toString();
+    byCharge[key] = byCharge[key] || {};
+    byCharge[key][_id.type] = total;
+  }
+
+  return charges.map((charge) => {
+    const sums = byCharge[charge._id.toString()] || {};
+    const paid = round((sums.payment || 0) - (sums.refund || 0));
+    const waived = round(sums.waiver || 0);
+    const adjusted = round(sums.adjustment || 0);
+    return {
+      charge,
+      paid,
+      waived,
+      adjusted,
+      outstanding: round(charge.amount + adjusted - paid - waived),
+    };
+  });
+};
+
+// Total unpaid fines for a student
+FineEntrySchema.statics.outstandingFor = async function(studentId) {
+  const balances = await this.chargeBalances({ student: studentId });
+  return round(balances.reduce((sum, balance) => sum + balance.outstanding, 0));
+};
+
+// Spread `amount` over open charges in order, returning the allocations.
+// Throws if the amount is more than the charges still owe.
+FineEntrySchema.statics.allocate = function(balances, amount) {
+  const allocations = [];
+  let remaining = round(amount);
+
+  for (const balance of balances) {
+    if (remaining <= 0) break;
+    if (balance.outstanding <= 0) continue;
+
+    const applied = Math.min(balance.outstanding, remaining);
+    allocations.push({ charge: balance.charge._id, amount: applied });
+    remaining = round(remaining - applied);
+  }
+
+  if (remaining > 0) {
+    throw new ErrorResponse('Amount exceeds the outstanding balance', 400);
+  }
+  return allocations;
+};
+
+// The sequence number the student's next payment, waiver, adjustment or refund takes.
+// Read it before the balances the entry is worked out from.
+FineEntrySchema.statics.nextSequence = async function(studentId) {
+  const last = await this.findOne({ student: studentId, sequence: { $exists: true } })
+    .sort('-sequence')
+    .select('sequence');
+  return last ? last.sequence + 1 : 1;
+};
+
+// Write an entry allocated against balances read at `sequence`. Sequence numbers are unique
+// per student, so if another entry was allocated in the meantime this one is refused rather
+// than spending the same balance twice.
+FineEntrySchema.statics.createAllocated = async function(fields, sequence) {
+  try {
+    return await this.create({ ...fields, sequence });
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.sequence) {
+      throw new ErrorResponse('The student\'s fines changed while this was being recorded; please try again', 409);
+    }
+    throw error;
+  }
+};
+
+// Mirror the ledger onto Student.totalFines and each loan's fine.paid flag
+FineEntrySchema.statics.syncStudent = async function(studentId) {
+  const Student = mongoose.model('Student');
+  const Transaction = mongoose.model('Transaction');
+
+  const balances = await this.chargeBalances({ student: studentId });
+  const totalFines = round(balances.reduce((sum, balance) => sum + balance.outstanding, 0));
+
+  for (const { charge, outstanding } of balances) {
+    if (!charge.transaction) continue;
+
+    const settled = outstanding <= 0;
+    await Transaction.updateOne(
+      { _id: charge.transaction, 'fine.paid': !settled },
+      settled
+        ? { 'fine.paid': true, 'fine.paidDate': new Date() }
+        : { 'fine.paid': false, $unset: { 'fine.paidDate': 1 } }
+    );
+  }
+
+  await Student.findByIdAndUpdate(studentId, { totalFines });
+  return totalFines;
+};
+
+// Post the fine calculated on a returned or lost loan as a ledger charge and tell the student
+FineEntrySchema.statics.chargeForTransaction = async function(transaction, actor) {
+  if (!transaction.fine || transaction.fine.amount <= 0) {
+    return null;
+  }
+
+  const existing = await this.findOne({ transaction: transaction._id, type: 'charge', reason: transaction.fine.reason });
+  if (existing) {
+    return existing;
+  }
+
+  const charge = await this.create({
+    student: transaction.student._id || transaction.student,
+    transaction: transaction._id,
+    type: 'charge',
+    amount: transaction.fine.amount,
+    reason: transaction.fine.reason === 'none' ? 'other' : transaction.fine.reason,
+    note: transaction.status === 'lost'
+      ? `Lost copy on loan due ${transaction.dueDate.toDateString()}`
+      : `Fine on return of loan due ${transaction.dueDate.toDateString()}`,
+    ...madeBy(actor, 'createdBy'),
+  });
+
+  const outstanding = await this.syncStudent(charge.student);
+
+  const { notifyStudent } = require('../services/notifications');
+  await notifyStudent(charge.student, 'fineAssessed', {
+    amount: charge.amount,
+    reason: charge.reason,
+    outstanding,
+  }, { transaction: transaction._id });
+
+  return charge;
+};
+
+FineEntrySchema.index({ student: 1, type: 1, createdAt: 1 });
+FineEntrySchema.index({ 'allocations.charge': 1 });
+FineEntrySchema.index({ transaction: 1 });
+FineEntrySchema.index({ refundOf: 1 });
+FineEntrySchema.index({ student: 1, sequence: 1 }, {
+  unique: true,
+  partialFilterExpression: { sequence: { $exists: true } },
+});
+
+module.exports = mongoose.model('FineEntry', FineEntrySchema);
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+
+const HoldSchema = new mongoose.Schema({
+  book: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Book',
+    required: [true, 'Please add a book'],
+  },
+  student: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Student',
+    required: [true, 'Please add a student'],
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'ready', 'fulfilled', 'cancelled', 'expired'],
+    default: 'waiting',
+  },
+  position: {
+    type: Number,
+    required: true,
+  },
+  copy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'BookCopy',
+  },
+  placedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+  },
+  readyAt: {
+    type: Date,
+  },
+  pickupDeadline: {
+    type: Date,
+  },
+  fulfilledAt: {
+    type: Date,
+  },
+  cancelledAt: {
+    type: Date,
+  },
+  cancelReason: {
+    type: String,
+    maxlength: [200, 'Cancel reason cannot be more than 200 characters'],
+  },
+  notes: {
+    type: String,
+    maxlength: [200, 'Notes cannot be more than 200 characters'],
+  },
+  placedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  // Set instead of placedBy when the hold was placed with an API key
+  apiKey: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ApiKey',
+  },
+}, {
+  timestamps: true,
+});
+
+// Holds still in the queue or waiting on the hold shelf
+HoldSchema.statics.OPEN_STATUSES = ['waiting', 'ready'];
+
+// Get the FIFO queue of waiting holds for a book
+HoldSchema.statics.queueFor = function(bookId) {
+  return this.find({ book: bookId, status: 'waiting' }).sort('position placedAt');
+};
+
+// Get the next position at the end of a book's queue
+HoldSchema.statics.nextPosition = async function(bookId) {
+  const last = await this.findOne({ book: bookId }).sort('-position');
+  return last ? last.position + 1 : 1;
+};
+
+// 1-based place of a waiting hold in its book's queue
+HoldSchema.methods.queuePosition = async function() {
+  if (this.status !== 'waiting') {
+    return null;
+  }
+
+  const ahead = await this.constructor.countDocuments({
+    book: this.book,
+    status: 'waiting',
+    $or: [
+      { position: { $lt: this.position } },
+      { position: this.position, placedAt: { $lt: this.placedAt } },
+    ],
+  });
+  return ahead + 1;
+};
+
+// Offer a copy to the next student in the queue, putting it on the hold shelf.
+// Returns the hold, or null if no one is waiting. Book counters are left to the caller.
+// The student is told their book is ready for pickup.
+HoldSchema.statics.assignNextHold = async function(copy) {
+  const now = new Date();
+  const pickupDeadline = new Date(now);
+  pickupDeadline.setDate(pickupDeadline.getDate() + (parseInt(process.env.HOLD_PICKUP_DAYS, 10) || 3));
+
+  // Claim the head of the queue atomically so one copy never fills two holds
+  const next = await this.findOneAndUpdate(
+    { book: copy.book, status: 'waiting' },
+    { status: 'ready', copy: copy._id, readyAt: now, pickupDeadline },
+    { sort: { position: 1, placedAt: 1 }, new: true }
+  );
+
+  if (!next) {
+    return null;
+  }
+
+  copy.status = 'on_hold';
+  await copy.save();
+
+  // Required here: the notification service loads models itself
+  const { notifyStudent } = require('../services/notifications');
+  const book = await mongoose.model('Book').findById(copy.book, 'title');
+  await notifyStudent(next.student, 'holdReady', { book, pickupDeadline }, { hold: next._id });
+
+  return next;
+};
+
+// Take a copy off the hold shelf: pass it down the queue or put it back in circulation
+HoldSchema.statics.releaseCopy = async function(copyId) {
+  const Book = mongoose.model('Book');
+  const BookCopy = mongoose.model('BookCopy');
+  const copy = await BookCopy.findById(copyId);
+
+  if (!copy || copy.status !== 'on_hold') {
+    return null;
+  }
+
+  const next = await this.assignNextHold(copy);
+  if (!next) {
+    copy.status = 'available';
+    await copy.save();
+    await Book.updateOne({ _id: copy.book }, { $inc: { availableCopies: 1 } });
+  }
+  return next;
+};
+
+// Expire ready holds past their pickup deadline and waiting holds past their expiry date
+HoldSchema.statics.expireHolds = async function() {
+  const now = new Date();
+
+  const uncollected = await this.find({ status: 'ready', pickupDeadline: { $lt: now } });
+  for (const hold of uncollected) {
+    hold.status = 'expired';
+    await hold.save();
+    await this.releaseCopy(hold.copy);
+  }
+
+  const lapsed = await this.updateMany(
+    { status: 'waiting', expiresAt: { $lt: now } },
+    { status: 'expired' }
+  );
+
+  return {
+    uncollected: uncollected.length,
+    lapsed: lapsed.modifiedCount,
+  };
+};
+
+HoldSchema.index({ book: 1, status: 1, position: 1 });
+HoldSchema.index({ student: 1, status: 1 });
+HoldSchema.index({ status: 1, pickupDeadline: 1 });
+
+module.exports = mongoose.model('Hold', HoldSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const JobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a job name'],
+    unique: true,
+  },
+  description: {
+    type: String,
+  },
+  intervalMinutes: {
+    type: Number,
+    required: [true, 'Please add a run interval'],
+    min: [1, 'Interval must be at least 1 minute'],
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastRunAt: {
+    type: Date,
+  },
+  lastStatus: {
+    type: String,
+    enum: ['success', 'failed'],
+  },
+  lastError: {
+    type: String,
+  },
+  // Set while an instance is running the job; a lock past lockedUntil is considered stale
+  lockedBy: {
+    type: String,
+    default: null,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('Job', JobSchema);
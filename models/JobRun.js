@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const JobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: [true, 'Please add a job name'],
+  },
+  instance: {
+    type: String,
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule',
+  },
+  status: {
+    type: String,
+    enum: ['running', 'success', 'failed'],
+    default: 'running',
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: {
+    type: Date,
+  },
+  durationMs: {
+    type: Number,
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  error: {
+    type: String,
+  },
+  triggeredBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  // Set instead of triggeredBy when the run was started with an API key
+  apiKey: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ApiKey',
+  },
+});
+
+JobRunSchema.index({ job: 1, startedAt: -1 });
+
+module.exports = mongoose.model('JobRun', JobRunSchema);
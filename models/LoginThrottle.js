@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// Failed logins counted per account ("account:<email>") and per client IP ("ip:<address>").
+// Portal activations ("card:<number>") and password resets ("reset:<email>") are counted
+// the same way, with the account limits.
+const LoginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  kind: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true,
+  },
+  // Failures since the last lockout or successful login
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lastFailureAt: {
+    type: Date,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  lockouts: {
+    type: Number,
+    default: 0,
+  },
+  // Dropped once a window passes with no new failures and no lock in force
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+const minutesFromNow = (now, minutes) => new Date(now.getTime() + minutes * 60 * 1000);
+
+// When the next attempt for a record may be made: the end of its lockout, or of the
+// delay that doubles with every failure past `delayAfter` (capped at `maxDelaySeconds`).
+// Returns null if an attempt may be made now.
+LoginThrottleSchema.methods.blockedUntil = function({ delayAfter, maxDelaySeconds }, now = new Date()) {
+  if (this.lockedUntil && this.lockedUntil > now) {
+    return { until: this.lockedUntil, locked: true };
+  }
+
+  if (this.failures >= delayAfter && this.lastFailureAt) {
+    const seconds = Math.min(2 ** (this.failures - delayAfter), maxDelaySeconds);
+    const until = new Date(this.lastFailureAt.getTime() + seconds * 1000);
+    if (until > now) {
+      return { until, locked: false };
+    }
+  }
+  return null;
+};
+
+// Count a failure against `key`. Reaching `maxFailures` within `windowMinutes` of each other
+// locks the key for `lockMinutes` and starts the count again. Returns the record and whether
+// this failure caused a lockout.
+LoginThrottleSchema.statics.fail = async function(key, kind, { maxFailures, windowMinutes, lockMinutes }) {
+  const now = new Date();
+  const record = await this.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now, expiresAt: minutesFromNow(now, windowMinutes) },
+      $setOnInsert: { kind },
+    },
+    { upsert: true, new: true }
+  );
+
+  if (record.failures < maxFailures) {
+    return { record, lockedOut: false };
+  }
+
+  // Only the request that reached the limit applies the lock
+  const lockedUntil = minutesFromNow(now, lockMinutes);
+  const locked = await this.findOneAndUpdate(
+    { _id: record._id, failures: record.failures },
+    {
+      $set: { failures: 0, lockedUntil, expiresAt: minutesFromNow(lockedUntil, windowMinutes) },
+      $inc: { lockouts: 1 },
+    },
+    { new: true }
+  );
+
+  return { record: locked || record, lockedOut: Boolean(locked) };
+};
+
+LoginThrottleSchema.statics.clear = function(key) {
+  return this.deleteOne({ key });
+};
+
+LoginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', LoginThrottleSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const NotificationSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Student',
+    required: [true, 'Please add a student'],
+  },
+  recipient: {
+    type: String,
+    enum: ['student', 'parent'],
+    default: 'student',
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: true,
+  },
+  // Email address or phone number the message went to
+  to: {
+    type: String,
+    required: true,
+  },
+  template: {
+    type: String,
+    enum: ['dueSoon', 'overdue', 'holdReady', 'fineAssessed', 'notice'],
+    required: true,
+  },
+  subject: {
+    type: String,
+  },
+  body: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true,
+  },
+  transport: {
+    type: String,
+  },
+  providerId: {
+    type: String,
+  },
+  error: {
+    type: String,
+  },
+  transaction: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Transaction',
+  },
+  hold: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Hold',
+  },
+  // Staff member who sent an ad-hoc notice; empty for automatic notices
+  sentBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  // Set instead of sentBy when it was sent with an API key
+  apiKey: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ApiKey',
+  },
+}, {
+  timestamps: true,
+});
+
+NotificationSchema.index({ student: 1, createdAt: -1 });
+NotificationSchema.index({ template: 1, status: 1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// A student's class, section and status before or after a promotion
+const PlacementSchema = new mongoose.Schema({
+  class: String,
+  section: String,
+  status: String,
+}, { _id: false });
+
+const PromotionChangeSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Student',
+    required: true,
+  },
+  from: PlacementSchema,
+  to: PlacementSchema,
+  // Students promoted despite holding books or owing fines
+  flags: [String],
+  // Set when rollback found the student changed since and left them alone
+  rollbackSkipped: {
+    type: Boolean,
+    default: false,
+  },
+}, { _id: false });
+
+const PromotionRunSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Please add a label, e.g. the academic year'],
+    trim: true,
+    maxlength: [50, 'Label cannot be more than 50 characters'],
+  },
+  // What was asked for: class map, classes graduated, section reshuffles and hold-back rules
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  status: {
+    type: String,
+    enum: ['applied', 'rolling_back', 'rolled_back'],
+    default: 'applied',
+  },
+  changes: [PromotionChangeSchema],
+  // Students held back because of loans or fines
+  heldBack: [{
+    student: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Student',
+    },
+    flags: [String],
+    _id: false,
+  }],
+  summary: {
+    promoted: { type: Number, default: 0 },
+    graduated: { type: Number, default: 0 },
+    heldBack: { type: Number, default: 0 },
+    flagged: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+  },
+  runBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: function() { return !this.apiKey; },
+  },
+  // Set instead of runBy when the promotion was run with an API key
+  apiKey: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ApiKey',
+  },
+  rolledBackAt: {
+    type: Date,
+  },
+  rolledBackBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  // Set instead of rolledBackBy when it was rolled back with an API key
+  rolledBackByApiKey: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ApiKey',
+  },
+}, {
+  timestamps: true,
+});
+
+PromotionRunSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('PromotionRun', PromotionRunSchema);
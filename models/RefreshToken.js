@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const RefreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Only the hash is stored; the token itself goes to the client
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Tokens rotated from the same login share a family, so reuse of an old one ends the session
+  family: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  replacedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'RefreshToken',
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+// Issue a refresh token valid for REFRESH_TOKEN_DAYS days (default 30).
+// Returns the stored record and the plain token.
+RefreshTokenSchema.statics.issue = async function(user, req, family) {
+  const token = crypto.randomBytes(40).toString('hex');
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + (parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30));
+
+  const record = await this.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  return { record, token };
+};
+
+// Exchange a refresh token for a new one in the same family. Returns null if the token is
+// unknown, expired or already used; presenting a used token revokes its whole family.
+RefreshTokenSchema.statics.rotate = async function(token, req) {
+  const now = new Date();
+  const current = await this.findOne({ tokenHash: hashToken(token) });
+
+  if (!current || current.expiresAt <= now) {
+    return null;
+  }
+
+  // Claim the token so two requests can't both rotate it
+  const claimed = await this.findOneAndUpdate(
+    { _id: current._id, revokedAt: null },
+    { revokedAt: now }
+  );
+
+  if (!claimed) {
+    // Already used: someone else may hold a copy, so end the session everywhere
+    await this.revokeFamily(current.family);
+    return null;
+  }
+
+  const next = await this.issue({ _id: current.user }, req, current.family);
+  await this.updateOne({ _id: current._id }, { replacedBy: next.record._id });
+  return next;
+};
+
+// Revoke one session's token, returning its record if it was still live
+RefreshTokenSchema.statics.revoke = function(token) {
+  return this.findOneAndUpdate({ tokenHash: hashToken(token), revokedAt: null }, { revokedAt: new Date() });
+};
+
+RefreshTokenSchema.statics.revokeFamily = function(family) {
+  return this.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+};
+
+// Revoke every session a user has, optionally keeping one family
+RefreshTokenSchema.statics.revokeAllForUser = function(userId, exceptFamily) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptFamily) {
+    filter.family = { $ne: exceptFamily };
+  }
+  return this.updateMany(filter, { revokedAt: new Date() });
+};
+
+RefreshTokenSchema.index({ user: 1, revokedAt: 1 });
+RefreshTokenSchema.index({ family: 1 });
+// Remove tokens once they have expired
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
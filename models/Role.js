@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+// Every permission a role can grant
+const PERMISSIONS = {
+  'catalog.view': 'View copies and stock',
+  'catalog.edit': 'Add and edit books and copies, run stocktakes',
+  'catalog.delete': 'Delete books',
+  'catalog.import': 'Import books',
+  'catalog.export': 'Export the catalog',
+  'taxonomy.manage': 'Manage categories and the subject vocabulary',
+  'students.view': 'View students',
+  'students.edit': 'Add and edit students, issue portal activation codes',
+  'students.import': 'Import student rosters',
+  'students.delete': 'Delete students',
+  'students.promote': 'Run and roll back end-of-year promotions',
+  'circulation.view': 'View loans and holds',
+  'circulation.issue': 'Issue books',
+  'circulation.return': 'Return books',
+  'circulation.renew': 'Renew loans',
+  'holds.manage': 'Place, cancel and reorder holds',
+  'fines.view': 'View fines and receipts',
+  'fines.charge': 'Charge fines',
+  'fines.collect': 'Take fine payments',
+  'fines.waive': 'Waive fines',
+  'fines.adjust': 'Adjust fines',
+  'fines.refund': 'Refund payments',
+  'policies.view': 'View circulation policies',
+  'policies.edit': 'Change circulation policies',
+  'reports.view': 'View statistics and reports',
+  'notifications.view': 'View sent notifications',
+  'notifications.send': 'Send notices to classes',
+  'jobs.manage': 'View and run background jobs',
+  'users.manage': 'Invite and manage staff users',
+  'roles.manage': 'Define roles and their permissions',
+  'apikeys.manage': 'Create and revoke API keys',
+  'audit.view': 'View the audit log',
+  'portal.use': 'Use the student portal',
+};
+
+const STAFF_PERMISSIONS = Object.keys(PERMISSIONS).filter(permission => permission !== 'portal.use');
+
+// Roles every installation has. Admin always holds every staff permission.
+const BUILT_IN_ROLES = {
+  admin: {
+    description: 'Full access',
+    permissions: STAFF_PERMISSIONS,
+  },
+  librarian: {
+    description: 'Day-to-day library work',
+    permissions: STAFF_PERMISSIONS.filter(permission => ![
+      'students.delete', 'students.promote', 'fines.waive', 'fines.adjust', 'fines.refund',
+      'policies.edit', 'taxonomy.manage', 'jobs.manage', 'users.manage', 'roles.manage', 'apikeys.manage', 'audit.view',
+    ].includes(permission)),
+  },
+  student: {
+    description: 'Student portal account',
+    permissions: ['portal.use'],
+  },
+};
+
+const RoleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a role name'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9-]{1,29}$/, 'Role names are 2-30 lowercase letters, digits or dashes'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters'],
+  },
+  permissions: [{
+    type: String,
+    enum: Object.keys(PERMISSIONS),
+  }],
+  builtIn: {
+    type: Boolean,
+    default: false,
+  },
+  // Users with this role must set up two-factor authentication before using the API
+  requireTwoFactor: {
+    type: Boolean,
+    default: false,
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+RoleSchema.statics.PERMISSIONS = PERMISSIONS;
+RoleSchema.statics.BUILT_IN_ROLES = BUILT_IN_ROLES;
+
+// Store the built-in roles if they aren't yet, leaving edited ones alone
+RoleSchema.statics.ensureBuiltIns = async function() {
+  for (const [name, role] of Object.entries(BUILT_IN_ROLES)) {
+    await this.updateOne(
+      { name },
+      { $setOnInsert: { name, ...role, builtIn: true } },
+      { upsert: true }
+    );
+  }
+};
+
+// Effective permissions of a role. Built-in roles fall back to their defaults until stored,
+// and admin can't lose permissions, so the system can't be locked out.
+RoleSchema.statics.permissionsFor = async function(name) {
+  if (name === 'admin') {
+    return BUILT_IN_ROLES.admin.permissions;
+  }
+
+  const role = await this.findOne({ name });
+  if (role) {
+    return role.permissions;
+  }
+  return BUILT_IN_ROLES[name] ? BUILT_IN_ROLES[name].permissions : [];
+};
+
+// Whether a role name can be given to a user
+RoleSchema.statics.isDefined = async function(name) {
+  return Boolean(BUILT_IN_ROLES[name]) || Boolean(await this.exists({ name }));
+};
+
+// Whether users with a role must use two-factor authentication
+RoleSchema.statics.requiresTwoFactor = async function(name) {
+  return Boolean(await this.exists({ name, requireTwoFactor: true }));
+};
+
+// Whether a role can be given to a staff user: any defined role except the portal's
+RoleSchema.statics.isStaffRole = async function(name) {
+  return name !== 'student' && this.isDefined(name);
+};
+
+module.exports = mongoose.model('Role', RoleSchema);
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
 const StudentSchema = new mongoose.Schema({
@@ -75,9 +76,9 @@ const StudentSchema = new mongoose.Schema({
     unique: true,
     sparse: true,
   },
+  // Per-student override of the circulation policy's book limit
   maxBooksAllowed: {
     type: Number,
-    default: 3,
   },
   currentBooksIssued: {
     type: Number,
@@ -87,6 +88,31 @@ const StudentSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // Which channels library notices go out on
+  notificationPreferences: {
+    email: {
+      type: Boolean,
+      default: true,
+    },
+    sms: {
+      type: Boolean,
+      default: false,
+    },
+    // Also text the parent/guardian
+    parent: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  // One-time code for activating a portal account, stored hashed
+  activationCode: {
+    type: String,
+    select: false,
+  },
+  activationCodeExpires: {
+    type: Date,
+    select: false,
+  },
   notes: {
     type: String,
     trim: true,
@@ -94,7 +120,12 @@ const StudentSchema = new mongoose.Schema({
   addedBy: {
     type: mongoose.Schema.ObjectId,
     ref: 'User',
-    required: true,
+    required: function() { return !this.apiKey; },
+  },
+  // Set instead of addedBy when the student was added with an API key
+  apiKey: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ApiKey',
   },
   createdAt: {
     type: Date,
@@ -119,6 +150,36 @@ StudentSchema.pre('save', function(next) {
   next();
 });
 
+const hashCode = code => crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toUpperCase()).digest('hex');
+
+// Issue a new portal activation code, valid for ACTIVATION_CODE_DAYS days (default 14).
+// Returns the plain code; only its hash is kept.
+StudentSchema.methods.issueActivationCode = function() {
+  // No 0/O or 1/I so codes can be read off paper
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const chars = Array.from(crypto.randomBytes(8), byte => alphabet[byte % alphabet.length]);
+  const code = `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+
+  const expires = new Date();
+  expires.setDate(expires.getDate() + (parseInt(process.env.ACTIVATION_CODE_DAYS, 10) || 14));
+
+  this.activationCode = hashCode(code);
+  this.activationCodeExpires = expires;
+  return code;
+};
+
+// Find the active student an unexpired activation code was issued to
+StudentSchema.statics.findByActivationCode = function(code) {
+  if (typeof code !== 'string') {
+    return Promise.resolve(null);
+  }
+  return this.findOne({
+    activationCode: hashCode(code),
+    activationCodeExpires: { $gt: new Date() },
+    status: 'active',
+  });
+};
+
 // Create indexes for better performance
 StudentSchema.index({ studentId: 1 });
 StudentSchema.index({ email: 1 });
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// A subject heading in the controlled vocabulary. Books are tagged with the heading's name;
+// its synonyms are other ways of writing it that are accepted and stored as the name.
+const SubjectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a subject name'],
+    trim: true,
+    maxlength: [50, 'Subject cannot be more than 50 characters'],
+  },
+  synonyms: [{
+    type: String,
+    trim: true,
+    maxlength: [50, 'Synonym cannot be more than 50 characters'],
+  }],
+  // Scope note: what the heading covers
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters'],
+  },
+  // Lowercased name and synonyms, so no term can belong to two headings
+  terms: {
+    type: [String],
+    select: false,
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  // Set instead of updatedBy when last updated with an API key
+  apiKey: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ApiKey',
+  },
+}, {
+  timestamps: true,
+});
+
+const termOf = value => String(value || '').trim().toLowerCase();
+
+SubjectSchema.pre('validate', function(next) {
+  // Keep the first spelling of each synonym, dropping any that repeat the name
+  const seen = new Set([termOf(this.name)]);
+  this.synonyms = this.synonyms.map(synonym => synonym.trim()).filter((synonym) => {
+    const term = termOf(synonym);
+    if (!term || seen.has(term)) {
+      return false;
+    }
+    seen.add(term);
+    return true;
+  });
+  this.terms = [...new Set([this.name, ...this.synonyms].map(termOf))];
+  next();
+});
+
+// The heading a name or synonym belongs to, ignoring case, or null
+SubjectSchema.statics.findByTerm = function(value) {
+  return this.findOne({ terms: termOf(value) });
+};
+
+// The heading name to store for a subject as entered, or null if it isn't in the vocabulary
+SubjectSchema.statics.preferredName = async function(value) {
+  const subject = await this.findByTerm(value);
+  return subject ? subject.name : null;
+};
+
+SubjectSchema.index({ terms: 1 }, { unique: true });
+SubjectSchema.index({ name: 1 });
+
+module.exports = mongoose.model('Subject', SubjectSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const CirculationPolicy = require('./CirculationPolicy');
 
 const TransactionSchema = new mongoose.Schema({
   book: {
@@ -6,6 +7,10 @@ const TransactionSchema = new mongoose.Schema({
     ref: 'Book',
     required: [true, 'Please add a book'],
   },
+  copy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'BookCopy',
+  },
   student: {
     type: mongoose.Schema.ObjectId,
     ref: 'Student',
@@ -62,7 +67,17 @@ const TransactionSchema = new mongoose.Schema({
   renewalCount: {
     type: Number,
     default: 0,
-    max: [3, 'Maximum 3 renewals allowed'],
+  },
+  // Circulation rules in force when the book was issued
+  policy: {
+    loanDays: Number,
+    renewalLimit: Number,
+    finePerDay: Number,
+    graceDays: Number,
+    maxFine: Number,
+  },
+  reminderSentAt: {
+    type: Date,
   },
   notes: {
     type: String,
@@ -71,19 +86,37 @@ const TransactionSchema = new mongoose.Schema({
   processedBy: {
     type: mongoose.Schema.ObjectId,
     ref: 'User',
-    required: true,
+    required: function() { return !this.apiKey; },
+  },
+  // Set instead of processedBy when the loan was processed with an API key
+  apiKey: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ApiKey',
   },
 }, {
   timestamps: true,
 });
 
-// Calculate due date (14 days from issue date)
+// Loans where the book is still out with the student
+TransactionSchema.statics.OPEN_STATUSES = ['active', 'overdue'];
+
+// Circulation rules for this loan, falling back to the defaults for older loans
+TransactionSchema.methods.effectivePolicy = function() {
+  const policy = { ...CirculationPolicy.DEFAULTS };
+  for (const field of ['loanDays', 'renewalLimit', 'finePerDay', 'graceDays', 'maxFine']) {
+    const value = this.get(`policy.${field}`);
+    if (value !== undefined && value !== null) {
+      policy[field] = value;
+    }
+  }
+  return policy;
+};
+
+// Calculate due date from the loan period when none was given
 TransactionSchema.pre('save', function(next) {
   if (this.type === 'issue' || this.type === 'renew') {
     if (!this.dueDate) {
-      const dueDate = new Date(this.issueDate);
-      dueDate.setDate(dueDate.getDate() + 14); // 14 days loan period
-      this.dueDate = dueDate;
+      this.dueDate = CirculationPolicy.dueDateFor(this.effectivePolicy(), new Date(this.issueDate));
     }
   }
   next();
@@ -100,13 +133,13 @@ TransactionSchema.methods.checkOverdue = function() {
 
 // Calculate fine for overdue books
 TransactionSchema.methods.calculateFine = function() {
-  if (this.status === 'overdue' || this.status === 'returned') {
+  if (['overdue', 'returned', 'lost'].includes(this.status)) {
     const currentDate = this.returnDate || new Date();
     const overdueDays = Math.ceil((currentDate - this.dueDate) / (1000 * 60 * 60 * 24));
     
     if (overdueDays > 0) {
-      this.fine.amount = overdueDays * 2; // $2 per day fine
-      this.fine.reason = 'overdue';
+      this.fine.amount = CirculationPolicy.fineFor(this.effectivePolicy(), overdueDays);
+      this.fine.reason = this.fine.amount > 0 ? 'overdue' : 'none';
     }
   }
   return this.fine.amount;
@@ -115,6 +148,7 @@ TransactionSchema.methods.calculateFine = function() {
 // Index for efficient queries
 TransactionSchema.index({ student: 1, status: 1 });
 TransactionSchema.index({ book: 1, status: 1 });
+TransactionSchema.index({ copy: 1, status: 1 });
 TransactionSchema.index({ dueDate: 1, status: 1 });
 
 module.exports = mongoose.model('Transaction', TransactionSchema);
@@ -1,6 +1,9 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const Role = require('./Role');
+const totp = require('../utils/totp');
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -18,39 +21,33 @@ const UserSchema = new mongoose.Schema({
       'Please add a valid email',
     ],
   },
+  // Name of a built-in or stored Role
   role: {
     type: String,
-    enum: ['admin', 'librarian'],
     default: 'librarian',
+    validate: {
+      validator: name => Role.isDefined(name),
+      message: 'Role {VALUE} does not exist',
+    },
   },
   password: {
     type: String,
-    required: function() {
-      return this.role === 'admin' || this.role === 'librarian';
-    },
+    required: [function() {
+      return !this.invitePending;
+    }, 'Please add a password'],
     minlength: 6,
     select: false,
   },
-  studentId: {
-    type: String,
+  // Student portal accounts belong to exactly one student record
+  student: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Student',
     required: function() {
       return this.role === 'student';
     },
     unique: true,
     sparse: true,
   },
-  class: {
-    type: String,
-    required: function() {
-      return this.role === 'student';
-    },
-  },
-  section: {
-    type: String,
-    required: function() {
-      return this.role === 'student';
-    },
-  },
   phone: {
     type: String,
     match: [/^\+?[\d\s-()]+$/, 'Please add a valid phone number'],
@@ -63,6 +60,60 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // Invited staff have no password until they accept the invitation
+  invitePending: {
+    type: Boolean,
+    default: false,
+  },
+  invitedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  // Single-use token for resetting the password or accepting an invitation, stored hashed
+  resetPasswordToken: {
+    type: String,
+    select: false,
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false,
+  },
+  // Access tokens issued before either of these are rejected
+  passwordChangedAt: {
+    type: Date,
+  },
+  sessionsRevokedAt: {
+    type: Date,
+  },
+  // TOTP two-factor authentication. The secret is kept readable because codes are
+  // computed from it; recovery codes are stored hashed and each works once.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    secret: {
+      type: String,
+      select: false,
+    },
+    // Secret being enrolled, until a first code confirms it
+    pendingSecret: {
+      type: String,
+      select: false,
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Last time step a code was accepted for, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    enabledAt: {
+      type: Date,
+    },
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -74,23 +125,121 @@ const UserSchema = new mongoose.Schema({
 // Encrypt password using bcrypt
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  if (!this.isNew) {
+    this.passwordChangedAt = Date.now();
+  }
 });
 
-// Sign JWT and return
+// Sign a short-lived access token and return it
 UserSchema.methods.getSignedJwtToken = function() {
   return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
+    expiresIn: process.env.JWT_EXPIRE || '15m',
   });
 };
 
+// Permissions granted by the user's role
+UserSchema.methods.getPermissions = function() {
+  return Role.permissionsFor(this.role);
+};
+
+// Whether an access token issued at `iat` was revoked by a password change or logout-all.
+// Compared in whole seconds, like iat, so a token issued straight after the change is kept.
+UserSchema.methods.tokenRevoked = function(iat) {
+  return [this.passwordChangedAt, this.sessionsRevokedAt]
+    .some(revokedAt => revokedAt && iat < Math.floor(revokedAt.getTime() / 1000));
+};
+
 // Match user entered password to hashed password in database
 UserSchema.methods.matchPassword = async function(enteredPassword) {
+  if (!this.password) {
+    return false;
+  }
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Generate a password reset (or invitation) token valid for `minutes`.
+// Returns the plain token; only its hash is saved.
+UserSchema.methods.getResetPasswordToken = function(minutes) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.resetPasswordToken = hashToken(token);
+  this.resetPasswordExpire = Date.now() + minutes * 60 * 1000;
+  return token;
+};
+
+// Use up an unexpired reset or invitation token, returning the user it belongs to.
+// The token is cleared atomically so it works only once.
+UserSchema.statics.consumeResetToken = function(token) {
+  return this.findOneAndUpdate(
+    { resetPasswordToken: hashToken(token), resetPasswordExpire: { $gt: Date.now() } },
+    { $unset: { resetPasswordToken: 1, resetPasswordExpire: 1 } }
+  );
+};
+
+// Start two-factor enrollment with a new secret, returned for the authenticator app
+UserSchema.methods.startTwoFactorSetup = function() {
+  this.twoFactor.pendingSecret = totp.generateSecret();
+  return this.twoFactor.pendingSecret;
+};
+
+// Replace the recovery codes with `count` new ones. Returns the plain codes; only hashes are saved.
+UserSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(hashToken);
+  return codes;
+};
+
+// Turn two-factor authentication off and forget its secret and recovery codes
+UserSchema.methods.clearTwoFactor = function() {
+  this.twoFactor = { enabled: false };
+};
+
+// Check an authenticator code for a user with two-factor enabled. The accepted time step
+// is recorded atomically, so each code works once even when two requests race.
+UserSchema.statics.useTwoFactorCode = async function(userId, code) {
+  const user = await this.findById(userId).select('+twoFactor.secret +twoFactor.lastUsedStep');
+  if (!user || !user.twoFactor.enabled || !user.twoFactor.secret) {
+    return false;
+  }
+
+  const step = totp.verify(user.twoFactor.secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const used = await this.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $exists: false } },
+        { 'twoFactor.lastUsedStep': { $lt: step } },
+      ],
+    },
+    { 'twoFactor.lastUsedStep': step }
+  );
+  return used.modifiedCount === 1;
+};
+
+// Use up one of a user's recovery codes
+UserSchema.statics.useRecoveryCode = async function(userId, code) {
+  const hash = hashToken(String(code || '').trim().toLowerCase());
+  const used = await this.updateOne(
+    { _id: userId, 'twoFactor.enabled': true, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } }
+  );
+  return used.modifiedCount === 1;
+};
+
 module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,229 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const Role = require('../models/Role');
+const audit = require('../services/audit');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect, authorize('apikeys.manage'));
+
+const keyValidators = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('permissions').optional().isArray().withMessage('Permissions must be a list'),
+  body('permissions.*').isIn(ApiKey.GRANTABLE_PERMISSIONS).withMessage('Permission cannot be given to an API key'),
+  body('allowedIps').optional().isArray().withMessage('Allowed IPs must be a list'),
+  body('allowedIps.*').custom(ApiKey.isValidAllowedIp).withMessage('Allowed IPs must be addresses or IPv4 ranges'),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Invalid expiry date'),
+];
+
+// @desc    Get API keys
+// @route   GET /api/api-keys
+// @access  Private (apikeys.manage)
+router.get('/', async (req, res, next) => {
+  try {
+    const filter = {};
+
+    // Filter by state
+    const now = new Date();
+    if (req.query.status === 'active') {
+      filter.revokedAt = null;
+      filter.$or = [{ expiresAt: null }, { expiresAt: { $gt: now } }];
+    } else if (req.query.status === 'expired') {
+      filter.revokedAt = null;
+      filter.expiresAt = { $lte: now };
+    } else if (req.query.status === 'revoked') {
+      filter.revokedAt = { $ne: null };
+    }
+
+    const keys = await ApiKey.find(filter)
+      .sort('name')
+      .populate('createdBy', 'name')
+      .populate('revokedBy', 'name');
+
+    res.status(200).json({
+      success: true,
+      count: keys.length,
+      data: keys,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get permissions an API key can be given
+// @route   GET /api/api-keys/permissions
+// @access  Private (apikeys.manage)
+router.get('/permissions', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: ApiKey.GRANTABLE_PERMISSIONS.map(name => ({ name, description: Role.PERMISSIONS[name] })),
+  });
+});
+
+// @desc    Get single API key
+// @route   GET /api/api-keys/:id
+// @access  Private (apikeys.manage)
+router.get('/:id', async (req, res, next) => {
+  try {
+    const key = await ApiKey.findById(req.params.id)
+      .populate('createdBy', 'name')
+      .populate('revokedBy', 'name');
+
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: key,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create an API key. The key is only ever returned here.
+// @route   POST /api/api-keys
+// @access  Private (apikeys.manage)
+router.post('/', [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('permissions').isArray({ min: 1 }).withMessage('Give the key at least one permission'),
+  ...keyValidators,
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    if (req.body.expiresAt && new Date(req.body.expiresAt) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry date must be in the future',
+      });
+    }
+
+    const { record, key } = await ApiKey.issue({
+      name: req.body.name,
+      permissions: req.body.permissions,
+      allowedIps: req.body.allowedIps || [],
+      expiresAt: req.body.expiresAt || undefined,
+    }, req.user);
+
+    await audit.record(req, { action: 'create', entity: 'ApiKey', after: record });
+
+    const data = record.toObject();
+    delete data.keyHash;
+
+    res.status(201).json({
+      success: true,
+      data: { ...data, key },
+      message: 'Copy the key now; it cannot be shown again',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update an API key's name, permissions, allowed IPs or expiry
+// @route   PUT /api/api-keys/:id
+// @access  Private (apikeys.manage)
+router.put('/:id', keyValidators, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const key = await ApiKey.findById(req.params.id);
+
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found',
+      });
+    }
+
+    if (key.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Revoked keys cannot be changed; create a new key instead',
+      });
+    }
+
+    const before = key.toObject();
+    for (const field of ['name', 'permissions', 'allowedIps']) {
+      if (req.body[field] !== undefined) {
+        key[field] = req.body[field];
+      }
+    }
+    // null removes the expiry
+    if (req.body.expiresAt !== undefined) {
+      key.expiresAt = req.body.expiresAt || undefined;
+    }
+    await key.save();
+
+    await audit.record(req, { action: 'update', entity: 'ApiKey', before, after: key });
+
+    res.status(200).json({
+      success: true,
+      data: key,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Revoke an API key; requests made with it fail from now on
+// @route   DELETE /api/api-keys/:id
+// @access  Private (apikeys.manage)
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const before = await ApiKey.findById(req.params.id);
+
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found',
+      });
+    }
+
+    const key = await ApiKey.findOneAndUpdate(
+      { _id: before._id, revokedAt: null },
+      { revokedAt: new Date(), revokedBy: req.user.id },
+      { new: true }
+    );
+
+    if (!key) {
+      return res.status(400).json({
+        success: false,
+        message: 'API key is already revoked',
+      });
+    }
+
+    await audit.record(req, { action: 'revoke', entity: 'ApiKey', before, after: key });
+
+    res.status(200).json({
+      success: true,
+      data: key,
+      message: 'API key revoked',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,152 @@
+const express = require('express');
+const AuditLog = require('../models/AuditLog');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect, authorize('audit.view'));
+
+// History paths, named like the API routes for each kind of record
+const ENTITY_PATHS = {
+  books: 'Book',
+  copies: 'BookCopy',
+  students: 'Student',
+  transactions: 'Transaction',
+  fines: 'FineEntry',
+  holds: 'Hold',
+  users: 'User',
+  roles: 'Role',
+  policies: 'CirculationPolicy',
+  promotions: 'PromotionRun',
+  'api-keys': 'ApiKey',
+  categories: 'Category',
+  subjects: 'Subject',
+};
+
+// @desc    Get the audit log
+// @route   GET /api/audit
+// @access  Private (audit.view)
+router.get('/', async (req, res, next) => {
+  try {
+    const filter = {};
+
+    // Filter by who acted and what they did
+    if (req.query.actor) {
+      filter.actor = req.query.actor;
+    }
+
+    if (req.query.apiKey) {
+      filter.apiKey = req.query.apiKey;
+    }
+
+    if (req.query.action) {
+      filter.action = { $in: req.query.action.split(',') };
+    }
+
+    if (req.query.entity) {
+      filter.entity = req.query.entity;
+    }
+
+    // Entries about a record, directly or as a related record
+    if (req.query.entityId) {
+      filter.$or = [
+        { entityId: req.query.entityId },
+        { 'related.entityId': req.query.entityId },
+      ];
+    }
+
+    // Changes to one field, e.g. availableCopies
+    if (req.query.field) {
+      filter['changes.field'] = req.query.field;
+    }
+
+    if (req.query.requestId) {
+      filter.requestId = req.query.requestId;
+    }
+
+    if (req.query.ip) {
+      filter.ip = req.query.ip;
+    }
+
+    // Filter by date range
+    if (req.query.startDate && req.query.endDate) {
+      filter.createdAt = {
+        $gte: new Date(req.query.startDate),
+        $lte: new Date(req.query.endDate),
+      };
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+    const total = await AuditLog.countDocuments(filter);
+
+    const entries = await AuditLog.find(filter)
+      .sort('-createdAt')
+      .skip(startIndex)
+      .limit(limit);
+
+    // Pagination result
+    const pagination = {};
+
+    if (endIndex < total) {
+      pagination.next = {
+        page: page + 1,
+        limit,
+      };
+    }
+
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit,
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      pagination,
+      data: entries,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the history of a record, oldest first
+// @route   GET /api/audit/:entity/:id
+// @access  Private (audit.view)
+router.get('/:entity/:id', async (req, res, next) => {
+  try {
+    const entity = ENTITY_PATHS[req.params.entity];
+
+    if (!entity) {
+      return res.status(404).json({
+        success: false,
+        message: `No history for ${req.params.entity}; use one of ${Object.keys(ENTITY_PATHS).join(', ')}`,
+      });
+    }
+
+    // The record's own changes, and the actions that touched it: a book's loans, a charge's waivers
+    const entries = await AuditLog.find({
+      $or: [
+        { entity, entityId: req.params.id },
+        { related: { $elemMatch: { entity, entityId: req.params.id } } },
+      ],
+    }).sort('createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
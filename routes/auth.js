@@ -1,18 +1,25 @@
 const express = require('express');
+const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { protect, authorize } = require('../middleware/auth');
+const Student = require('../models/Student');
+const Role = require('../models/Role');
+const RefreshToken = require('../models/RefreshToken');
+const accounts = require('../services/accounts');
+const audit = require('../services/audit');
+const loginThrottle = require('../services/loginThrottle');
+const totp = require('../utils/totp');
+const { protect, protectUser, protectTwoFactorSetup, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
-// @desc    Register user
+// @desc    Register the first admin of a new installation
 // @route   POST /api/auth/register
-// @access  Public
+// @access  Public (only while there are no users)
 router.post('/register', [
   body('name').notEmpty().withMessage('Name is required'),
   body('email').isEmail().withMessage('Please include a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('role').isIn(['admin', 'librarian', 'student']).withMessage('Invalid role'),
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -24,14 +31,13 @@ router.post('/register', [
       });
     }
 
-    const { name, email, password, role, studentId, class: className, section, phone, address } = req.body;
+    const { name, email, password, phone, address } = req.body;
 
-    // Check if user exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({
+    // Everyone after the first admin joins by invitation
+    if (await User.exists({})) {
+      return res.status(403).json({
         success: false,
-        message: 'User already exists with this email',
+        message: 'Registration is closed; ask an admin for an invitation',
       });
     }
 
@@ -40,15 +46,106 @@ router.post('/register', [
       name,
       email,
       password,
-      role,
-      studentId,
-      class: className,
-      section,
+      role: 'admin',
       phone,
       address,
     });
 
-    sendTokenResponse(user, 201, res);
+    await audit.record(req, { action: 'create', entity: 'User', after: user, actor: user, note: 'First admin registered' });
+
+    await sendTokenResponse(user, 201, req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Activate a student portal account
+// @route   POST /api/auth/activate
+// @access  Public
+router.post('/activate', [
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('code').if(body('libraryCardNumber').not().exists()).notEmpty()
+    .withMessage('Activation code, or library card number and date of birth, is required'),
+  body('code').optional().isString().withMessage('Activation code must be a string'),
+  body('libraryCardNumber').optional().isString().withMessage('Library card number must be a string'),
+  body('dateOfBirth').if(body('libraryCardNumber').exists()).isISO8601()
+    .withMessage('Date of birth must be a date (YYYY-MM-DD)'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { code, libraryCardNumber, dateOfBirth, password } = req.body;
+
+    // Too many recent failures for this library card or IP
+    const blocked = await loginThrottle.checkActivation(req, code ? null : libraryCardNumber);
+    if (blocked) {
+      return tooManyAttempts(res, blocked, 'activation');
+    }
+
+    // Either a code issued by library staff, or the library card and date of birth
+    let student;
+    if (code) {
+      student = await Student.findByActivationCode(code);
+    } else {
+      student = await Student.findOne({ libraryCardNumber, status: 'active' });
+      if (student && student.dateOfBirth.toISOString().slice(0, 10) !== dateOfBirth.slice(0, 10)) {
+        student = null;
+      }
+    }
+
+    if (!student) {
+      await loginThrottle.activationFailed(req, code ? null : libraryCardNumber);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired activation details',
+      });
+    }
+
+    if (await User.exists({ student: student._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A portal account has already been activated for this student',
+      });
+    }
+
+    if (await User.exists({ email: student.email })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Another account already uses this student\'s email',
+      });
+    }
+
+    const user = await User.create({
+      name: student.name,
+      email: student.email,
+      password,
+      role: 'student',
+      student: student._id,
+    });
+
+    // Codes are single-use
+    await Student.updateOne(
+      { _id: student._id },
+      { $unset: { activationCode: 1, activationCodeExpires: 1 } }
+    );
+
+    await audit.record(req, {
+      action: 'create',
+      entity: 'User',
+      after: user,
+      actor: user,
+      related: [{ entity: 'Student', entityId: student._id }],
+      note: 'Portal account activated',
+    });
+
+    await sendTokenResponse(user, 201, req, res);
   } catch (error) {
     next(error);
   }
@@ -73,10 +170,18 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    // Too many recent failures for this account or IP
+    const blocked = await loginThrottle.checkLogin(req, email);
+    if (blocked) {
+      return tooManyAttempts(res, blocked);
+    }
+
     // Check for user
     const user = await User.findOne({ email }).select('+password');
 
     if (!user) {
+      await audit.record(req, { action: 'login_failed', entity: 'User', actor: null, note: `Unknown email ${email}` });
+      await loginThrottle.loginFailed(req, email, null);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
@@ -87,6 +192,8 @@ router.post('/login', [
     const isMatch = await user.matchPassword(password);
 
     if (!isMatch) {
+      await audit.record(req, { action: 'login_failed', entity: 'User', entityId: user._id, actor: null, note: 'Wrong password' });
+      await loginThrottle.loginFailed(req, email, user);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
@@ -95,13 +202,443 @@ router.post('/login', [
 
     // Check if user is active
     if (!user.isActive) {
+      await audit.record(req, { action: 'login_failed', entity: 'User', entityId: user._id, actor: null, note: 'Account is deactivated' });
       return res.status(401).json({
         success: false,
         message: 'Account is deactivated',
       });
     }
 
-    sendTokenResponse(user, 200, res);
+    // Users with two-factor authentication finish logging in at /login/2fa
+    if (user.twoFactor.enabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: jwt.sign({ id: user._id, purpose: 'two-factor' }, process.env.JWT_SECRET, {
+          expiresIn: `${parseInt(process.env.TWO_FACTOR_CHALLENGE_MINUTES, 10) || 5}m`,
+        }),
+      });
+    }
+
+    await audit.record(req, { action: 'login', entity: 'User', entityId: user._id, actor: user });
+    await loginThrottle.clearAccount(email);
+
+    // Users whose role requires two-factor authentication are sent to set it up
+    await sendTokenResponse(user, 200, req, res, {
+      twoFactorSetupRequired: await Role.requiresTwoFactor(user.role),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Finish logging in with an authenticator code or a recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+router.post('/login/2fa', [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body('code').if(body('recoveryCode').not().exists()).notEmpty()
+    .withMessage('Authenticator code or recovery code is required'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      challenge = null;
+    }
+
+    const user = challenge && challenge.purpose === 'two-factor' && await User.findById(challenge.id);
+    if (!user || !user.isActive || user.tokenRevoked(challenge.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login has expired, please log in again',
+      });
+    }
+
+    // Wrong codes count against the account like wrong passwords
+    const blocked = await loginThrottle.checkLogin(req, user.email);
+    if (blocked) {
+      return tooManyAttempts(res, blocked);
+    }
+
+    const verified = code
+      ? await User.useTwoFactorCode(user._id, code)
+      : await User.useRecoveryCode(user._id, recoveryCode);
+
+    if (!verified) {
+      await audit.record(req, { action: 'login_failed', entity: 'User', entityId: user._id, actor: null, note: 'Wrong two-factor code' });
+      await loginThrottle.loginFailed(req, user.email, user);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code',
+      });
+    }
+
+    await audit.record(req, {
+      action: 'login',
+      entity: 'User',
+      entityId: user._id,
+      actor: user,
+      note: code ? 'With two-factor code' : 'With recovery code',
+    });
+    await loginThrottle.clearAccount(user.email);
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Start setting up two-factor authentication
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+router.post('/2fa/setup', protectTwoFactorSetup, async (req, res, next) => {
+  try {
+    if (req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already on',
+      });
+    }
+
+    // Starting again replaces a secret that was never confirmed
+    const secret = req.user.startTwoFactorSetup();
+    await req.user.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        secret,
+        // Shown as a QR code for the authenticator app to scan
+        otpauthUri: totp.otpauthUri({
+          secret,
+          account: req.user.email,
+          issuer: process.env.TWO_FACTOR_ISSUER || 'Library',
+        }),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Confirm setup with a first code and turn two-factor authentication on
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+router.post('/2fa/enable', protectTwoFactorSetup, [
+  body('code').notEmpty().withMessage('Authenticator code is required'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor.enabled || !user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first',
+      });
+    }
+
+    const step = totp.verify(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code; check the time on your device and try again',
+      });
+    }
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    await audit.record(req, {
+      action: 'update',
+      entity: 'User',
+      entityId: user._id,
+      before: { twoFactor: { enabled: false } },
+      after: { twoFactor: { enabled: true } },
+      note: 'Two-factor authentication turned on',
+    });
+
+    // Recovery codes are only ever shown here
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: true,
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Turn two-factor authentication off
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/2fa/disable', protectUser, [
+  body('password').exists().withMessage('Password is required'),
+  body('code').if(body('recoveryCode').not().exists()).notEmpty()
+    .withMessage('Authenticator code or recovery code is required'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    if (!req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not on',
+      });
+    }
+
+    if (await Role.requiresTwoFactor(req.user.role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your role requires two-factor authentication',
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+    const verified = await user.matchPassword(req.body.password) && (req.body.code
+      ? await User.useTwoFactorCode(user._id, req.body.code)
+      : await User.useRecoveryCode(user._id, req.body.recoveryCode));
+
+    if (!verified) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password or two-factor code is incorrect',
+      });
+    }
+
+    user.clearTwoFactor();
+    await user.save();
+
+    await audit.record(req, {
+      action: 'update',
+      entity: 'User',
+      entityId: user._id,
+      before: { twoFactor: { enabled: true } },
+      after: { twoFactor: { enabled: false } },
+      note: 'Two-factor authentication turned off',
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication turned off',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Replace the recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+router.post('/2fa/recovery-codes', protectUser, [
+  body('code').notEmpty().withMessage('Authenticator code is required'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    if (!(await User.useTwoFactorCode(req.user._id, req.body.code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code',
+      });
+    }
+
+    // Codes from the previous set stop working
+    const recoveryCodes = req.user.generateRecoveryCodes();
+    await req.user.save();
+
+    await audit.record(req, { action: 'update', entity: 'User', entityId: req.user._id, note: 'Recovery codes replaced' });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Invite a staff member to set up their account
+// @route   POST /api/auth/invite
+// @access  Private (users.manage)
+router.post('/invite', protect, authorize('users.manage'), [
+  body('name').notEmpty().withMessage('Name is required'),
+  body('email').isEmail().withMessage('Please include a valid email'),
+  body('role').custom(async (value) => {
+    if (!(await Role.isStaffRole(value))) {
+      throw new Error(`Role ${value} does not exist`);
+    }
+    return true;
+  }),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    await accounts.ensureCanGrant(req.user, req.body.role);
+    const user = await accounts.inviteStaff(req.body, req.user);
+
+    await audit.record(req, { action: 'create', entity: 'User', after: user, note: 'Invited' });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        invitePending: true,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgotpassword
+// @access  Public
+router.post('/forgotpassword', [
+  body('email').isEmail().withMessage('Please include a valid email'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    // Asked too often for this email, or from this IP
+    const blocked = await loginThrottle.checkPasswordReset(req, req.body.email);
+    if (blocked) {
+      return tooManyAttempts(res, blocked, 'password reset');
+    }
+    await loginThrottle.passwordResetAttempted(req, req.body.email);
+
+    const user = await User.findOne({ email: req.body.email, isActive: true, invitePending: false });
+
+    // A failed send is only logged, so it can't tell the caller the account exists
+    if (user) {
+      try {
+        await accounts.sendPasswordReset(user);
+      } catch (error) {
+        console.error(`Password reset email to ${user.email} failed:`, error.message);
+      }
+    }
+
+    // Same answer whether or not the account exists
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Set a new password with a reset or invitation token
+// @route   PUT /api/auth/resetpassword/:token
+// @access  Public
+router.put('/resetpassword/:token', [
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    // Too many wrong tokens from this IP
+    const blocked = await loginThrottle.checkPasswordReset(req);
+    if (blocked) {
+      return tooManyAttempts(res, blocked, 'password reset');
+    }
+
+    const user = await User.consumeResetToken(req.params.token);
+
+    if (!user || !user.isActive) {
+      await loginThrottle.passwordResetAttempted(req);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired token',
+      });
+    }
+
+    const before = user.toObject();
+    user.password = req.body.password;
+    user.invitePending = false;
+    await user.save();
+
+    await audit.record(req, {
+      action: 'update',
+      entity: 'User',
+      before,
+      after: user,
+      actor: user,
+      note: before.invitePending ? 'Invitation accepted' : 'Password reset',
+    });
+
+    // Sessions started with the old password end
+    await RefreshToken.revokeAllForUser(user._id);
+
+    await sendTokenResponse(user, 200, req, res);
   } catch (error) {
     next(error);
   }
@@ -110,12 +647,19 @@ router.post('/login', [
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
-router.get('/me', protect, async (req, res, next) => {
+router.get('/me', protectTwoFactorSetup, async (req, res, next) => {
   try {
-    const user = await User.findById(req.user.id);
+    const user = await User.findById(req.user.id)
+      .populate('student', 'name studentId class section libraryCardNumber');
+
+    // The frontend shows only the actions these allow
     res.status(200).json({
       success: true,
-      data: user,
+      data: {
+        ...user.toObject(),
+        permissions: await user.getPermissions(),
+        twoFactorRequired: await Role.requiresTwoFactor(user.role),
+      },
     });
   } catch (error) {
     next(error);
@@ -125,7 +669,7 @@ router.get('/me', protect, async (req, res, next) => {
 // @desc    Update user details
 // @route   PUT /api/auth/updatedetails
 // @access  Private
-router.put('/updatedetails', protect, [
+router.put('/updatedetails', protectUser, [
   body('name').optional().notEmpty().withMessage('Name cannot be empty'),
   body('email').optional().isEmail().withMessage('Please include a valid email'),
 ], async (req, res, next) => {
@@ -151,6 +695,8 @@ router.put('/updatedetails', protect, [
       runValidators: true,
     });
 
+    await audit.record(req, { action: 'update', entity: 'User', before: req.user, after: user });
+
     res.status(200).json({
       success: true,
       data: user,
@@ -163,7 +709,7 @@ router.put('/updatedetails', protect, [
 // @desc    Update password
 // @route   PUT /api/auth/updatepassword
 // @access  Private
-router.put('/updatepassword', protect, [
+router.put('/updatepassword', protectUser, [
   body('currentPassword').exists().withMessage('Current password is required'),
   body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters'),
 ], async (req, res, next) => {
@@ -187,41 +733,145 @@ router.put('/updatepassword', protect, [
       });
     }
 
+    const before = user.toObject();
     user.password = req.body.newPassword;
     await user.save();
 
-    sendTokenResponse(user, 200, res);
+    await audit.record(req, { action: 'update', entity: 'User', before, after: user, note: 'Password changed' });
+
+    // Other sessions have to log in again with the new password
+    await RefreshToken.revokeAllForUser(user._id);
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a new access token with a refresh token
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const token = req.cookies.refreshToken || req.body.refreshToken;
+
+    const rotated = token && await RefreshToken.rotate(token, req);
+    if (!rotated) {
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token',
+      });
+    }
+
+    const user = await User.findById(rotated.record.user);
+    if (!user || !user.isActive) {
+      await RefreshToken.revokeFamily(rotated.record.family);
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated',
+      });
+    }
+
+    sendTokens(user, rotated.token, 200, res);
   } catch (error) {
     next(error);
   }
 });
 
-// Get token from model, create cookie and send response
-const sendTokenResponse = (user, statusCode, res) => {
-  // Create token
-  const token = user.getSignedJwtToken();
+// @desc    Log out this session
+// @route   POST /api/auth/logout
+// @access  Public
+router.post('/logout', async (req, res, next) => {
+  try {
+    const token = req.cookies.refreshToken || req.body.refreshToken;
+    const session = token && await RefreshToken.revoke(token);
+    if (session) {
+      await audit.record(req, { action: 'logout', entity: 'User', entityId: session.user, actor: { _id: session.user } });
+    }
 
-  const options = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true,
-  };
+    clearRefreshCookie(res);
+    res.status(200).json({
+      success: true,
+      message: 'Logged out',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-  if (process.env.NODE_ENV === 'production') {
-    options.secure = true;
+// @desc    Log out every session, including access tokens already issued
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post('/logout-all', protectTwoFactorSetup, async (req, res, next) => {
+  try {
+    await RefreshToken.revokeAllForUser(req.user._id);
+    await User.updateOne({ _id: req.user._id }, { sessionsRevokedAt: new Date() });
+
+    await audit.record(req, { action: 'logout', entity: 'User', entityId: req.user._id, note: 'All sessions' });
+
+    clearRefreshCookie(res);
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all sessions',
+    });
+  } catch (error) {
+    next(error);
   }
+});
+
+// Refuse a login attempt made too soon after failed ones
+const tooManyAttempts = (res, { locked, retryAfter }, action = 'login') => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    retryAfter,
+    message: locked
+      ? `Too many ${action} attempts; ${action} is locked for ${Math.ceil(retryAfter / 60)} minute(s)`
+      : `Too many ${action} attempts; try again in ${retryAfter} second(s)`,
+  });
+};
+
+// The refresh token cookie is only sent to the auth routes, and never with requests started
+// by another site, which could otherwise refresh or end the session on the user's behalf
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  path: '/api/auth',
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+});
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie('refreshToken', refreshCookieOptions());
+};
+
+// Send an access token, and the refresh token both as a cookie and in the body for non-browser clients
+const sendTokens = (user, refreshToken, statusCode, res, extra = {}) => {
+  res.cookie('refreshToken', refreshToken, {
+    ...refreshCookieOptions(),
+    maxAge: (parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30) * 24 * 60 * 60 * 1000,
+  });
 
   res.status(statusCode).json({
     success: true,
-    token,
+    token: user.getSignedJwtToken(),
+    refreshToken,
+    ...extra,
     data: {
       id: user._id,
       name: user.name,
       email: user.email,
       role: user.role,
+      student: user.student,
     },
   });
 };
 
+// Start a new session: issue a refresh token and send it with an access token
+const sendTokenResponse = async (user, statusCode, req, res, extra) => {
+  const { token } = await RefreshToken.issue(user, req);
+  sendTokens(user, token, statusCode, res, extra);
+};
+
 module.exports = router;
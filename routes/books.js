@@ -1,46 +1,54 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Book = require('../models/Book');
+const Category = require('../models/Category');
+const BookCopy = require('../models/BookCopy');
+const catalogTransfer = require('../services/catalogTransfer');
+const catalogSearch = require('../services/catalogSearch');
+const catalogBrowse = require('../services/catalogBrowse');
+const taxonomy = require('../services/taxonomy');
+const audit = require('../services/audit');
+const callNumbers = require('../utils/callNumber');
+const isbns = require('../utils/isbn');
+const { madeBy } = require('../utils/actor');
 const { protect, authorize } = require('../middleware/auth');
+const { uploadFile } = require('../middleware/upload');
 
 const router = express.Router();
 
-// @desc    Get all books
+// Mongoose sort from ?sort=, where `callNumber` means shelf order
+const sortBy = sort => sort.split(',')
+  .map(field => field.replace(/^(-?)callNumber$/, '$1callNumber.sortKey'))
+  .join(' ');
+
+const callNumberValidator = body('callNumber').optional({ values: 'falsy' }).custom((value) => {
+  if (!callNumbers.parse(value)) {
+    throw new Error('Call number must be a Dewey class number with an optional Cutter number and volume, e.g. 823.914 S655 v.2');
+  }
+  return true;
+});
+
+// @desc    Get all books, or search them by relevance
 // @route   GET /api/books
 // @access  Public
 router.get('/', async (req, res, next) => {
   try {
-    let query = Book.find({ isActive: true });
+    // Books in scope before any facet is picked: the active catalog, or the search results
+    const base = { isActive: true };
+    let matches = null;
 
-    // Search functionality
     if (req.query.search) {
-      query = query.find({
-        $or: [
-          { title: { $regex: req.query.search, $options: 'i' } },
-          { author: { $regex: req.query.search, $options: 'i' } },
-          { isbn: { $regex: req.query.search, $options: 'i' } },
-          { subject: { $regex: req.query.search, $options: 'i' } },
-          { description: { $regex: req.query.search, $options: 'i' } }
-        ]
-      });
+      matches = await catalogSearch.search(String(req.query.search).slice(0, 200));
+      base._id = { $in: matches.map(match => match.id) };
     }
 
-    // Filter by category
-    if (req.query.category) {
-      query = query.find({ category: req.query.category });
-    }
+    // Facet selections, e.g. ?category=Fiction,Science&language=English
+    const filters = catalogBrowse.parseFilters(req.query);
+    const filter = { ...base, ...catalogBrowse.matchFor(filters) };
 
     // Filter by availability
     if (req.query.available === 'true') {
-      query = query.find({ availableCopies: { $gt: 0 } });
-    }
-
-    // Sort
-    if (req.query.sort) {
-      const sortBy = req.query.sort.split(',').join(' ');
-      query = query.sort(sortBy);
-    } else {
-      query = query.sort('-createdAt');
+      filter.availableCopies = { $gt: 0 };
     }
 
     // Pagination
@@ -48,11 +56,46 @@ router.get('/', async (req, res, next) => {
     const limit = parseInt(req.query.limit, 10) || 10;
     const startIndex = (page - 1) * limit;
     const endIndex = page * limit;
-    const total = await Book.countDocuments({ isActive: true });
 
-    query = query.skip(startIndex).limit(limit).populate('addedBy', 'name');
+    let books;
+    let total;
+
+    if (matches) {
+      // Rank matches, keep those passing the other filters, then load just this page
+      const found = await Book.find(filter).select('_id');
+      const kept = new Set(found.map(book => book._id.toString()));
+      const ranked = matches.filter(match => kept.has(match.id));
+      total = ranked.length;
+
+      let pageMatches;
+      if (req.query.sort) {
+        const sorted = await Book.find({ _id: { $in: ranked.map(match => match.id) } })
+          .sort(sortBy(req.query.sort))
+          .skip(startIndex)
+          .limit(limit)
+          .select('_id');
+        const matchById = new Map(ranked.map(match => [match.id, match]));
+        pageMatches = sorted.map(book => matchById.get(book._id.toString()));
+      } else {
+        pageMatches = ranked.slice(startIndex, endIndex);
+      }
 
-    const books = await query;
+      const pageBooks = await Book.find({ _id: { $in: pageMatches.map(match => match.id) } }).populate('addedBy', 'name');
+      const byId = new Map(pageBooks.map(book => [book._id.toString(), book]));
+      books = pageMatches
+        .filter(match => byId.has(match.id))
+        .map(match => ({ ...byId.get(match.id).toObject(), score: match.score, highlights: match.highlights }));
+    } else {
+      total = await Book.countDocuments(filter);
+      books = await Book.find(filter)
+        .sort(req.query.sort ? sortBy(req.query.sort) : '-createdAt')
+        .skip(startIndex)
+        .limit(limit)
+        .populate('addedBy', 'name');
+    }
+
+    // Counts for each facet value, over the same search and selections
+    const facets = await catalogBrowse.facetCounts(base, filters, { available: req.query.available === 'true' });
 
     // Pagination result
     const pagination = {};
@@ -76,6 +119,7 @@ router.get('/', async (req, res, next) => {
       count: books.length,
       total,
       pagination,
+      facets,
       data: books,
     });
   } catch (error) {
@@ -83,6 +127,133 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+// @desc    Export the catalog as CSV, MARC21 or MARCXML
+// @route   GET /api/books/export
+// @access  Private (catalog.export)
+router.get('/export', protect, authorize('catalog.export'), async (req, res, next) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!catalogTransfer.FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv, marc or marcxml',
+      });
+    }
+
+    const filter = { isActive: true };
+
+    // Filter by category
+    if (req.query.category) {
+      filter.category = req.query.category;
+    }
+
+    const books = await Book.find(filter).sort('title');
+    const { extension, type } = catalogTransfer.FORMATS[format];
+
+    res.attachment(`catalog-${new Date().toISOString().slice(0, 10)}.${extension}`);
+    res.type(type).send(catalogTransfer.exportCatalog(books, format));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Shelf list: books and their copies in call-number order, optionally within a range
+// @route   GET /api/books/shelf-list
+// @access  Private (catalog.view)
+router.get('/shelf-list', protect, authorize('catalog.view'), [
+  query('from').optional().custom(callNumbers.isValidBound).withMessage('from must be a class number, e.g. 800 or 823.9'),
+  query('to').optional().custom(callNumbers.isValidBound).withMessage('to must be a class number, e.g. 899 or 823.9'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const scope = { isActive: true };
+
+    // Filter by section
+    if (req.query.section) {
+      scope['location.section'] = req.query.section;
+    }
+
+    const books = await Book.find({
+      ...scope,
+      'callNumber.sortKey': { $ne: null, ...callNumbers.rangeFilter(req.query.from, req.query.to) },
+    })
+      .sort('callNumber.sortKey title')
+      .select('title author isbn callNumber location');
+
+    const copies = await BookCopy.find({
+      book: { $in: books.map(book => book._id) },
+      status: { $nin: BookCopy.INACTIVE_STATUSES },
+    }).sort('accessionNumber');
+
+    // Copies recorded in another section than their book are likely misshelved
+    const data = books.map((book) => {
+      const section = book.location && book.location.section;
+      return {
+        book: book._id,
+        callNumber: callNumbers.format(book.callNumber),
+        title: book.title,
+        author: book.author,
+        isbn: book.isbn,
+        section,
+        shelf: book.location && book.location.shelf,
+        suggestedSection: callNumbers.suggestSection(book.callNumber.classNumber),
+        copies: copies
+          .filter(copy => copy.book.equals(book._id))
+          .map(copy => ({
+            _id: copy._id,
+            barcode: copy.barcode,
+            status: copy.status,
+            location: copy.location,
+            misplaced: Boolean(copy.location && copy.location.section && copy.location.section !== section),
+          })),
+      };
+    });
+
+    // Books left off the list because they have no call number yet
+    const unclassified = await Book.countDocuments({ ...scope, 'callNumber.sortKey': null });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      unclassified,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a book by its ISBN-10 or ISBN-13
+// @route   GET /api/books/isbn/:isbn
+// @access  Public
+router.get('/isbn/:isbn', async (req, res, next) => {
+  try {
+    const book = await Book.findByIsbn(req.params.isbn, { isActive: true }).populate('addedBy', 'name');
+
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: book,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Get single book
 // @route   GET /api/books/:id
 // @access  Public
@@ -108,16 +279,16 @@ router.get('/:id', async (req, res, next) => {
 
 // @desc    Create new book
 // @route   POST /api/books
-// @access  Private (Admin/Librarian)
-router.post('/', protect, authorize('admin', 'librarian'), [
+// @access  Private (catalog.edit)
+router.post('/', protect, authorize('catalog.edit'), [
   body('title').notEmpty().withMessage('Title is required'),
   body('author').notEmpty().withMessage('Author is required'),
-  body('isbn').matches(/^(?:\d{9}[\dX]|\d{13})$/).withMessage('Please provide a valid ISBN'),
+  body('isbn').custom(isbns.isValid).withMessage('Please provide a valid ISBN-10 or ISBN-13'),
   body('publisher').notEmpty().withMessage('Publisher is required'),
   body('publicationYear').isInt({ min: 1800, max: new Date().getFullYear() }).withMessage('Invalid publication year'),
-  body('category').isIn(['Fiction', 'Non-Fiction', 'Science', 'Mathematics', 'History', 'Geography', 'Literature', 'Biography', 'Reference', 'Textbook', 'Other']).withMessage('Invalid category'),
+  body('category').notEmpty().withMessage('Category is required'),
+  callNumberValidator,
   body('totalCopies').isInt({ min: 1 }).withMessage('Total copies must be at least 1'),
-  body('availableCopies').isInt({ min: 0 }).withMessage('Available copies cannot be negative'),
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -129,10 +300,50 @@ router.post('/', protect, authorize('admin', 'librarian'), [
       });
     }
 
+    // The same edition may already be in the catalog under its other ISBN form
+    delete req.body.originalIsbn;
+    const existing = await Book.findByIsbn(req.body.isbn);
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `This ISBN is already in the catalog as ${existing.title}`,
+        data: { book: existing._id, isbn: existing.isbn },
+      });
+    }
+
+    // Category, subcategory and subject must come from the taxonomy
+    const checked = await taxonomy.checkBook(req.body);
+    if (checked.errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: checked.errors,
+      });
+    }
+    Object.assign(req.body, checked.values);
+
+    // Shelve classified books in their Dewey class's section unless a section is given
+    req.body.callNumber = callNumbers.parse(req.body.callNumber) || undefined;
+    if (req.body.callNumber && !(req.body.location && req.body.location.section)) {
+      req.body.location = {
+        ...req.body.location,
+        section: callNumbers.suggestSection(req.body.callNumber.classNumber),
+      };
+    }
+
     // Add user to req.body
-    req.body.addedBy = req.user.id;
+    Object.assign(req.body, madeBy(req.user, 'addedBy'));
 
-    const book = await Book.create(req.body);
+    // Copy counts start from the physical copies created below
+    const totalCopies = parseInt(req.body.totalCopies, 10);
+    req.body.availableCopies = totalCopies;
+
+    let book = await Book.create(req.body);
+
+    await BookCopy.createForBook(book, totalCopies, madeBy(req.user, 'addedBy'));
+    book = await BookCopy.syncBookCounts(book._id);
+
+    await audit.record(req, { action: 'create', entity: 'Book', after: book });
 
     res.status(201).json({
       success: true,
@@ -143,16 +354,83 @@ router.post('/', protect, authorize('admin', 'librarian'), [
   }
 });
 
+// @desc    Import books from CSV, MARC21 or MARCXML
+// @route   POST /api/books/import
+// @access  Private (catalog.import)
+router.post('/import', protect, authorize('catalog.import'), uploadFile('file', Object.keys(catalogTransfer.IMPORT_EXTENSIONS)), [
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be true or false'),
+  body('skipInvalid').optional().isBoolean().withMessage('skipInvalid must be true or false'),
+  body('onDuplicate').optional().isIn(['skip', 'addCopies']).withMessage('onDuplicate must be skip or addCopies'),
+  body('category').optional().custom(async (value) => {
+    if (!await Category.isValid(value)) {
+      throw new Error('Invalid category');
+    }
+  }),
+  body('copies').optional().isInt({ min: 1 }).withMessage('Copies must be at least 1'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const records = await catalogTransfer.readCatalog(req.file);
+
+    // Nothing is written unless dryRun=false is sent
+    const report = await catalogTransfer.importCatalog(records, {
+      dryRun: req.body.dryRun !== 'false',
+      skipInvalid: req.body.skipInvalid === 'true',
+      onDuplicate: req.body.onDuplicate,
+      defaults: {
+        category: req.body.category,
+        shelf: req.body.shelf,
+        section: req.body.section,
+        copies: req.body.copies,
+      },
+      actor: req.user,
+    });
+
+    if (req.body.dryRun === 'false' && report.dryRun) {
+      return res.status(400).json({
+        success: false,
+        message: `${report.summary.invalid} record(s) are invalid; nothing was imported`,
+        data: report,
+      });
+    }
+
+    if (!report.dryRun) {
+      await audit.record(req, {
+        action: 'import',
+        entity: 'Book',
+        related: report.records
+          .filter(record => ['create', 'addCopies'].includes(record.action))
+          .map(record => ({ entity: 'Book', entityId: record.book })),
+        note: `${req.file.originalname}: ${report.summary.create} created, ${report.summary.addCopies} given more copies`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Update book
 // @route   PUT /api/books/:id
-// @access  Private (Admin/Librarian)
-router.put('/:id', protect, authorize('admin', 'librarian'), [
+// @access  Private (catalog.edit)
+router.put('/:id', protect, authorize('catalog.edit'), [
   body('title').optional().notEmpty().withMessage('Title cannot be empty'),
   body('author').optional().notEmpty().withMessage('Author cannot be empty'),
-  body('isbn').optional().matches(/^(?:\d{9}[\dX]|\d{13})$/).withMessage('Please provide a valid ISBN'),
+  body('isbn').optional().custom(isbns.isValid).withMessage('Please provide a valid ISBN-10 or ISBN-13'),
   body('publicationYear').optional().isInt({ min: 1800, max: new Date().getFullYear() }).withMessage('Invalid publication year'),
-  body('totalCopies').optional().isInt({ min: 1 }).withMessage('Total copies must be at least 1'),
-  body('availableCopies').optional().isInt({ min: 0 }).withMessage('Available copies cannot be negative'),
+  callNumberValidator,
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -173,11 +451,48 @@ router.put('/:id', protect, authorize('admin', 'librarian'), [
       });
     }
 
+    // Copy counts are derived from BookCopy records, manage them via /api/copies
+    delete req.body.totalCopies;
+    delete req.body.availableCopies;
+
+    // Store the ISBN-13, keeping the form entered
+    delete req.body.originalIsbn;
+    if (req.body.isbn !== undefined) {
+      const existing = await Book.findByIsbn(req.body.isbn, { _id: { $ne: book._id } });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: `This ISBN is already in the catalog as ${existing.title}`,
+          data: { book: existing._id, isbn: existing.isbn },
+        });
+      }
+      req.body.originalIsbn = String(req.body.isbn).trim();
+      req.body.isbn = isbns.toIsbn13(req.body.isbn);
+    }
+
+    const checked = await taxonomy.checkBook(req.body, book);
+    if (checked.errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: checked.errors,
+      });
+    }
+    Object.assign(req.body, checked.values);
+
+    // Send an empty call number to clear it
+    if (req.body.callNumber !== undefined) {
+      req.body.callNumber = callNumbers.parse(req.body.callNumber);
+    }
+
+    const before = book;
     book = await Book.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
       runValidators: true,
     });
 
+    await audit.record(req, { action: 'update', entity: 'Book', before, after: book });
+
     res.status(200).json({
       success: true,
       data: book,
@@ -189,8 +504,8 @@ router.put('/:id', protect, authorize('admin', 'librarian'), [
 
 // @desc    Delete book (soft delete)
 // @route   DELETE /api/books/:id
-// @access  Private (Admin/Librarian)
-router.delete('/:id', protect, authorize('admin', 'librarian'), async (req, res, next) => {
+// @access  Private (catalog.delete)
+router.delete('/:id', protect, authorize('catalog.delete'), async (req, res, next) => {
   try {
     const book = await Book.findById(req.params.id);
 
@@ -202,9 +517,12 @@ router.delete('/:id', protect, authorize('admin', 'librarian'), async (req, res,
     }
 
     // Soft delete
+    const before = book.toObject();
     book.isActive = false;
     await book.save();
 
+    await audit.record(req, { action: 'delete', entity: 'Book', before, after: book });
+
     res.status(200).json({
       success: true,
       message: 'Book deleted successfully',
@@ -215,19 +533,43 @@ router.delete('/:id', protect, authorize('admin', 'librarian'), async (req, res,
 });
 
 // @desc    Get book categories
-// @route   GET /api/books/categories
+// @route   GET /api/books/meta/categories
 // @access  Public
 router.get('/meta/categories', async (req, res, next) => {
   try {
-    const categories = ['Fiction', 'Non-Fiction', 'Science', 'Mathematics', 'History', 'Geography', 'Literature', 'Biography', 'Reference', 'Textbook', 'Other'];
-    
+    const [categories, tree] = await Promise.all([Category.topLevelNames(), Category.tree()]);
+
     res.status(200).json({
       success: true,
       data: categories,
+      tree,
     });
   } catch (error) {
     next(error);
   }
 });
 
+// @desc    Check a call number and suggest a section for it
+// @route   GET /api/books/meta/call-number
+// @access  Public
+router.get('/meta/call-number', (req, res) => {
+  const callNumber = callNumbers.parse(req.query.value);
+
+  if (!callNumber) {
+    return res.status(400).json({
+      success: false,
+      message: 'Call number must be a Dewey class number with an optional Cutter number and volume, e.g. 823.914 S655 v.2',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...callNumber,
+      label: callNumbers.format(callNumber),
+      suggestedSection: callNumbers.suggestSection(callNumber.classNumber),
+    },
+  });
+});
+
 module.exports = router;
@@ -0,0 +1,386 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Book = require('../models/Book');
+const BookCopy = require('../models/BookCopy');
+const audit = require('../services/audit');
+const callNumbers = require('../utils/callNumber');
+const { madeBy } = require('../utils/actor');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Statuses staff may set by hand; 'issued' is only set through circulation
+const MANUAL_STATUSES = ['available', 'damaged', 'missing', 'lost', 'withdrawn'];
+
+// @desc    Get all copies
+// @route   GET /api/copies
+// @access  Private (catalog.view)
+router.get('/', protect, authorize('catalog.view'), async (req, res, next) => {
+  try {
+    const filter = {};
+
+    // Filter by book
+    if (req.query.book) {
+      filter.book = req.query.book;
+    }
+
+    // Filter by status
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    // Filter by location
+    if (req.query.section) {
+      filter['location.section'] = req.query.section;
+    }
+
+    if (req.query.shelf) {
+      filter['location.shelf'] = req.query.shelf;
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+    const total = await BookCopy.countDocuments(filter);
+
+    const copies = await BookCopy.find(filter)
+      .sort('accessionNumber')
+      .skip(startIndex)
+      .limit(limit)
+      .populate('book', 'title author isbn');
+
+    // Pagination result
+    const pagination = {};
+
+    if (endIndex < total) {
+      pagination.next = {
+        page: page + 1,
+        limit,
+      };
+    }
+
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit,
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: copies.length,
+      total,
+      pagination,
+      data: copies,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get copy by barcode
+// @route   GET /api/copies/barcode/:barcode
+// @access  Private (catalog.view)
+router.get('/barcode/:barcode', protect, authorize('catalog.view'), async (req, res, next) => {
+  try {
+    const copy = await BookCopy.findOne({ barcode: req.params.barcode })
+      .populate('book', 'title author isbn');
+
+    if (!copy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Copy not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: copy,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get single copy
+// @route   GET /api/copies/:id
+// @access  Private (catalog.view)
+router.get('/:id', protect, authorize('catalog.view'), async (req, res, next) => {
+  try {
+    const copy = await BookCopy.findById(req.params.id)
+      .populate('book', 'title author isbn')
+      .populate('addedBy', 'name');
+
+    if (!copy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Copy not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: copy,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Add copies to a book
+// @route   POST /api/copies
+// @access  Private (catalog.edit)
+router.post('/', protect, authorize('catalog.edit'), [
+  body('bookId').notEmpty().withMessage('Book ID is required'),
+  body('count').optional().isInt({ min: 1, max: 100 }).withMessage('Count must be between 1 and 100'),
+  body('barcodes').optional().isArray({ min: 1 }).withMessage('Barcodes must be a non-empty array'),
+  body('condition').optional().isIn(['New', 'Good', 'Fair', 'Poor']).withMessage('Invalid condition'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { bookId, barcodes, condition, shelf, section } = req.body;
+
+    const book = await Book.findById(bookId);
+    if (!book || !book.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found',
+      });
+    }
+
+    const fields = madeBy(req.user, 'addedBy');
+    if (condition) fields.condition = condition;
+    if (shelf || section) {
+      fields.location = {
+        shelf: shelf || book.location.shelf,
+        section: section || book.location.section,
+      };
+    }
+
+    let copies;
+    if (barcodes) {
+      // Pre-printed labels: one copy per supplied barcode
+      copies = [];
+      for (const barcode of barcodes) {
+        const [copy] = await BookCopy.createForBook(book, 1, { ...fields, barcode });
+        copies.push(copy);
+      }
+    } else {
+      copies = await BookCopy.createForBook(book, parseInt(req.body.count, 10) || 1, fields);
+    }
+
+    await BookCopy.syncBookCounts(book._id);
+
+    for (const copy of copies) {
+      await audit.record(req, {
+        action: 'create',
+        entity: 'BookCopy',
+        after: copy,
+        related: [{ entity: 'Book', entityId: book._id }],
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      count: copies.length,
+      data: copies,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update copy
+// @route   PUT /api/copies/:id
+// @access  Private (catalog.edit)
+router.put('/:id', protect, authorize('catalog.edit'), [
+  body('barcode').optional().notEmpty().withMessage('Barcode cannot be empty'),
+  body('condition').optional().isIn(['New', 'Good', 'Fair', 'Poor', 'Damaged']).withMessage('Invalid condition'),
+  body('status').optional().isIn(MANUAL_STATUSES).withMessage('Invalid status'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const copy = await BookCopy.findById(req.params.id);
+
+    if (!copy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Copy not found',
+      });
+    }
+
+    const { barcode, condition, status, shelf, section, notes } = req.body;
+
+    // An issued copy belongs to its loan: it is returned, or reported lost, through circulation
+    if (status && copy.status === 'issued') {
+      return res.status(400).json({
+        success: false,
+        message: 'Copy is currently issued; return it or report it lost through its transaction',
+      });
+    }
+
+    // A copy on the hold shelf belongs to the hold until it is picked up or the hold is cancelled
+    if (status && copy.status === 'on_hold') {
+      return res.status(400).json({
+        success: false,
+        message: 'Copy is on the hold shelf; cancel its hold first',
+      });
+    }
+
+    const before = copy.toObject();
+    if (barcode) copy.barcode = barcode;
+    if (condition) copy.condition = condition;
+    if (status) copy.status = status;
+    if (shelf) copy.location.shelf = shelf;
+    if (section) copy.location.section = section;
+    if (notes !== undefined) copy.notes = notes;
+
+    await copy.save();
+    await BookCopy.syncBookCounts(copy.book);
+
+    await audit.record(req, {
+      action: 'update',
+      entity: 'BookCopy',
+      before,
+      after: copy,
+      related: [{ entity: 'Book', entityId: copy.book }],
+    });
+
+    res.status(200).json({
+      success: true,
+      data: copy,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Reconcile a stocktake scan against the copies expected on the shelves and flag copies out of call-number order
+// @route   POST /api/copies/stocktake
+// @access  Private (catalog.edit)
+router.post('/stocktake', protect, authorize('catalog.edit'), [
+  body('barcodes').isArray().withMessage('Barcodes must be an array'),
+  body('markMissing').optional().isBoolean().withMessage('markMissing must be a boolean'),
+  // Unscoped, every copy in the library that wasn't scanned would be marked missing
+  body('markMissing').custom((value, { req }) => !value || Boolean(req.body.section || req.body.shelf || req.body.bookId))
+    .withMessage('markMissing needs a section, shelf or bookId to limit the stocktake to'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { barcodes, section, shelf, bookId, markMissing } = req.body;
+    const scanned = new Set(barcodes.map(String));
+    const now = new Date();
+
+    // Scope of the stocktake: only copies expected in the scanned area
+    const scope = {};
+    if (section) scope['location.section'] = section;
+    if (shelf) scope['location.shelf'] = shelf;
+    if (bookId) scope.book = bookId;
+
+    const scannedCopies = await BookCopy.find({ barcode: { $in: [...scanned] } });
+    const knownBarcodes = new Set(scannedCopies.map(copy => copy.barcode));
+    const affectedBooks = new Set();
+
+    const report = {
+      seen: [],
+      found: [],
+      issuedButOnShelf: [],
+      missing: [],
+      unknown: [...scanned].filter(code => !knownBarcodes.has(code)),
+      misshelved: [],
+    };
+
+    // Barcodes scanned along the shelf should follow call-number order
+    const books = await Book.find({ _id: { $in: scannedCopies.map(copy => copy.book) } }).select('callNumber');
+    const keyOf = new Map(books.map(book => [book._id.toString(), book.callNumber && book.callNumber.sortKey]));
+    const copyOf = new Map(scannedCopies.map(copy => [copy.barcode, copy]));
+    const shelfOrder = [...scanned].filter(code => copyOf.has(code));
+    const keys = shelfOrder.map(code => keyOf.get(copyOf.get(code).book.toString()) || null);
+    report.misshelved = callNumbers.outOfOrder(keys).map(index => shelfOrder[index]);
+
+    // Copies whose status the stocktake changed, for the audit log
+    const statusChanges = [];
+
+    for (const copy of scannedCopies) {
+      copy.lastSeenAt = now;
+      if (copy.status === 'missing') {
+        copy.status = 'available';
+        affectedBooks.add(copy.book.toString());
+        report.found.push(copy.barcode);
+        statusChanges.push({ copy, from: 'missing' });
+      } else if (copy.status === 'issued') {
+        report.issuedButOnShelf.push(copy.barcode);
+      } else {
+        report.seen.push(copy.barcode);
+      }
+      await copy.save();
+    }
+
+    const unseen = await BookCopy.find({
+      ...scope,
+      status: 'available',
+      barcode: { $nin: [...scanned] },
+    });
+
+    for (const copy of unseen) {
+      report.missing.push(copy.barcode);
+      if (markMissing) {
+        copy.status = 'missing';
+        affectedBooks.add(copy.book.toString());
+        await copy.save();
+        statusChanges.push({ copy, from: 'available' });
+      }
+    }
+
+    for (const id of affectedBooks) {
+      await BookCopy.syncBookCounts(id);
+    }
+
+    for (const { copy, from } of statusChanges) {
+      await audit.record(req, {
+        action: 'update',
+        entity: 'BookCopy',
+        before: { status: from },
+        after: { status: copy.status },
+        entityId: copy._id,
+        related: [{ entity: 'Book', entityId: copy.book }],
+        note: 'Stocktake',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
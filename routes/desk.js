@@ -0,0 +1,155 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const desk = require('../services/desk');
+const audit = require('../services/audit');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @desc    Look up a student by scanned library card, with loans, fines, ready holds and blocks
+// @route   GET /api/desk/patrons/:card
+// @access  Private (circulation.view)
+router.get('/patrons/:card', protect, authorize('circulation.view'), async (req, res, next) => {
+  try {
+    const student = await desk.findPatron(req.params.card);
+
+    res.status(200).json({
+      success: true,
+      data: await desk.patronSummary(student),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Look up a scanned copy barcode or ISBN
+// @route   GET /api/desk/items/:scan
+// @access  Private (circulation.view)
+router.get('/items/:scan', protect, authorize('circulation.view'), async (req, res, next) => {
+  try {
+    const { copy, book } = await desk.findItem(req.params.scan);
+
+    if (copy) {
+      await copy.populate('book', 'title author isbn category availableCopies');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { copy, book },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Issue scanned items to the student with a scanned card, reporting each item
+// @route   POST /api/desk/checkout
+// @access  Private (circulation.issue)
+router.post('/checkout', protect, authorize('circulation.issue'), [
+  body('card').trim().notEmpty().withMessage('Library card is required'),
+  body('items').isArray({ min: 1, max: 20 }).withMessage('Scan between 1 and 20 items'),
+  body('items.*').isString().trim().notEmpty().withMessage('Items must be barcodes or ISBNs'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const student = await desk.findPatron(req.body.card);
+
+    if (student.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `Student is ${student.status} and cannot borrow`,
+      });
+    }
+
+    const results = await desk.checkout({
+      student,
+      items: req.body.items,
+      notes: req.body.notes,
+      actor: req.user,
+      onIssue: ({ transaction, availableCopies }) => audit.record(req, {
+        action: 'issue',
+        entity: 'Transaction',
+        after: transaction,
+        related: audit.loanRefs(transaction),
+        counters: { 'book.availableCopies': availableCopies },
+      }),
+    });
+
+    const issued = results.filter(result => result.success).length;
+
+    res.status(200).json({
+      success: true,
+      issued,
+      failed: results.length - issued,
+      data: results,
+      patron: await desk.patronSummary(student),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Return the loan for a scanned copy barcode or ISBN
+// @route   POST /api/desk/return
+// @access  Private (circulation.return)
+router.post('/return', protect, authorize('circulation.return'), [
+  body('item').trim().notEmpty().withMessage('Scan a copy barcode or ISBN'),
+  body('condition').optional().isIn(['New', 'Good', 'Fair', 'Poor', 'Damaged']).withMessage('Invalid condition'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { condition, notes } = req.body;
+
+    const { transaction, previous, hold, availableCopies } = await desk.checkin({
+      item: req.body.item,
+      condition,
+      notes,
+      actor: req.user,
+    });
+
+    await audit.record(req, {
+      action: 'return',
+      entity: 'Transaction',
+      before: previous,
+      after: transaction,
+      related: audit.loanRefs(transaction),
+      counters: { 'book.availableCopies': availableCopies },
+      note: condition && `Returned in ${condition} condition`,
+    });
+
+    await transaction.populate('book', 'title author isbn');
+    await transaction.populate('copy', 'accessionNumber barcode condition status');
+    await transaction.populate('student', 'name studentId class section libraryCardNumber');
+
+    // Tell the desk where the copy goes next
+    if (hold) {
+      await hold.populate('student', 'name studentId class section');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: transaction,
+      hold,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
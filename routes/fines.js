@@ -0,0 +1,476 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Student = require('../models/Student');
+const Transaction = require('../models/Transaction');
+const FineEntry = require('../models/FineEntry');
+const { notifyStudent } = require('../services/notifications');
+const audit = require('../services/audit');
+const { madeBy } = require('../utils/actor');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Open charges for a student, optionally limited to the given charge ids
+const openBalances = async (studentId, chargeIds) => {
+  const filter = { student: studentId };
+  if (chargeIds && chargeIds.length) {
+    filter._id = { $in: chargeIds };
+  }
+  const balances = await FineEntry.chargeBalances(filter);
+  return balances.filter(balance => balance.outstanding > 0);
+};
+
+// @desc    Get fine ledger entries
+// @route   GET /api/fines
+// @access  Private (fines.view)
+router.get('/', protect, authorize('fines.view'), async (req, res, next) => {
+  try {
+    const filter = {};
+
+    // Filter by student
+    if (req.query.student) {
+      filter.student = req.query.student;
+    }
+
+    // Filter by entry type
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    // Filter by date range
+    if (req.query.startDate && req.query.endDate) {
+      filter.createdAt = {
+        $gte: new Date(req.query.startDate),
+        $lte: new Date(req.query.endDate),
+      };
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+    const total = await FineEntry.countDocuments(filter);
+
+    const entries = await FineEntry.find(filter)
+      .sort('-createdAt')
+      .skip(startIndex)
+      .limit(limit)
+      .populate('student', 'name studentId class section')
+      .populate('createdBy', 'name');
+
+    // Pagination result
+    const pagination = {};
+
+    if (endIndex < total) {
+      pagination.next = {
+        page: page + 1,
+        limit,
+      };
+    }
+
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit,
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      pagination,
+      data: entries,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a student's fines, balances and ledger
+// @route   GET /api/fines/student/:studentId
+// @access  Private (fines.view)
+router.get('/student/:studentId', protect, authorize('fines.view'), async (req, res, next) => {
+  try {
+    const student = await Student.findById(req.params.studentId);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found',
+      });
+    }
+
+    const balances = await FineEntry.chargeBalances({ student: student._id });
+    const ledger = await FineEntry.find({ student: student._id })
+      .sort('createdAt')
+      .populate('createdBy', 'name');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        outstanding: await FineEntry.outstandingFor(student._id),
+        charges: balances,
+        ledger,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a payment or refund by receipt number
+// @route   GET /api/fines/receipts/:receiptNumber
+// @access  Private (fines.view)
+router.get('/receipts/:receiptNumber', protect, authorize('fines.view'), async (req, res, next) => {
+  try {
+    const entry = await FineEntry.findOne({ receiptNumber: req.params.receiptNumber })
+      .populate('student', 'name studentId class section')
+      .populate('allocations.charge', 'amount reason note createdAt')
+      .populate('createdBy', 'name');
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receipt not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: entry,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Charge a fine
+// @route   POST /api/fines/charges
+// @access  Private (fines.charge)
+router.post('/charges', protect, authorize('fines.charge'), [
+  body('studentId').notEmpty().withMessage('Student ID is required'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('reason').isIn(['overdue', 'damage', 'lost', 'other']).withMessage('Invalid reason'),
+  body('note').notEmpty().withMessage('Note is required'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { studentId, transactionId, amount, reason, note } = req.body;
+
+    const student = await Student.findById(studentId);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found',
+      });
+    }
+
+    if (transactionId) {
+      const transaction = await Transaction.findOne({ _id: transactionId, student: studentId });
+      if (!transaction) {
+        return res.status(404).json({
+          success: false,
+          message: 'Transaction not found for this student',
+        });
+      }
+    }
+
+    const charge = await FineEntry.create({
+      student: studentId,
+      transaction: transactionId,
+      type: 'charge',
+      amount,
+      reason,
+      note,
+      ...madeBy(req.user, 'createdBy'),
+    });
+
+    await audit.record(req, { action: 'charge', entity: 'FineEntry', after: charge, related: audit.fineRefs(charge) });
+
+    const outstanding = await FineEntry.syncStudent(studentId);
+
+    await notifyStudent(student, 'fineAssessed', {
+      amount: charge.amount,
+      reason: charge.reason,
+      outstanding,
+    }, { transaction: transactionId });
+
+    res.status(201).json({
+      success: true,
+      data: charge,
+      outstanding,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Record a payment against one or several fines
+// @route   POST /api/fines/payments
+// @access  Private (fines.collect)
+router.post('/payments', protect, authorize('fines.collect'), [
+  body('studentId').notEmpty().withMessage('Student ID is required'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('chargeIds').optional().isArray().withMessage('Charge IDs must be an array'),
+  body('method').optional().isIn(['cash', 'card', 'online', 'other']).withMessage('Invalid payment method'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { studentId, amount, chargeIds, method, note } = req.body;
+
+    // Oldest fines are settled first unless specific charges are named
+    const sequence = await FineEntry.nextSequence(studentId);
+    const balances = await openBalances(studentId, chargeIds);
+    const allocations = FineEntry.allocate(balances, parseFloat(amount));
+
+    const payment = await FineEntry.createAllocated({
+      student: studentId,
+      type: 'payment',
+      amount,
+      method: method || 'cash',
+      note,
+      receiptNumber: await FineEntry.nextReceiptNumber(),
+      allocations,
+      ...madeBy(req.user, 'createdBy'),
+    }, sequence);
+
+    await audit.record(req, { action: 'payment', entity: 'FineEntry', after: payment, related: audit.fineRefs(payment) });
+
+    const outstanding = await FineEntry.syncStudent(studentId);
+
+    res.status(201).json({
+      success: true,
+      data: payment,
+      outstanding,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Waive all or part of a fine
+// @route   POST /api/fines/waivers
+// @access  Private (fines.waive)
+router.post('/waivers', protect, authorize('fines.waive'), [
+  body('chargeId').notEmpty().withMessage('Charge ID is required'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('note').notEmpty().withMessage('A reason for the waiver is required'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { chargeId, amount, note } = req.body;
+
+    const charge = await FineEntry.findOne({ _id: chargeId, type: 'charge' });
+    if (!charge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fine not found',
+      });
+    }
+
+    const sequence = await FineEntry.nextSequence(charge.student);
+    const [balance] = await FineEntry.chargeBalances({ _id: charge._id });
+
+    if (balance.outstanding <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fine is already settled',
+      });
+    }
+
+    // Waive the whole remaining balance unless an amount is given
+    const waived = amount ? parseFloat(amount) : balance.outstanding;
+    const allocations = FineEntry.allocate([balance], waived);
+
+    const waiver = await FineEntry.createAllocated({
+      student: balance.charge.student,
+      transaction: balance.charge.transaction,
+      type: 'waiver',
+      amount: waived,
+      note,
+      allocations,
+      ...madeBy(req.user, 'createdBy'),
+    }, sequence);
+
+    await audit.record(req, { action: 'waiver', entity: 'FineEntry', after: waiver, related: audit.fineRefs(waiver) });
+
+    const outstanding = await FineEntry.syncStudent(balance.charge.student);
+
+    res.status(201).json({
+      success: true,
+      data: waiver,
+      outstanding,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Raise or lower a fine
+// @route   POST /api/fines/adjustments
+// @access  Private (fines.adjust)
+router.post('/adjustments', protect, authorize('fines.adjust'), [
+  body('chargeId').notEmpty().withMessage('Charge ID is required'),
+  body('amount').isFloat().custom(value => parseFloat(value) !== 0).withMessage('Amount must be a non-zero number'),
+  body('note').notEmpty().withMessage('A reason for the adjustment is required'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { chargeId, note } = req.body;
+    const amount = parseFloat(req.body.amount);
+
+    const charge = await FineEntry.findOne({ _id: chargeId, type: 'charge' });
+    if (!charge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fine not found',
+      });
+    }
+
+    const sequence = await FineEntry.nextSequence(charge.student);
+    const [balance] = await FineEntry.chargeBalances({ _id: charge._id });
+
+    if (balance.outstanding + amount < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Adjustment would take the fine below what is already paid or waived',
+      });
+    }
+
+    const adjustment = await FineEntry.createAllocated({
+      student: balance.charge.student,
+      transaction: balance.charge.transaction,
+      type: 'adjustment',
+      amount,
+      note,
+      allocations: [{ charge: balance.charge._id, amount }],
+      ...madeBy(req.user, 'createdBy'),
+    }, sequence);
+
+    await audit.record(req, { action: 'adjustment', entity: 'FineEntry', after: adjustment, related: audit.fineRefs(adjustment) });
+
+    const outstanding = await FineEntry.syncStudent(balance.charge.student);
+
+    res.status(201).json({
+      success: true,
+      data: adjustment,
+      outstanding,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Refund all or part of a payment
+// @route   POST /api/fines/refunds
+// @access  Private (fines.refund)
+router.post('/refunds', protect, authorize('fines.refund'), [
+  body('paymentId').notEmpty().withMessage('Payment ID is required'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('note').notEmpty().withMessage('A reason for the refund is required'),
+  body('method').optional().isIn(['cash', 'card', 'online', 'other']).withMessage('Invalid refund method'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { paymentId, note, method } = req.body;
+
+    const payment = await FineEntry.findOne({ _id: paymentId, type: 'payment' });
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found',
+      });
+    }
+
+    // What is left to refund on each charge the payment covered
+    const sequence = await FineEntry.nextSequence(payment.student);
+    const previousRefunds = await FineEntry.find({ refundOf: payment._id });
+    const refundable = payment.allocations.map((allocation) => {
+      const refunded = previousRefunds.reduce((sum, refund) => sum + refund.allocations
+        .filter(item => item.charge.toString() === allocation.charge.toString())
+        .reduce((total, item) => total + item.amount, 0), 0);
+      return { charge: { _id: allocation.charge }, outstanding: FineEntry.round(allocation.amount - refunded) };
+    });
+
+    const available = FineEntry.round(refundable.reduce((sum, item) => sum + item.outstanding, 0));
+    if (available <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment has already been fully refunded',
+      });
+    }
+
+    const amount = req.body.amount ? parseFloat(req.body.amount) : available;
+
+    // Most recently settled charges are re-opened first
+    const allocations = FineEntry.allocate(refundable.reverse(), amount);
+
+    const refund = await FineEntry.createAllocated({
+      student: payment.student,
+      type: 'refund',
+      amount,
+      method: method || payment.method,
+      note,
+      receiptNumber: await FineEntry.nextReceiptNumber(),
+      allocations,
+      refundOf: payment._id,
+      ...madeBy(req.user, 'createdBy'),
+    }, sequence);
+
+    await audit.record(req, { action: 'refund', entity: 'FineEntry', after: refund, related: audit.fineRefs(refund) });
+
+    const outstanding = await FineEntry.syncStudent(payment.student);
+
+    res.status(201).json({
+      success: true,
+      data: refund,
+      outstanding,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
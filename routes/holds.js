@@ -0,0 +1,340 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Book = require('../models/Book');
+const Student = require('../models/Student');
+const Hold = require('../models/Hold');
+const audit = require('../services/audit');
+const { madeBy } = require('../utils/actor');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Attach each hold's current queue position
+const withQueuePositions = async (holds) => {
+  const result = [];
+  for (const hold of holds) {
+    result.push({
+      ...hold.toObject(),
+      queuePosition: await hold.queuePosition(),
+    });
+  }
+  return result;
+};
+
+// @desc    Get all holds
+// @route   GET /api/holds
+// @access  Private (circulation.view)
+router.get('/', protect, authorize('circulation.view'), async (req, res, next) => {
+  try {
+    const filter = {};
+
+    // Filter by status
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    // Filter by book
+    if (req.query.book) {
+      filter.book = req.query.book;
+    }
+
+    // Filter by student
+    if (req.query.student) {
+      filter.student = req.query.student;
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+    const total = await Hold.countDocuments(filter);
+
+    const holds = await Hold.find(filter)
+      .sort('-placedAt')
+      .skip(startIndex)
+      .limit(limit)
+      .populate('book', 'title author isbn')
+      .populate('student', 'name studentId class section')
+      .populate('copy', 'accessionNumber barcode');
+
+    // Pagination result
+    const pagination = {};
+
+    if (endIndex < total) {
+      pagination.next = {
+        page: page + 1,
+        limit,
+      };
+    }
+
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit,
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: holds.length,
+      total,
+      pagination,
+      data: await withQueuePositions(holds),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the hold queue for a book
+// @route   GET /api/holds/book/:bookId
+// @access  Private (circulation.view)
+router.get('/book/:bookId', protect, authorize('circulation.view'), async (req, res, next) => {
+  try {
+    const queue = await Hold.queueFor(req.params.bookId)
+      .populate('student', 'name studentId class section');
+
+    const ready = await Hold.find({ book: req.params.bookId, status: 'ready' })
+      .populate('student', 'name studentId class section')
+      .populate('copy', 'accessionNumber barcode')
+      .sort('pickupDeadline');
+
+    res.status(200).json({
+      success: true,
+      count: queue.length,
+      data: {
+        ready,
+        queue: queue.map((hold, index) => ({
+          ...hold.toObject(),
+          queuePosition: index + 1,
+        })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a student's holds
+// @route   GET /api/holds/student/:studentId
+// @access  Private (circulation.view)
+router.get('/student/:studentId', protect, authorize('circulation.view'), async (req, res, next) => {
+  try {
+    const filter = { student: req.params.studentId };
+
+    if (req.query.all !== 'true') {
+      filter.status = { $in: Hold.OPEN_STATUSES };
+    }
+
+    const holds = await Hold.find(filter)
+      .populate('book', 'title author isbn')
+      .populate('copy', 'accessionNumber barcode')
+      .sort('-placedAt');
+
+    res.status(200).json({
+      success: true,
+      count: holds.length,
+      data: await withQueuePositions(holds),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Place a hold
+// @route   POST /api/holds
+// @access  Private (holds.manage)
+router.post('/', protect, authorize('holds.manage'), [
+  body('bookId').notEmpty().withMessage('Book ID is required'),
+  body('studentId').notEmpty().withMessage('Student ID is required'),
+  body('expiresAt').optional().isISO8601().withMessage('Invalid expiry date'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { bookId, studentId, expiresAt, notes } = req.body;
+
+    const book = await Book.findById(bookId);
+    if (!book || !book.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found',
+      });
+    }
+
+    const student = await Student.findOne({ _id: studentId, status: 'active' });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found',
+      });
+    }
+
+    if (book.availableCopies > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Book is available for issue, no hold needed',
+      });
+    }
+
+    const existingHold = await Hold.findOne({
+      book: bookId,
+      student: studentId,
+      status: { $in: Hold.OPEN_STATUSES },
+    });
+
+    if (existingHold) {
+      return res.status(400).json({
+        success: false,
+        message: 'Student already has a hold on this book',
+      });
+    }
+
+    const hold = await Hold.create({
+      book: bookId,
+      student: studentId,
+      position: await Hold.nextPosition(bookId),
+      expiresAt,
+      notes,
+      ...madeBy(req.user, 'placedBy'),
+    });
+
+    await audit.record(req, { action: 'create', entity: 'Hold', after: hold, related: audit.loanRefs(hold) });
+
+    await hold.populate('book', 'title author isbn');
+    await hold.populate('student', 'name studentId class section');
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...hold.toObject(),
+        queuePosition: await hold.queuePosition(),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Cancel a hold
+// @route   PUT /api/holds/:id/cancel
+// @access  Private (holds.manage)
+router.put('/:id/cancel', protect, authorize('holds.manage'), async (req, res, next) => {
+  try {
+    const hold = await Hold.findOne({
+      _id: req.params.id,
+      status: { $in: Hold.OPEN_STATUSES },
+    });
+
+    if (!hold) {
+      return res.status(404).json({
+        success: false,
+        message: 'Open hold not found',
+      });
+    }
+
+    const wasReady = hold.status === 'ready';
+    const before = hold.toObject();
+
+    hold.status = 'cancelled';
+    hold.cancelledAt = new Date();
+    hold.cancelReason = req.body.reason;
+    await hold.save();
+
+    // A cancelled pickup frees the copy for the next student in line
+    if (wasReady) {
+      await Hold.releaseCopy(hold.copy);
+    }
+
+    await audit.record(req, { action: 'update', entity: 'Hold', before, after: hold, related: audit.loanRefs(hold) });
+
+    res.status(200).json({
+      success: true,
+      data: hold,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Move a waiting hold to a new place in its book's queue
+// @route   PUT /api/holds/:id/position
+// @access  Private (holds.manage)
+router.put('/:id/position', protect, authorize('holds.manage'), [
+  body('position').isInt({ min: 1 }).withMessage('Position must be a positive integer'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const hold = await Hold.findOne({ _id: req.params.id, status: 'waiting' });
+
+    if (!hold) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waiting hold not found',
+      });
+    }
+
+    const before = hold.toObject();
+    const queue = await Hold.queueFor(hold.book);
+    const others = queue.filter(item => item._id.toString() !== hold._id.toString());
+    const index = Math.min(parseInt(req.body.position, 10), queue.length) - 1;
+    others.splice(index, 0, hold);
+
+    // Renumber the whole queue so positions stay contiguous
+    for (let i = 0; i < others.length; i++) {
+      if (others[i].position !== i + 1) {
+        others[i].position = i + 1;
+        await others[i].save();
+      }
+    }
+
+    await audit.record(req, { action: 'update', entity: 'Hold', before, after: hold, related: audit.loanRefs(hold) });
+
+    const reordered = await Hold.queueFor(hold.book)
+      .populate('student', 'name studentId class section');
+
+    res.status(200).json({
+      success: true,
+      data: reordered.map((item, i) => ({
+        ...item.toObject(),
+        queuePosition: i + 1,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Expire uncollected and lapsed holds
+// @route   POST /api/holds/expire
+// @access  Private (holds.manage)
+router.post('/expire', protect, authorize('holds.manage'), async (req, res, next) => {
+  try {
+    const result = await Hold.expireHolds();
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
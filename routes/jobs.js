@@ -0,0 +1,128 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+const scheduler = require('../jobs/scheduler');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @desc    Get all background jobs and their state
+// @route   GET /api/jobs
+// @access  Private (jobs.manage)
+router.get('/', protect, authorize('jobs.manage'), async (req, res, next) => {
+  try {
+    await scheduler.ensureJobs();
+    const jobs = await Job.find().sort('name');
+
+    res.status(200).json({
+      success: true,
+      count: jobs.length,
+      data: jobs,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a job's run history
+// @route   GET /api/jobs/:name/runs
+// @access  Private (jobs.manage)
+router.get('/:name/runs', protect, authorize('jobs.manage'), async (req, res, next) => {
+  try {
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const runs = await JobRun.find({ job: req.params.name })
+      .sort('-startedAt')
+      .limit(limit)
+      .populate('triggeredBy', 'name');
+
+    res.status(200).json({
+      success: true,
+      count: runs.length,
+      data: runs,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Run a job now
+// @route   POST /api/jobs/:name/run
+// @access  Private (jobs.manage)
+router.post('/:name/run', protect, authorize('jobs.manage'), async (req, res, next) => {
+  try {
+    const job = await Job.findOne({ name: req.params.name });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    const run = await scheduler.runJob(job.name, { trigger: 'manual', actor: req.user });
+
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        message: 'Job is already running',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: run,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Enable, disable or reschedule a job
+// @route   PUT /api/jobs/:name
+// @access  Private (jobs.manage)
+router.put('/:name', protect, authorize('jobs.manage'), [
+  body('enabled').optional().isBoolean().withMessage('enabled must be a boolean'),
+  body('intervalMinutes').optional().isInt({ min: 1 }).withMessage('Interval must be at least 1 minute'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const job = await Job.findOne({ name: req.params.name });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    if (req.body.enabled !== undefined) {
+      job.enabled = req.body.enabled;
+    }
+
+    if (req.body.intervalMinutes !== undefined) {
+      job.intervalMinutes = req.body.intervalMinutes;
+      job.nextRunAt = new Date((job.lastRunAt || new Date()).getTime() + job.intervalMinutes * 60 * 1000);
+    }
+
+    await job.save();
+
+    res.status(200).json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,183 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Student = require('../models/Student');
+const Notification = require('../models/Notification');
+const { notifyStudent } = require('../services/notifications');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @desc    Get the notification log
+// @route   GET /api/notifications
+// @access  Private (notifications.view)
+router.get('/', protect, authorize('notifications.view'), async (req, res, next) => {
+  try {
+    const filter = {};
+
+    // Filter by student
+    if (req.query.student) {
+      filter.student = req.query.student;
+    }
+
+    // Filter by template, channel or delivery status
+    if (req.query.template) {
+      filter.template = req.query.template;
+    }
+
+    if (req.query.channel) {
+      filter.channel = req.query.channel;
+    }
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    // Filter by date range
+    if (req.query.startDate && req.query.endDate) {
+      filter.createdAt = {
+        $gte: new Date(req.query.startDate),
+        $lte: new Date(req.query.endDate),
+      };
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+    const total = await Notification.countDocuments(filter);
+
+    const notifications = await Notification.find(filter)
+      .sort('-createdAt')
+      .skip(startIndex)
+      .limit(limit)
+      .populate('student', 'name studentId class section')
+      .populate('sentBy', 'name');
+
+    // Pagination result
+    const pagination = {};
+
+    if (endIndex < total) {
+      pagination.next = {
+        page: page + 1,
+        limit,
+      };
+    }
+
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit,
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      total,
+      pagination,
+      data: notifications,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the notifications sent to a student
+// @route   GET /api/notifications/student/:studentId
+// @access  Private (notifications.view)
+router.get('/student/:studentId', protect, authorize('notifications.view'), async (req, res, next) => {
+  try {
+    const student = await Student.findById(req.params.studentId);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found',
+      });
+    }
+
+    const notifications = await Notification.find({ student: student._id })
+      .sort('-createdAt')
+      .populate('sentBy', 'name');
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      preferences: student.notificationPreferences,
+      data: notifications,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    List notification templates
+// @route   GET /api/notifications/templates
+// @access  Private (notifications.view)
+router.get('/templates', protect, authorize('notifications.view'), (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: Notification.schema.path('template').enumValues,
+  });
+});
+
+// @desc    Send a notice to every active student in a class or section
+// @route   POST /api/notifications/notices
+// @access  Private (notifications.send)
+router.post('/notices', protect, authorize('notifications.send'), [
+  body('class').notEmpty().withMessage('Class is required'),
+  body('subject').notEmpty().withMessage('Subject is required'),
+  body('message').notEmpty().withMessage('Message is required'),
+  body('message').isLength({ max: 1000 }).withMessage('Message cannot be more than 1000 characters'),
+  body('channels').optional().isArray().withMessage('Channels must be an array'),
+  body('channels.*').optional().isIn(['email', 'sms', 'parent']).withMessage('Invalid channel'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { subject, message, channels } = req.body;
+
+    const filter = { class: req.body.class, status: 'active' };
+    if (req.body.section) {
+      filter.section = req.body.section;
+    }
+
+    const students = await Student.find(filter);
+    if (students.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active students found in this class',
+      });
+    }
+
+    // Students' own channel preferences apply unless channels are given
+    const summary = { students: students.length, sent: 0, failed: 0 };
+    for (const student of students) {
+      const logged = await notifyStudent(student, 'notice', { subject, message }, {
+        channels,
+        sentBy: req.user,
+      });
+
+      for (const notification of logged) {
+        summary[notification.status] += 1;
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      data: summary,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
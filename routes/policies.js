@@ -0,0 +1,196 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Category = require('../models/Category');
+const CirculationPolicy = require('../models/CirculationPolicy');
+const audit = require('../services/audit');
+const { madeBy } = require('../utils/actor');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const ruleValidators = [
+  body('category').optional({ nullable: true }).custom(async (value) => {
+    if (!await Category.isValid(value)) {
+      throw new Error('Invalid category');
+    }
+  }),
+  body('studentClass').optional({ nullable: true }).isString().withMessage('Invalid student class'),
+  body('loanable').optional().isBoolean().withMessage('loanable must be a boolean'),
+  body('loanDays').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Loan period must be at least 1 day'),
+  body('fixedDueDate').optional({ nullable: true }).isISO8601().withMessage('Invalid fixed due date'),
+  body('renewalLimit').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Renewal limit cannot be negative'),
+  body('finePerDay').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Fine rate cannot be negative'),
+  body('graceDays').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Grace days cannot be negative'),
+  body('maxFine').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Fine cap cannot be negative'),
+  body('maxBooks').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Book limit cannot be negative'),
+  body('fineBlockThreshold').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Fine block threshold cannot be negative'),
+];
+
+// Pick the editable rule fields out of a request body
+const ruleFields = (source) => {
+  const fields = {};
+  for (const field of ['name', 'category', 'studentClass', 'isActive', ...CirculationPolicy.POLICY_FIELDS]) {
+    if (source[field] !== undefined) {
+      fields[field] = source[field] === '' ? null : source[field];
+    }
+  }
+  return fields;
+};
+
+// @desc    Get all circulation policy rules
+// @route   GET /api/policies
+// @access  Private (policies.view)
+router.get('/', protect, authorize('policies.view'), async (req, res, next) => {
+  try {
+    const policies = await CirculationPolicy.find()
+      .sort('category studentClass')
+      .populate('updatedBy', 'name');
+
+    res.status(200).json({
+      success: true,
+      count: policies.length,
+      defaults: CirculationPolicy.DEFAULTS,
+      data: policies,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Preview the effective rules for a category and class
+// @route   GET /api/policies/resolve
+// @access  Private (policies.view)
+router.get('/resolve', protect, authorize('policies.view'), async (req, res, next) => {
+  try {
+    const policy = await CirculationPolicy.resolve({
+      category: req.query.category,
+      studentClass: req.query.studentClass,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: policy,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create circulation policy rule
+// @route   POST /api/policies
+// @access  Private (policies.edit)
+router.post('/', protect, authorize('policies.edit'), [
+  body('name').notEmpty().withMessage('Name is required'),
+  ...ruleValidators,
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const fields = ruleFields(req.body);
+
+    const existingPolicy = await CirculationPolicy.findOne({
+      category: fields.category || null,
+      studentClass: fields.studentClass || null,
+    });
+
+    if (existingPolicy) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rule for this category and class already exists',
+      });
+    }
+
+    const policy = await CirculationPolicy.create({
+      ...fields,
+      ...madeBy(req.user, 'updatedBy'),
+    });
+
+    await audit.record(req, { action: 'create', entity: 'CirculationPolicy', after: policy });
+
+    res.status(201).json({
+      success: true,
+      data: policy,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update circulation policy rule
+// @route   PUT /api/policies/:id
+// @access  Private (policies.edit)
+router.put('/:id', protect, authorize('policies.edit'), [
+  body('name').optional().notEmpty().withMessage('Name cannot be empty'),
+  ...ruleValidators,
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const policy = await CirculationPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Policy not found',
+      });
+    }
+
+    // Null clears a value so the rule inherits it again
+    const before = policy.toObject();
+    policy.set(ruleFields(req.body));
+    Object.assign(policy, madeBy(req.user, 'updatedBy'));
+    await policy.save();
+
+    await audit.record(req, { action: 'update', entity: 'CirculationPolicy', before, after: policy });
+
+    res.status(200).json({
+      success: true,
+      data: policy,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete circulation policy rule
+// @route   DELETE /api/policies/:id
+// @access  Private (policies.edit)
+router.delete('/:id', protect, authorize('policies.edit'), async (req, res, next) => {
+  try {
+    const policy = await CirculationPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Policy not found',
+      });
+    }
+
+    await policy.deleteOne();
+
+    await audit.record(req, { action: 'delete', entity: 'CirculationPolicy', before: policy });
+
+    res.status(200).json({
+      success: true,
+      message: 'Policy deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,229 @@
+const express = require('express');
+const Student = require('../models/Student');
+const Transaction = require('../models/Transaction');
+const Hold = require('../models/Hold');
+const FineEntry = require('../models/FineEntry');
+const circulation = require('../services/circulation');
+const audit = require('../services/audit');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Every portal route is for the logged-in student's own records, so an account must be
+// linked to a student: without one, filters on req.user.student would match everyone's
+router.use(protect, authorize('portal.use'), (req, res, next) => {
+  if (!req.user.student) {
+    return res.status(403).json({
+      success: false,
+      message: 'This account is not linked to a student',
+    });
+  }
+  next();
+});
+
+// Open loans with the fine accrued so far and renewals left
+const currentLoans = async (studentId) => {
+  const loans = await Transaction.find({ student: studentId, status: { $in: Transaction.OPEN_STATUSES } })
+    .populate('book', 'title author isbn')
+    .populate('copy', 'barcode')
+    .sort('dueDate');
+
+  return loans.map((loan) => {
+    loan.checkOverdue();
+    loan.calculateFine();
+    return {
+      ...loan.toObject(),
+      renewalsLeft: Math.max(loan.effectivePolicy().renewalLimit - loan.renewalCount, 0),
+    };
+  });
+};
+
+// @desc    Get the student's profile and account summary
+// @route   GET /api/portal/me
+// @access  Private (portal.use)
+router.get('/me', async (req, res, next) => {
+  try {
+    const student = await Student.findById(req.user.student)
+      .select('name studentId class section rollNumber email libraryCardNumber status notificationPreferences');
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student record not found',
+      });
+    }
+
+    const loans = await currentLoans(student._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        student,
+        summary: {
+          loans: loans.length,
+          overdue: loans.filter(loan => loan.status === 'overdue').length,
+          holds: await Hold.countDocuments({ student: student._id, status: { $in: Hold.OPEN_STATUSES } }),
+          unpaidFines: await FineEntry.outstandingFor(student._id),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the student's current loans
+// @route   GET /api/portal/loans
+// @access  Private (portal.use)
+router.get('/loans', async (req, res, next) => {
+  try {
+    const loans = await currentLoans(req.user.student);
+
+    res.status(200).json({
+      success: true,
+      count: loans.length,
+      data: loans,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Renew one of the student's loans
+// @route   PUT /api/portal/loans/:id/renew
+// @access  Private (portal.use)
+router.put('/loans/:id/renew', async (req, res, next) => {
+  try {
+    const { transaction, previous } = await circulation.renewLoan({
+      transactionId: req.params.id,
+      studentId: req.user.student,
+    });
+
+    await audit.record(req, {
+      action: 'renew',
+      entity: 'Transaction',
+      before: previous,
+      after: transaction,
+      related: audit.loanRefs(transaction),
+      note: 'Renewed through the portal',
+    });
+
+    await transaction.populate('book', 'title author isbn');
+
+    res.status(200).json({
+      success: true,
+      data: transaction,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the student's borrowing history
+// @route   GET /api/portal/history
+// @access  Private (portal.use)
+router.get('/history', async (req, res, next) => {
+  try {
+    const filter = { student: req.user.student, status: { $nin: Transaction.OPEN_STATUSES } };
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+    const total = await Transaction.countDocuments(filter);
+
+    const transactions = await Transaction.find(filter)
+      .select('-policy -notes -processedBy')
+      .populate('book', 'title author isbn')
+      .sort('-issueDate')
+      .skip(startIndex)
+      .limit(limit);
+
+    // Pagination result
+    const pagination = {};
+
+    if (endIndex < total) {
+      pagination.next = {
+        page: page + 1,
+        limit,
+      };
+    }
+
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit,
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: transactions.length,
+      total,
+      pagination,
+      data: transactions,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the student's fines and payments
+// @route   GET /api/portal/fines
+// @access  Private (portal.use)
+router.get('/fines', async (req, res, next) => {
+  try {
+    const balances = await FineEntry.chargeBalances({ student: req.user.student });
+    const payments = await FineEntry.find({ student: req.user.student, type: { $in: ['payment', 'refund'] } })
+      .select('type amount method receiptNumber createdAt')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        outstanding: await FineEntry.outstandingFor(req.user.student),
+        charges: balances.map(balance => ({
+          _id: balance.charge._id,
+          amount: balance.charge.amount,
+          reason: balance.charge.reason,
+          note: balance.charge.note,
+          createdAt: balance.charge.createdAt,
+          paid: balance.paid,
+          waived: balance.waived,
+          outstanding: balance.outstanding,
+        })),
+        payments,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the student's holds and their place in the queue
+// @route   GET /api/portal/holds
+// @access  Private (portal.use)
+router.get('/holds', async (req, res, next) => {
+  try {
+    const holds = await Hold.find({ student: req.user.student, status: { $in: Hold.OPEN_STATUSES } })
+      .select('-notes -placedBy')
+      .populate('book', 'title author isbn')
+      .sort('placedAt');
+
+    const data = [];
+    for (const hold of holds) {
+      data.push({ ...hold.toObject(), queuePosition: await hold.queuePosition() });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const PromotionRun = require('../models/PromotionRun');
+const promotion = require('../services/promotion');
+const audit = require('../services/audit');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const promotionRules = [
+  body('classMap').optional().isObject().withMessage('Class map must be an object of class to next class'),
+  body('classMap.*').optional().isString().notEmpty().withMessage('Each class must map to a class name'),
+  body('graduate').optional().isArray().withMessage('Graduate must be an array of classes'),
+  body('sections').optional().isObject().withMessage('Sections must be an object of class to section list'),
+  body('holdBack').optional().isArray().withMessage('Hold back must be an array'),
+  body('holdBack.*').optional().isIn(['loans', 'fines']).withMessage('Students can be held back for loans or fines'),
+];
+
+const promotionOptions = reqBody => ({
+  classMap: reqBody.classMap,
+  graduate: reqBody.graduate,
+  sections: reqBody.sections,
+  holdBack: reqBody.holdBack,
+});
+
+// @desc    Get promotion runs
+// @route   GET /api/promotions
+// @access  Private (students.promote)
+router.get('/', protect, authorize('students.promote'), async (req, res, next) => {
+  try {
+    const runs = await PromotionRun.find()
+      .select('-changes -heldBack')
+      .sort('-createdAt')
+      .populate('runBy', 'name')
+      .populate('rolledBackBy', 'name');
+
+    res.status(200).json({
+      success: true,
+      count: runs.length,
+      data: runs,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a promotion run with every student it changed
+// @route   GET /api/promotions/:id
+// @access  Private (students.promote)
+router.get('/:id', protect, authorize('students.promote'), async (req, res, next) => {
+  try {
+    const run = await PromotionRun.findById(req.params.id)
+      .populate('changes.student', 'name studentId rollNumber')
+      .populate('heldBack.student', 'name studentId class section')
+      .populate('runBy', 'name')
+      .populate('rolledBackBy', 'name');
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: run,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Preview a promotion without changing any student
+// @route   POST /api/promotions/preview
+// @access  Private (students.promote)
+router.post('/preview', protect, authorize('students.promote'), promotionRules, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const plan = await promotion.planPromotion(promotionOptions(req.body));
+    const brief = student => ({ _id: student._id, name: student.name, studentId: student.studentId });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        summary: plan.summary,
+        changes: plan.changes.map(change => ({ ...change, student: brief(change.student) })),
+        heldBack: plan.heldBack.map(item => ({
+          ...item,
+          student: { ...brief(item.student), class: item.student.class, section: item.student.section },
+        })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Promote and graduate students
+// @route   POST /api/promotions
+// @access  Private (students.promote)
+router.post('/', protect, authorize('students.promote'), [
+  body('label').notEmpty().withMessage('Label is required, e.g. the academic year'),
+  ...promotionRules,
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const run = await promotion.applyPromotion(promotionOptions(req.body), {
+      label: req.body.label,
+      actor: req.user,
+    });
+
+    // Each student's move is kept on the run itself
+    await audit.record(req, {
+      action: 'promote',
+      entity: 'PromotionRun',
+      entityId: run._id,
+      related: run.changes.map(change => ({ entity: 'Student', entityId: change.student })),
+      note: `${run.label}: ${run.summary.promoted} promoted, ${run.summary.graduated} graduated`,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: run,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Roll back a promotion
+// @route   POST /api/promotions/:id/rollback
+// @access  Private (students.promote)
+router.post('/:id/rollback', protect, authorize('students.promote'), async (req, res, next) => {
+  try {
+    const { run, restored, skipped } = await promotion.rollbackPromotion(req.params.id, req.user);
+
+    await audit.record(req, {
+      action: 'rollback',
+      entity: 'PromotionRun',
+      entityId: run._id,
+      related: run.changes.map(change => ({ entity: 'Student', entityId: change.student })),
+      note: `${run.label}: ${restored} restored, ${skipped} skipped`,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: run,
+      restored,
+      skipped,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,199 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const audit = require('../services/audit');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect, authorize('roles.manage'));
+
+const roleValidators = [
+  body('description').optional().isString().withMessage('Description must be text'),
+  body('permissions').optional().isArray().withMessage('Permissions must be a list'),
+  body('permissions.*').isIn(Object.keys(Role.PERMISSIONS)).withMessage('Unknown permission'),
+  body('requireTwoFactor').optional().isBoolean().withMessage('requireTwoFactor must be true or false'),
+];
+
+// @desc    Get roles with their effective permissions
+// @route   GET /api/roles
+// @access  Private (roles.manage)
+router.get('/', async (req, res, next) => {
+  try {
+    await Role.ensureBuiltIns();
+
+    const roles = await Role.find().sort('name').populate('updatedBy', 'name');
+    const counts = await User.aggregate([
+      { $group: { _id: '$role', users: { $sum: 1 } } },
+    ]);
+    const users = new Map(counts.map(count => [count._id, count.users]));
+
+    const data = [];
+    for (const role of roles) {
+      data.push({
+        ...role.toObject(),
+        permissions: await Role.permissionsFor(role.name),
+        users: users.get(role.name) || 0,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get every permission a role can grant
+// @route   GET /api/roles/permissions
+// @access  Private (roles.manage)
+router.get('/permissions', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: Object.entries(Role.PERMISSIONS).map(([name, description]) => ({ name, description })),
+  });
+});
+
+// @desc    Create a role
+// @route   POST /api/roles
+// @access  Private (roles.manage)
+router.post('/', [
+  body('name').notEmpty().withMessage('Name is required'),
+  ...roleValidators,
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const name = String(req.body.name).trim().toLowerCase();
+    if (Role.BUILT_IN_ROLES[name] || await Role.exists({ name })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists',
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description: req.body.description,
+      permissions: req.body.permissions || [],
+      requireTwoFactor: req.body.requireTwoFactor,
+      updatedBy: req.user.id,
+    });
+
+    await audit.record(req, { action: 'create', entity: 'Role', after: role });
+
+    res.status(201).json({
+      success: true,
+      data: role,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update a role's description, permissions or two-factor requirement
+// @route   PUT /api/roles/:name
+// @access  Private (roles.manage)
+router.put('/:name', roleValidators, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    // Admin keeps every permission so the system can't be locked out
+    if (req.params.name === 'admin' && req.body.permissions !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'The admin role\'s permissions cannot be changed',
+      });
+    }
+
+    await Role.ensureBuiltIns();
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+
+    const before = role.toObject();
+    for (const field of ['description', 'permissions', 'requireTwoFactor']) {
+      if (req.body[field] !== undefined) {
+        role[field] = req.body[field];
+      }
+    }
+    role.updatedBy = req.user.id;
+    await role.save();
+
+    await audit.record(req, { action: 'update', entity: 'Role', before, after: role });
+
+    res.status(200).json({
+      success: true,
+      data: role,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete a role no user holds
+// @route   DELETE /api/roles/:name
+// @access  Private (roles.manage)
+router.delete('/:name', async (req, res, next) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+
+    if (role.builtIn) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted',
+      });
+    }
+
+    const holders = await User.countDocuments({ role: role.name });
+    if (holders > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Role is given to ${holders} user(s); move them to another role first`,
+      });
+    }
+
+    await role.deleteOne();
+
+    await audit.record(req, { action: 'delete', entity: 'Role', before: role });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
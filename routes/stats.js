@@ -2,21 +2,22 @@ const express = require('express');
 const Book = require('../models/Book');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
+const FineEntry = require('../models/FineEntry');
 const { protect, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
 // @desc    Get dashboard statistics
 // @route   GET /api/stats/dashboard
-// @access  Private (Admin/Librarian)
-router.get('/dashboard', protect, authorize('admin', 'librarian'), async (req, res, next) => {
+// @access  Private (reports.view)
+router.get('/dashboard', protect, authorize('reports.view'), async (req, res, next) => {
   try {
     // Basic counts
     const totalBooks = await Book.countDocuments({ isActive: true });
     const totalStudents = await User.countDocuments({ role: 'student', isActive: true });
-    const activeTransactions = await Transaction.countDocuments({ status: 'active' });
+    const activeTransactions = await Transaction.countDocuments({ status: { $in: Transaction.OPEN_STATUSES } });
     const overdueTransactions = await Transaction.countDocuments({ 
-      status: 'active', 
+      status: { $in: Transaction.OPEN_STATUSES }, 
       dueDate: { $lt: new Date() } 
     });
 
@@ -85,27 +86,38 @@ router.get('/dashboard', protect, authorize('admin', 'librarian'), async (req, r
 
     // Active students (students with current books)
     const activeStudents = await Transaction.aggregate([
-      { $match: { status: 'active' } },
+      { $match: { status: { $in: Transaction.OPEN_STATUSES } } },
       { $group: { _id: '$student' } },
       { $count: 'total' }
     ]);
 
-    // Fine statistics
-    const fineStats = await Transaction.aggregate([
-      { $match: { 'fine.amount': { $gt: 0 } } },
+    // Fine statistics from the fines ledger
+    const fineStats = await FineEntry.aggregate([
       {
         $group: {
           _id: null,
-          totalFines: { $sum: '$fine.amount' },
-          paidFines: {
-            $sum: {
-              $cond: [{ $eq: ['$fine.paid', true] }, '$fine.amount', 0]
-            }
+          charged: {
+            $sum: { $cond: [{ $in: ['$type', ['charge', 'adjustment']] }, '$amount', 0] }
           },
+          paid: {
+            $sum: { $cond: [{ $eq: ['$type', 'payment'] }, '$amount', 0] }
+          },
+          refunded: {
+            $sum: { $cond: [{ $eq: ['$type', 'refund'] }, '$amount', 0] }
+          },
+          waivedFines: {
+            $sum: { $cond: [{ $eq: ['$type', 'waiver'] }, '$amount', 0] }
+          }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          totalFines: '$charged',
+          paidFines: { $subtract: ['$paid', '$refunded'] },
+          waivedFines: 1,
           unpaidFines: {
-            $sum: {
-              $cond: [{ $eq: ['$fine.paid', false] }, '$fine.amount', 0]
-            }
+            $subtract: ['$charged', { $add: [{ $subtract: ['$paid', '$refunded'] }, '$waivedFines'] }]
           }
         }
       }
@@ -126,7 +138,7 @@ router.get('/dashboard', protect, authorize('admin', 'librarian'), async (req, r
         booksByCategory,
         monthlyTransactions,
         popularBooks,
-        fineStats: fineStats[0] || { totalFines: 0, paidFines: 0, unpaidFines: 0 }
+        fineStats: fineStats[0] || { totalFines: 0, paidFines: 0, waivedFines: 0, unpaidFines: 0 }
       }
     });
   } catch (error) {
@@ -136,8 +148,8 @@ router.get('/dashboard', protect, authorize('admin', 'librarian'), async (req, r
 
 // @desc    Get book statistics
 // @route   GET /api/stats/books
-// @access  Private (Admin/Librarian)
-router.get('/books', protect, authorize('admin', 'librarian'), async (req, res, next) => {
+// @access  Private (reports.view)
+router.get('/books', protect, authorize('reports.view'), async (req, res, next) => {
   try {
     // Total books and copies
     const bookStats = await Book.aggregate([
@@ -196,8 +208,8 @@ router.get('/books', protect, authorize('admin', 'librarian'), async (req, res,
 
 // @desc    Get student statistics
 // @route   GET /api/stats/students
-// @access  Private (Admin/Librarian)
-router.get('/students', protect, authorize('admin', 'librarian'), async (req, res, next) => {
+// @access  Private (reports.view)
+router.get('/students', protect, authorize('reports.view'), async (req, res, next) => {
   try {
     // Students by class
     const classStats = await User.aggregate([
@@ -215,7 +227,7 @@ router.get('/students', protect, authorize('admin', 'librarian'), async (req, re
 
     // Active borrowers
     const activeBorrowers = await Transaction.aggregate([
-      { $match: { status: 'active' } },
+      { $match: { status: { $in: Transaction.OPEN_STATUSES } } },
       {
         $group: {
           _id: '$student',
@@ -248,7 +260,7 @@ router.get('/students', protect, authorize('admin', 'librarian'), async (req, re
     const overdueStudents = await Transaction.aggregate([
       { 
         $match: { 
-          status: 'active', 
+          status: { $in: Transaction.OPEN_STATUSES }, 
           dueDate: { $lt: new Date() } 
         } 
       },
@@ -295,8 +307,8 @@ router.get('/students', protect, authorize('admin', 'librarian'), async (req, re
 
 // @desc    Get transaction statistics
 // @route   GET /api/stats/transactions
-// @access  Private (Admin/Librarian)
-router.get('/transactions', protect, authorize('admin', 'librarian'), async (req, res, next) => {
+// @access  Private (reports.view)
+router.get('/transactions', protect, authorize('reports.view'), async (req, res, next) => {
   try {
     // Transaction counts by status
     const statusStats = await Transaction.aggregate([
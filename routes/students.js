@@ -1,14 +1,20 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Student = require('../models/Student');
+const User = require('../models/User');
+const { FIELDS, importStudents } = require('../services/studentImport');
+const audit = require('../services/audit');
+const { readRows } = require('../utils/spreadsheet');
+const { madeBy } = require('../utils/actor');
 const { protect, authorize } = require('../middleware/auth');
+const { uploadFile } = require('../middleware/upload');
 
 const router = express.Router();
 
 // @desc    Get all students
 // @route   GET /api/students
-// @access  Private (Admin/Librarian)
-router.get('/', protect, authorize('admin', 'librarian'), async (req, res, next) => {
+// @access  Private (students.view)
+router.get('/', protect, authorize('students.view'), async (req, res, next) => {
   try {
     let query = Student.find({ status: 'active' });
 
@@ -83,8 +89,8 @@ router.get('/', protect, authorize('admin', 'librarian'), async (req, res, next)
 
 // @desc    Get single student
 // @route   GET /api/students/:id
-// @access  Private (Admin/Librarian)
-router.get('/:id', protect, authorize('admin', 'librarian'), async (req, res, next) => {
+// @access  Private (students.view)
+router.get('/:id', protect, authorize('students.view'), async (req, res, next) => {
   try {
     const student = await Student.findById(req.params.id);
 
@@ -106,10 +112,10 @@ router.get('/:id', protect, authorize('admin', 'librarian'), async (req, res, ne
 
 // @desc    Create new student
 // @route   POST /api/students
-// @access  Private (Admin/Librarian)
+// @access  Private (students.edit)
 router.post('/', [
   protect,
-  authorize('admin', 'librarian'),
+  authorize('students.edit'),
   body('name').notEmpty().withMessage('Name is required'),
   body('email').isEmail().withMessage('Please include a valid email'),
   body('studentId').notEmpty().withMessage('Student ID is required'),
@@ -134,7 +140,7 @@ router.post('/', [
 
     const studentData = {
       ...req.body,
-      addedBy: req.user.id,
+      ...madeBy(req.user, 'addedBy'),
     };
 
     // Check if student already exists
@@ -151,6 +157,8 @@ router.post('/', [
 
     const student = await Student.create(studentData);
 
+    await audit.record(req, { action: 'create', entity: 'Student', after: student });
+
     res.status(201).json({
       success: true,
       data: student,
@@ -160,15 +168,78 @@ router.post('/', [
   }
 });
 
+// @desc    Download a blank roster with the columns the import understands
+// @route   GET /api/students/import/template
+// @access  Private (students.import)
+router.get('/import/template', protect, authorize('students.import'), (req, res) => {
+  res.attachment('student-roster.csv');
+  res.type('text/csv').send(`${Object.keys(FIELDS).join(',')}\n`);
+});
+
+// @desc    Import a student roster from CSV or Excel, creating or updating students by student ID
+// @route   POST /api/students/import
+// @access  Private (students.import)
+router.post('/import', protect, authorize('students.import'), uploadFile('file', ['.csv', '.xlsx']), [
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be true or false'),
+  body('skipInvalid').optional().isBoolean().withMessage('skipInvalid must be true or false'),
+  body('mapping').optional().isJSON().withMessage('Mapping must be a JSON object of column heading to field'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const rows = await readRows(req.file);
+
+    // Nothing is written unless dryRun=false is sent
+    const report = await importStudents(rows, {
+      mapping: req.body.mapping ? JSON.parse(req.body.mapping) : undefined,
+      dryRun: req.body.dryRun !== 'false',
+      skipInvalid: req.body.skipInvalid === 'true',
+      actor: req.user,
+    });
+
+    if (req.body.dryRun === 'false' && report.dryRun) {
+      return res.status(400).json({
+        success: false,
+        message: `${report.summary.invalid} row(s) are invalid; nothing was imported`,
+        data: report,
+      });
+    }
+
+    if (!report.dryRun) {
+      await audit.record(req, {
+        action: 'import',
+        entity: 'Student',
+        related: report.rows.map(row => ({ entity: 'Student', entityId: row.student })),
+        note: `${req.file.originalname}: ${report.summary.create} created, ${report.summary.update} updated`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Update student
 // @route   PUT /api/students/:id
-// @access  Private (Admin/Librarian)
-router.put('/:id', protect, authorize('admin', 'librarian'), [
+// @access  Private (students.edit)
+router.put('/:id', protect, authorize('students.edit'), [
   body('name').optional().notEmpty().withMessage('Name cannot be empty'),
   body('email').optional().isEmail().withMessage('Please include a valid email'),
   body('studentId').optional().notEmpty().withMessage('Student ID cannot be empty'),
   body('class').optional().notEmpty().withMessage('Class cannot be empty'),
   body('section').optional().notEmpty().withMessage('Section cannot be empty'),
+  body('notificationPreferences.*').optional().isBoolean().withMessage('Notification preferences must be true or false'),
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -192,11 +263,14 @@ router.put('/:id', protect, authorize('admin', 'librarian'), [
     // Don't allow role change
     delete req.body.role;
 
+    const before = student;
     student = await Student.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
       runValidators: true,
     });
 
+    await audit.record(req, { action: 'update', entity: 'Student', before, after: student });
+
     res.status(200).json({
       success: true,
       data: student,
@@ -206,10 +280,56 @@ router.put('/:id', protect, authorize('admin', 'librarian'), [
   }
 });
 
+// @desc    Issue a one-time code the student uses to activate their portal account
+// @route   POST /api/students/:id/activation-code
+// @access  Private (students.edit)
+router.post('/:id/activation-code', protect, authorize('students.edit'), async (req, res, next) => {
+  try {
+    const student = await Student.findOne({ _id: req.params.id, status: 'active' });
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found',
+      });
+    }
+
+    if (await User.exists({ student: student._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Student already has a portal account',
+      });
+    }
+
+    // Issuing a new code replaces any earlier one
+    const before = student.toObject();
+    const code = student.issueActivationCode();
+    await student.save();
+
+    await audit.record(req, {
+      action: 'update',
+      entity: 'Student',
+      before,
+      after: student,
+      note: 'Portal activation code issued',
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        code,
+        expiresAt: student.activationCodeExpires,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Delete student
 // @route   DELETE /api/students/:id
-// @access  Private (Admin only)
-router.delete('/:id', protect, authorize('admin'), async (req, res, next) => {
+// @access  Private (students.delete)
+router.delete('/:id', protect, authorize('students.delete'), async (req, res, next) => {
   try {
     const student = await Student.findById(req.params.id);
 
@@ -221,7 +341,9 @@ router.delete('/:id', protect, authorize('admin'), async (req, res, next) => {
     }
 
     // Soft delete - mark as inactive
-    await Student.findByIdAndUpdate(req.params.id, { status: 'inactive' });
+    const deleted = await Student.findByIdAndUpdate(req.params.id, { status: 'inactive' }, { new: true });
+
+    await audit.record(req, { action: 'delete', entity: 'Student', before: student, after: deleted });
 
     res.status(200).json({
       success: true,
@@ -234,8 +356,8 @@ router.delete('/:id', protect, authorize('admin'), async (req, res, next) => {
 
 // @desc    Get student statistics
 // @route   GET /api/students/meta/stats
-// @access  Private (Admin/Librarian)
-router.get('/meta/stats', protect, authorize('admin', 'librarian'), async (req, res, next) => {
+// @access  Private (students.view)
+router.get('/meta/stats', protect, authorize('students.view'), async (req, res, next) => {
   try {
     const totalStudents = await Student.countDocuments({ status: 'active' });
     const studentsByClass = await Student.aggregate([
@@ -0,0 +1,506 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Book = require('../models/Book');
+const Category = require('../models/Category');
+const Subject = require('../models/Subject');
+const CirculationPolicy = require('../models/CirculationPolicy');
+const taxonomy = require('../services/taxonomy');
+const audit = require('../services/audit');
+const { madeBy } = require('../utils/actor');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const manage = [protect, authorize('taxonomy.manage')];
+
+const categoryValidators = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('description').optional().isString().withMessage('Description must be text'),
+];
+
+const subjectValidators = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('synonyms').optional().isArray().withMessage('Synonyms must be a list'),
+  body('synonyms.*').isString().withMessage('Synonyms must be text'),
+  body('description').optional().isString().withMessage('Description must be text'),
+];
+
+const mergeValidators = [
+  body('into').isMongoId().withMessage('Give the id to merge into'),
+];
+
+// The first of a heading's name and synonyms already used by another heading
+const takenTerm = async (terms, except) => {
+  for (const term of terms) {
+    const owner = await Subject.findByTerm(term);
+    if (owner && String(owner._id) !== String(except)) {
+      return term;
+    }
+  }
+  return null;
+};
+
+// @desc    Get categories with their subcategories
+// @route   GET /api/taxonomy/categories
+// @access  Public
+router.get('/categories', async (req, res, next) => {
+  try {
+    const tree = await Category.tree();
+
+    // Active books filed under each category and subcategory
+    const counts = await Book.aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: { category: '$category', subcategory: '$subcategory' }, books: { $sum: 1 } } },
+    ]);
+    const booksIn = (category, subcategory) => counts
+      .filter(count => count._id.category === category && (!subcategory || count._id.subcategory === subcategory))
+      .reduce((sum, count) => sum + count.books, 0);
+
+    const data = tree.map(category => ({
+      ...category,
+      books: booksIn(category.name),
+      subcategories: category.subcategories.map(child => ({ ...child, books: booksIn(category.name, child.name) })),
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create a category, or a subcategory when a parent is given
+// @route   POST /api/taxonomy/categories
+// @access  Private (taxonomy.manage)
+router.post('/categories', manage, [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('parent').optional({ nullable: true }).isMongoId().withMessage('Invalid parent category'),
+  ...categoryValidators,
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    let parent = null;
+    if (req.body.parent) {
+      parent = await Category.findById(req.body.parent);
+      if (!parent || parent.parent) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parent must be a top-level category',
+        });
+      }
+    }
+
+    if (await Category.exists({ parent: parent ? parent._id : null, name: req.body.name })
+      .collation({ locale: 'en', strength: 2 })) {
+      return res.status(400).json({
+        success: false,
+        message: `A category named ${req.body.name} already exists here`,
+      });
+    }
+
+    const category = await Category.create({
+      name: req.body.name,
+      parent: parent ? parent._id : null,
+      description: req.body.description,
+      ...madeBy(req.user, 'updatedBy'),
+    });
+
+    await audit.record(req, { action: 'create', entity: 'Category', after: category });
+
+    res.status(201).json({
+      success: true,
+      data: category,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Rename a category or change its description. Books filed under it are re-tagged.
+// @route   PUT /api/taxonomy/categories/:id
+// @access  Private (taxonomy.manage)
+router.put('/categories/:id', manage, categoryValidators, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+      });
+    }
+
+    const before = category.toObject();
+    if (req.body.description !== undefined) {
+      category.description = req.body.description;
+    }
+    Object.assign(category, madeBy(req.user, 'updatedBy'));
+
+    const retagged = req.body.name !== undefined
+      ? await taxonomy.renameCategory(category, req.body.name)
+      : null;
+    await category.save();
+
+    await audit.record(req, {
+      action: 'update',
+      entity: 'Category',
+      before,
+      after: category,
+      note: retagged ? `${retagged.books} book(s) and ${retagged.policies} circulation rule(s) re-tagged` : undefined,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: category,
+      retagged,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Merge a category into another at the same level, re-tagging its books
+// @route   POST /api/taxonomy/categories/:id/merge
+// @access  Private (taxonomy.manage)
+router.post('/categories/:id/merge', manage, mergeValidators, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const [source, target] = await Promise.all([
+      Category.findById(req.params.id),
+      Category.findById(req.body.into),
+    ]);
+
+    if (!source || !target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+      });
+    }
+
+    const retagged = await taxonomy.mergeCategory(source, target);
+
+    await audit.record(req, {
+      action: 'merge',
+      entity: 'Category',
+      before: source,
+      related: [{ entity: 'Category', entityId: target._id }],
+      note: `Merged into ${target.name}: ${retagged.books} book(s) re-tagged, ${retagged.policiesRemoved} conflicting circulation rule(s) removed`,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: target,
+      retagged,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete a category no book, subcategory or circulation rule uses
+// @route   DELETE /api/taxonomy/categories/:id
+// @access  Private (taxonomy.manage)
+router.delete('/categories/:id', manage, async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+      });
+    }
+
+    // Deleted books keep their category too, so they count
+    let books;
+    if (category.parent) {
+      const parent = await Category.findById(category.parent);
+      books = await Book.countDocuments({ category: parent.name, subcategory: category.name });
+    } else {
+      if (await Category.exists({ parent: category._id })) {
+        return res.status(400).json({
+          success: false,
+          message: 'Category has subcategories; delete or merge them first',
+        });
+      }
+      books = await Book.countDocuments({ category: category.name });
+      if (!books && await CirculationPolicy.exists({ category: category.name })) {
+        return res.status(400).json({
+          success: false,
+          message: 'Category has circulation rules; delete them or merge the category instead',
+        });
+      }
+    }
+
+    if (books > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Category is used by ${books} book(s); merge it into another category instead`,
+      });
+    }
+
+    await category.deleteOne();
+
+    await audit.record(req, { action: 'delete', entity: 'Category', before: category });
+
+    res.status(200).json({
+      success: true,
+      message: 'Category deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the subject vocabulary
+// @route   GET /api/taxonomy/subjects
+// @access  Public
+router.get('/subjects', async (req, res, next) => {
+  try {
+    const filter = {};
+
+    // Search names and synonyms
+    if (req.query.search) {
+      const pattern = String(req.query.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.terms = { $regex: pattern, $options: 'i' };
+    }
+
+    const subjects = await Subject.find(filter).sort('name').lean();
+
+    // Active books tagged with each heading
+    const counts = await Book.aggregate([
+      { $match: { isActive: true, subject: { $in: subjects.map(subject => subject.name) } } },
+      { $group: { _id: '$subject', books: { $sum: 1 } } },
+    ]);
+    const books = new Map(counts.map(count => [count._id, count.books]));
+
+    const data = subjects.map(subject => ({ ...subject, books: books.get(subject.name) || 0 }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Add a subject heading
+// @route   POST /api/taxonomy/subjects
+// @access  Private (taxonomy.manage)
+router.post('/subjects', manage, [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  ...subjectValidators,
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const taken = await takenTerm([req.body.name, ...(req.body.synonyms || [])]);
+    if (taken) {
+      return res.status(400).json({
+        success: false,
+        message: `${taken} is already a subject heading or synonym`,
+      });
+    }
+
+    const subject = await Subject.create({
+      name: req.body.name,
+      synonyms: req.body.synonyms || [],
+      description: req.body.description,
+      ...madeBy(req.user, 'updatedBy'),
+    });
+
+    await audit.record(req, { action: 'create', entity: 'Subject', after: subject });
+
+    res.status(201).json({
+      success: true,
+      data: subject,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Rename a subject heading or change its synonyms. Renamed headings re-tag their books.
+// @route   PUT /api/taxonomy/subjects/:id
+// @access  Private (taxonomy.manage)
+router.put('/subjects/:id', manage, subjectValidators, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const subject = await Subject.findById(req.params.id);
+
+    if (!subject) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subject not found',
+      });
+    }
+
+    const taken = await takenTerm([req.body.name, ...(req.body.synonyms || [])].filter(Boolean), subject._id);
+    if (taken) {
+      return res.status(400).json({
+        success: false,
+        message: `${taken} is already a subject heading or synonym`,
+      });
+    }
+
+    const before = subject.toObject();
+    for (const field of ['synonyms', 'description']) {
+      if (req.body[field] !== undefined) {
+        subject[field] = req.body[field];
+      }
+    }
+    Object.assign(subject, madeBy(req.user, 'updatedBy'));
+
+    let retagged = null;
+    if (req.body.name !== undefined) {
+      retagged = await taxonomy.renameSubject(subject, req.body.name);
+    } else {
+      await subject.save();
+    }
+
+    await audit.record(req, {
+      action: 'update',
+      entity: 'Subject',
+      before,
+      after: subject,
+      note: retagged ? `${retagged.books} book(s) re-tagged` : undefined,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: subject,
+      retagged,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Merge a subject heading into another; its name and synonyms become the target's synonyms
+// @route   POST /api/taxonomy/subjects/:id/merge
+// @access  Private (taxonomy.manage)
+router.post('/subjects/:id/merge', manage, mergeValidators, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const [source, target] = await Promise.all([
+      Subject.findById(req.params.id),
+      Subject.findById(req.body.into),
+    ]);
+
+    if (!source || !target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subject not found',
+      });
+    }
+
+    Object.assign(target, madeBy(req.user, 'updatedBy'));
+    const retagged = await taxonomy.mergeSubject(source, target);
+
+    await audit.record(req, {
+      action: 'merge',
+      entity: 'Subject',
+      before: source,
+      related: [{ entity: 'Subject', entityId: target._id }],
+      note: `Merged into ${target.name}: ${retagged.books} book(s) re-tagged`,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: target,
+      retagged,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete a subject heading no book uses
+// @route   DELETE /api/taxonomy/subjects/:id
+// @access  Private (taxonomy.manage)
+router.delete('/subjects/:id', manage, async (req, res, next) => {
+  try {
+    const subject = await Subject.findById(req.params.id);
+
+    if (!subject) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subject not found',
+      });
+    }
+
+    const books = await Book.countDocuments({ subject: subject.name });
+    if (books > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Subject is used by ${books} book(s); merge it into another heading instead`,
+      });
+    }
+
+    await subject.deleteOne();
+
+    await audit.record(req, { action: 'delete', entity: 'Subject', before: subject });
+
+    res.status(200).json({
+      success: true,
+      message: 'Subject deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
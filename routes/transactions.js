@@ -1,16 +1,16 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const Student = require('../models/Student');
-const Book = require('../models/Book');
 const Transaction = require('../models/Transaction');
+const circulation = require('../services/circulation');
+const audit = require('../services/audit');
 const { protect, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
 // @desc    Get all transactions
 // @route   GET /api/transactions
-// @access  Private (Admin/Librarian)
-router.get('/', protect, authorize('admin', 'librarian'), async (req, res, next) => {
+// @access  Private (circulation.view)
+router.get('/', protect, authorize('circulation.view'), async (req, res, next) => {
   try {
     let query = Transaction.find();
 
@@ -99,6 +99,7 @@ router.get('/:id', protect, async (req, res, next) => {
   try {
     const transaction = await Transaction.findById(req.params.id)
       .populate('book', 'title author isbn')
+      .populate('copy', 'accessionNumber barcode condition status')
       .populate('student', 'name studentId class section')
       .populate('processedBy', 'name');
 
@@ -109,8 +110,11 @@ router.get('/:id', protect, async (req, res, next) => {
       });
     }
 
-    // Students can only view their own transactions
-    if (req.user.role === 'student' && transaction.student._id.toString() !== req.user.id) {
+    // Without circulation.view, users can only view their own transactions. The student
+    // record may have been deleted, leaving only the id populate() replaced.
+    const permissions = await req.user.getPermissions();
+    const studentId = transaction.populated('student') || transaction.student;
+    if (!permissions.includes('circulation.view') && String(studentId) !== String(req.user.student)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this transaction',
@@ -126,11 +130,11 @@ router.get('/:id', protect, async (req, res, next) => {
   }
 });
 
-// @desc    Issue a book
+// @desc    Issue a book copy
 // @route   POST /api/transactions/issue
-// @access  Private (Admin/Librarian)
-router.post('/issue', protect, authorize('admin', 'librarian'), [
-  body('bookId').notEmpty().withMessage('Book ID is required'),
+// @access  Private (circulation.issue)
+router.post('/issue', protect, authorize('circulation.issue'), [
+  body('barcode').if(body('bookId').isEmpty()).notEmpty().withMessage('Copy barcode or book ID is required'),
   body('studentId').notEmpty().withMessage('Student ID is required'),
 ], async (req, res, next) => {
   try {
@@ -143,102 +147,102 @@ router.post('/issue', protect, authorize('admin', 'librarian'), [
       });
     }
 
-    const { bookId, studentId, notes } = req.body;
+    const { barcode, bookId, studentId, notes } = req.body;
 
-    // Check if book exists and is available
-    const book = await Book.findById(bookId);
-    if (!book || !book.isActive) {
-      return res.status(404).json({
-        success: false,
-        message: 'Book not found',
-      });
-    }
-
-    if (book.availableCopies <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Book is not available for issue',
-      });
-    }
-
-    // Check if student exists
-    const student = await Student.findOne({ _id: studentId, status: 'active' });
-    if (!student) {
-      return res.status(404).json({
-        success: false,
-        message: 'Student not found',
-      });
-    }
+    const { transaction, availableCopies } = await circulation.issueLoan({
+      barcode,
+      bookId,
+      studentId,
+      notes,
+      actor: req.user,
+    });
 
-    // Check if student already has this book
-    const existingTransaction = await Transaction.findOne({
-      book: bookId,
-      student: studentId,
-      status: 'active',
+    await audit.record(req, {
+      action: 'issue',
+      entity: 'Transaction',
+      after: transaction,
+      related: audit.loanRefs(transaction),
+      counters: { 'book.availableCopies': availableCopies },
     });
 
-    if (existingTransaction) {
-      return res.status(400).json({
-        success: false,
-        message: 'Student already has this book issued',
-      });
-    }
+    // Populate transaction
+    await transaction.populate('book', 'title author isbn');
+    await transaction.populate('copy', 'accessionNumber barcode condition');
+    await transaction.populate('student', 'name studentId class section');
+    await transaction.populate('processedBy', 'name');
 
-    // Check student's active book limit
-    const activeBooks = await Transaction.countDocuments({
-      student: studentId,
-      status: 'active',
+    res.status(201).json({
+      success: true,
+      data: transaction,
     });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    if (activeBooks >= student.maxBooksAllowed) {
+// @desc    Return a book copy
+// @route   POST /api/transactions/return
+// @access  Private (circulation.return)
+router.post('/return', protect, authorize('circulation.return'), [
+  body('transactionId').if(body('barcode').isEmpty()).notEmpty().withMessage('Transaction ID or copy barcode is required'),
+  body('condition').optional().isIn(['New', 'Good', 'Fair', 'Poor', 'Damaged']).withMessage('Invalid condition'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: `Student has reached maximum book limit (${student.maxBooksAllowed} books)`,
+        message: 'Validation failed',
+        errors: errors.array(),
       });
     }
 
-    // Create transaction
-    const issueDate = new Date();
-    const dueDate = new Date(issueDate);
-    dueDate.setDate(dueDate.getDate() + 14); // 14 days loan period
-
-    const transaction = await Transaction.create({
-      book: bookId,
-      student: studentId,
-      type: 'issue',
-      issueDate: issueDate,
-      dueDate: dueDate,
+    const { transactionId, barcode, condition, notes } = req.body;
+
+    const { transaction, previous, hold, availableCopies } = await circulation.returnLoan({
+      transactionId,
+      barcode,
+      condition,
       notes,
-      processedBy: req.user.id,
+      actor: req.user,
     });
 
-    // Update book availability
-    book.availableCopies -= 1;
-    await book.save();
-
-    // Update student's current books issued count
-    student.currentBooksIssued += 1;
-    await student.save();
+    await audit.record(req, {
+      action: 'return',
+      entity: 'Transaction',
+      before: previous,
+      after: transaction,
+      related: audit.loanRefs(transaction),
+      counters: { 'book.availableCopies': availableCopies },
+      note: condition && `Returned in ${condition} condition`,
+    });
 
     // Populate transaction
     await transaction.populate('book', 'title author isbn');
+    await transaction.populate('copy', 'accessionNumber barcode condition status');
     await transaction.populate('student', 'name studentId class section');
     await transaction.populate('processedBy', 'name');
 
-    res.status(201).json({
+    if (hold) {
+      await hold.populate('student', 'name studentId class section');
+    }
+
+    res.status(200).json({
       success: true,
       data: transaction,
+      hold,
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @desc    Return a book
-// @route   POST /api/transactions/return
-// @access  Private (Admin/Librarian)
-router.post('/return', protect, authorize('admin', 'librarian'), [
-  body('transactionId').notEmpty().withMessage('Transaction ID is required'),
+// @desc    Close a loan whose copy was lost, charging the fine to date plus any replacement charge
+// @route   POST /api/transactions/lost
+// @access  Private (circulation.return)
+router.post('/lost', protect, authorize('circulation.return'), [
+  body('transactionId').if(body('barcode').isEmpty()).notEmpty().withMessage('Transaction ID or copy barcode is required'),
+  body('charge').optional().isFloat({ min: 0 }).withMessage('Charge must be a non-negative number'),
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -250,47 +254,28 @@ router.post('/return', protect, authorize('admin', 'librarian'), [
       });
     }
 
-    const { transactionId, notes } = req.body;
-
-    // Find the active transaction
-    const transaction = await Transaction.findOne({
-      _id: transactionId,
-      status: 'active',
-    }).populate('book');
-
-    if (!transaction) {
-      return res.status(404).json({
-        success: false,
-        message: 'Active transaction not found',
-      });
-    }
-
-    // Update transaction
-    transaction.type = 'return';
-    transaction.returnDate = new Date();
-    transaction.status = 'returned';
-    transaction.notes = notes || transaction.notes;
+    const { transactionId, barcode, charge, notes } = req.body;
 
-    // Calculate fine if overdue
-    transaction.calculateFine();
-
-    await transaction.save();
-
-    // Update book availability
-    const book = await Book.findById(transaction.book._id);
-    book.availableCopies += 1;
-    await book.save();
+    const { transaction, previous } = await circulation.markLost({
+      transactionId,
+      barcode,
+      charge: charge ? Number(charge) : 0,
+      notes,
+      actor: req.user,
+    });
 
-    // Update student's current books issued count
-    const student = await Student.findById(transaction.student);
-    if (student && student.currentBooksIssued > 0) {
-      student.currentBooksIssued -= 1;
-      await student.save();
-    }
+    await audit.record(req, {
+      action: 'return',
+      entity: 'Transaction',
+      before: previous,
+      after: transaction,
+      related: audit.loanRefs(transaction),
+      note: 'Reported lost',
+    });
 
-    // Populate transaction
+    await transaction.populate('book', 'title author isbn');
+    await transaction.populate('copy', 'accessionNumber barcode condition status');
     await transaction.populate('student', 'name studentId class section');
-    await transaction.populate('processedBy', 'name');
 
     res.status(200).json({
       success: true,
@@ -303,8 +288,8 @@ router.post('/return', protect, authorize('admin', 'librarian'), [
 
 // @desc    Renew a book
 // @route   POST /api/transactions/renew
-// @access  Private (Admin/Librarian)
-router.post('/renew', protect, authorize('admin', 'librarian'), [
+// @access  Private (circulation.renew)
+router.post('/renew', protect, authorize('circulation.renew'), [
   body('transactionId').notEmpty().withMessage('Transaction ID is required'),
 ], async (req, res, next) => {
   try {
@@ -317,36 +302,17 @@ router.post('/renew', protect, authorize('admin', 'librarian'), [
       });
     }
 
-    const { transactionId } = req.body;
-
-    // Find the active transaction
-    const transaction = await Transaction.findOne({
-      _id: transactionId,
-      status: 'active',
+    const { transaction, previous } = await circulation.renewLoan({
+      transactionId: req.body.transactionId,
     });
 
-    if (!transaction) {
-      return res.status(404).json({
-        success: false,
-        message: 'Active transaction not found',
-      });
-    }
-
-    // Check renewal limit
-    if (transaction.renewalCount >= 3) {
-      return res.status(400).json({
-        success: false,
-        message: 'Maximum renewal limit reached',
-      });
-    }
-
-    // Update transaction
-    transaction.renewalCount += 1;
-    const newDueDate = new Date();
-    newDueDate.setDate(newDueDate.getDate() + 14); // 14 days extension
-    transaction.dueDate = newDueDate;
-
-    await transaction.save();
+    await audit.record(req, {
+      action: 'renew',
+      entity: 'Transaction',
+      before: previous,
+      after: transaction,
+      related: audit.loanRefs(transaction),
+    });
 
     // Populate transaction
     await transaction.populate('book', 'title author isbn');
@@ -367,8 +333,9 @@ router.post('/renew', protect, authorize('admin', 'librarian'), [
 // @access  Private
 router.get('/student/:studentId', protect, async (req, res, next) => {
   try {
-    // Students can only view their own transactions
-    if (req.user.role === 'student' && req.params.studentId !== req.user.id) {
+    // Without circulation.view, users can only view their own transactions
+    const permissions = await req.user.getPermissions();
+    if (!permissions.includes('circulation.view') && req.params.studentId !== String(req.user.student)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access these transactions',
@@ -392,24 +359,18 @@ router.get('/student/:studentId', protect, async (req, res, next) => {
 
 // @desc    Get overdue transactions
 // @route   GET /api/transactions/meta/overdue
-// @access  Private (Admin/Librarian)
-router.get('/meta/overdue', protect, authorize('admin', 'librarian'), async (req, res, next) => {
+// @access  Private (circulation.view)
+router.get('/meta/overdue', protect, authorize('circulation.view'), async (req, res, next) => {
   try {
+    // Read-only: status and fines are kept up to date by the markOverdue job
     const overdueTransactions = await Transaction.find({
-      status: 'active',
+      status: { $in: Transaction.OPEN_STATUSES },
       dueDate: { $lt: new Date() },
     })
       .populate('book', 'title author isbn')
       .populate('student', 'name studentId class section')
       .sort('dueDate');
 
-    // Update status to overdue and calculate fines
-    for (let transaction of overdueTransactions) {
-      transaction.checkOverdue();
-      transaction.calculateFine();
-      await transaction.save();
-    }
-
     res.status(200).json({
       success: true,
       count: overdueTransactions.length,
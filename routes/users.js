@@ -0,0 +1,454 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const RefreshToken = require('../models/RefreshToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const accounts = require('../services/accounts');
+const audit = require('../services/audit');
+const loginThrottle = require('../services/loginThrottle');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect, authorize('users.manage'));
+
+// Fields the user list can be sorted by, each optionally prefixed with - for descending
+const SORT_FIELDS = ['name', 'email', 'role', 'isActive', 'createdAt'];
+
+// Search text matched literally, not as a pattern
+const escapeRegex = value => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @desc    Get users
+// @route   GET /api/users
+// @access  Private (users.manage)
+router.get('/', [
+  query('role').optional().isString().custom(async (value) => {
+    if (!(await Role.isDefined(value))) {
+      throw new Error(`Role ${value} does not exist`);
+    }
+    return true;
+  }),
+  query('search').optional().isString().withMessage('Search must be text'),
+  query('sort').optional().isString().custom((value) => {
+    if (!value.split(',').every(field => SORT_FIELDS.includes(field.replace(/^-/, '')))) {
+      throw new Error(`Sort by ${SORT_FIELDS.join(', ')}`);
+    }
+    return true;
+  }),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    // Staff by default; ?role=student lists portal accounts
+    const filter = { role: req.query.role || { $ne: 'student' } };
+
+    // Search functionality
+    if (req.query.search) {
+      const search = escapeRegex(req.query.search);
+      filter.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } },
+      ];
+    }
+
+    // Filter by account state
+    if (req.query.status === 'active') {
+      filter.isActive = true;
+      filter.invitePending = false;
+    } else if (req.query.status === 'inactive') {
+      filter.isActive = false;
+    } else if (req.query.status === 'pending') {
+      filter.invitePending = true;
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+    const total = await User.countDocuments(filter);
+
+    const users = await User.find(filter)
+      .sort(req.query.sort ? req.query.sort.split(',').join(' ') : 'name')
+      .skip(startIndex)
+      .limit(limit)
+      .populate('invitedBy', 'name');
+
+    // Pagination result
+    const pagination = {};
+
+    if (endIndex < total) {
+      pagination.next = {
+        page: page + 1,
+        limit,
+      };
+    }
+
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit,
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      total,
+      pagination,
+      data: users,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get login lockouts in force, for accounts and IPs
+// @route   GET /api/users/lockouts
+// @access  Private (users.manage)
+router.get('/lockouts', async (req, res, next) => {
+  try {
+    const lockouts = await LoginThrottle.find({ lockedUntil: { $gt: new Date() } }).sort('-lockedUntil');
+
+    res.status(200).json({
+      success: true,
+      count: lockouts.length,
+      data: lockouts,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Lift a lockout, e.g. for the desk's shared IP
+// @route   DELETE /api/users/lockouts/:id
+// @access  Private (users.manage)
+router.delete('/lockouts/:id', async (req, res, next) => {
+  try {
+    const lockout = await LoginThrottle.findByIdAndDelete(req.params.id);
+
+    if (!lockout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lockout not found',
+      });
+    }
+
+    await audit.record(req, { action: 'unlock', entity: 'User', note: `Lifted lockout of ${lockout.key}` });
+
+    res.status(200).json({
+      success: true,
+      message: 'Lockout lifted',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get single user
+// @route   GET /api/users/:id
+// @access  Private (users.manage)
+router.get('/:id', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .populate('invitedBy', 'name')
+      .populate('student', 'name studentId class section');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: user,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update a user's details or role
+// @route   PUT /api/users/:id
+// @access  Private (users.manage)
+router.put('/:id', [
+  body('name').optional().notEmpty().withMessage('Name cannot be empty'),
+  body('email').optional().isEmail().withMessage('Please include a valid email'),
+  body('role').optional().custom(async (value) => {
+    if (!(await Role.isStaffRole(value))) {
+      throw new Error(`Role ${value} does not exist`);
+    }
+    return true;
+  }),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    await accounts.ensureCanManage(req.user, user);
+
+    if (req.body.role && req.body.role !== user.role) {
+      await accounts.ensureCanGrant(req.user, req.body.role);
+
+      // Portal accounts stay tied to their student record
+      if (user.role === 'student') {
+        return res.status(400).json({
+          success: false,
+          message: 'Student accounts cannot be given a staff role',
+        });
+      }
+      await accounts.ensureNotLastAdmin(user);
+    }
+
+    const before = user.toObject();
+    for (const field of ['name', 'email', 'phone', 'address', 'role']) {
+      if (req.body[field] !== undefined) {
+        user[field] = req.body[field];
+      }
+    }
+    await user.save();
+
+    await audit.record(req, { action: 'update', entity: 'User', before, after: user });
+
+    res.status(200).json({
+      success: true,
+      data: user,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Deactivate a user, ending their sessions immediately
+// @route   PUT /api/users/:id/deactivate
+// @access  Private (users.manage)
+router.put('/:id/deactivate', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account',
+      });
+    }
+
+    await accounts.ensureCanManage(req.user, user);
+    await accounts.ensureNotLastAdmin(user);
+
+    const before = user.toObject();
+    user.isActive = false;
+    await user.save();
+    await RefreshToken.revokeAllForUser(user._id);
+
+    await audit.record(req, { action: 'update', entity: 'User', before, after: user, note: 'Deactivated' });
+
+    res.status(200).json({
+      success: true,
+      data: user,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Reactivate a user
+// @route   PUT /api/users/:id/reactivate
+// @access  Private (users.manage)
+router.put('/:id/reactivate', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    await accounts.ensureCanManage(req.user, user);
+
+    const before = user.toObject();
+    user.isActive = true;
+    await user.save();
+
+    await audit.record(req, { action: 'update', entity: 'User', before, after: user, note: 'Reactivated' });
+
+    res.status(200).json({
+      success: true,
+      data: user,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Force a password reset: the current password stops working and a reset link is emailed
+// @route   POST /api/users/:id/reset-password
+// @access  Private (users.manage)
+router.post('/:id/reset-password', async (req, res, next) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, invitePending: false });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    await accounts.ensureCanManage(req.user, user);
+    await accounts.forcePasswordReset(user);
+
+    await audit.record(req, { action: 'update', entity: 'User', entityId: user._id, note: 'Password reset forced' });
+
+    res.status(200).json({
+      success: true,
+      message: `Password reset link sent to ${user.email}`,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Unlock a user's account after too many failed logins
+// @route   POST /api/users/:id/unlock
+// @access  Private (users.manage)
+router.post('/:id/unlock', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    await loginThrottle.clearAccount(user.email);
+
+    await audit.record(req, { action: 'unlock', entity: 'User', entityId: user._id, note: 'Login lockout lifted' });
+
+    res.status(200).json({
+      success: true,
+      message: `${user.name} can log in again`,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Reset a user's two-factor authentication, e.g. after they lose their device
+// @route   POST /api/users/:id/reset-2fa
+// @access  Private (users.manage)
+router.post('/:id/reset-2fa', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    await accounts.ensureCanManage(req.user, user);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'User does not have two-factor authentication on',
+      });
+    }
+
+    // They log in with their password and, if their role requires it, set it up again
+    user.clearTwoFactor();
+    await user.save();
+    await RefreshToken.revokeAllForUser(user._id);
+
+    await audit.record(req, {
+      action: 'update',
+      entity: 'User',
+      entityId: user._id,
+      before: { twoFactor: { enabled: true } },
+      after: { twoFactor: { enabled: false } },
+      note: 'Two-factor authentication reset',
+    });
+
+    res.status(200).json({
+      success: true,
+      data: user,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Withdraw a pending invitation
+// @route   DELETE /api/users/:id
+// @access  Private (users.manage)
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    // Accounts that have been used are kept for the records that refer to them
+    if (!user.invitePending) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending invitations can be deleted; deactivate the account instead',
+      });
+    }
+
+    await user.deleteOne();
+
+    await audit.record(req, { action: 'delete', entity: 'User', before: user, note: 'Invitation withdrawn' });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation withdrawn',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
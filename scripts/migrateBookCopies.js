@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import models
+const Book = require('../models/Book');
+const BookCopy = require('../models/BookCopy');
+const Transaction = require('../models/Transaction');
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('MongoDB Connected for migration...');
+  } catch (error) {
+    console.error('Database connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Create per-copy records for books that only have copy counters.
+// Active loans are attached to a copy each; the remaining copies go on the shelf.
+const migrateBookCopies = async () => {
+  try {
+    await connectDB();
+
+    const books = await Book.find({});
+    console.log(`Found ${books.length} books to check`);
+
+    let migrated = 0;
+    let copiesCreated = 0;
+
+    for (const book of books) {
+      const existing = await BookCopy.countDocuments({ book: book._id });
+      if (existing > 0) {
+        continue;
+      }
+
+      const activeLoans = await Transaction.find({
+        book: book._id,
+        status: { $in: ['active', 'overdue'] },
+        copy: { $exists: false },
+      }).sort('issueDate');
+
+      // Never create fewer copies than there are books out on loan
+      const count = Math.max(book.totalCopies, activeLoans.length);
+      const copies = await BookCopy.createForBook(book, count);
+
+      for (let i = 0; i < activeLoans.length; i++) {
+        copies[i].status = 'issued';
+        await copies[i].save();
+
+        activeLoans[i].copy = copies[i]._id;
+        await activeLoans[i].save();
+      }
+
+      const previous = { total: book.totalCopies, available: book.availableCopies };
+      const updated = await BookCopy.syncBookCounts(book._id);
+
+      if (previous.total !== updated.totalCopies || previous.available !== updated.availableCopies) {
+        console.log(
+          `⚠️  ${book.title} (${book.isbn}): counters were ${previous.available}/${previous.total}, ` +
+          `now ${updated.availableCopies}/${updated.totalCopies} from ${activeLoans.length} active loans`
+        );
+      }
+
+      migrated += 1;
+      copiesCreated += copies.length;
+    }
+
+    console.log(`✅ Migrated ${migrated} books, created ${copiesCreated} copies`);
+  } catch (error) {
+    console.error('Error migrating book copies:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed.');
+    process.exit(0);
+  }
+};
+
+// Run the migration
+migrateBookCopies();
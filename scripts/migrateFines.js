@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import models
+const Student = require('../models/Student');
+const Transaction = require('../models/Transaction');
+const FineEntry = require('../models/FineEntry');
+const User = require('../models/User');
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('MongoDB Connected for migration...');
+  } catch (error) {
+    console.error('Database connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Post fines recorded on returned loans to the fines ledger.
+// Fines already marked paid get a matching payment so balances start out right.
+const migrateFines = async () => {
+  try {
+    await connectDB();
+
+    const admin = await User.findOne({ role: 'admin' });
+    if (!admin) {
+      throw new Error('An admin user is required to record migrated ledger entries');
+    }
+
+    const transactions = await Transaction.find({ 'fine.amount': { $gt: 0 } });
+    console.log(`Found ${transactions.length} loans with fines`);
+
+    const students = new Set();
+    let charges = 0;
+    let payments = 0;
+
+    for (const transaction of transactions) {
+      const existing = await FineEntry.findOne({ transaction: transaction._id, type: 'charge' });
+      if (existing) {
+        continue;
+      }
+
+      const charge = await FineEntry.create({
+        student: transaction.student,
+        transaction: transaction._id,
+        type: 'charge',
+        amount: transaction.fine.amount,
+        reason: transaction.fine.reason === 'none' ? 'other' : transaction.fine.reason,
+        note: 'Migrated from loan record',
+        createdBy: admin._id,
+      });
+      charges += 1;
+
+      if (transaction.fine.paid) {
+        await FineEntry.create({
+          student: transaction.student,
+          type: 'payment',
+          amount: transaction.fine.amount,
+          method: 'other',
+          note: 'Migrated from loan record',
+          receiptNumber: await FineEntry.nextReceiptNumber(),
+          allocations: [{ charge: charge._id, amount: transaction.fine.amount }],
+          createdBy: admin._id,
+        });
+        payments += 1;
+      }
+
+      students.add(transaction.student.toString());
+    }
+
+    for (const studentId of students) {
+      const totalFines = await FineEntry.syncStudent(studentId);
+      const student = await Student.findById(studentId);
+      console.log(`${student ? student.name : studentId}: ${totalFines} outstanding`);
+    }
+
+    console.log(`✅ Posted ${charges} charges and ${payments} payments to the ledger`);
+  } catch (error) {
+    console.error('Error migrating fines:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed.');
+    process.exit(0);
+  }
+};
+
+// Run the migration
+migrateFines();
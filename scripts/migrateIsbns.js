@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import models
+const Book = require('../models/Book');
+const isbns = require('../utils/isbn');
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('MongoDB Connected for migration...');
+  } catch (error) {
+    console.error('Database connection error:', error);
+    process.exit(1);
+  }
+};
+
+const describe = book => `${book.title} (${book._id}, ${book.isbn}${book.isActive ? '' : ', deleted'})`;
+
+// Store every book's ISBN as its ISBN-13, keeping the stored form as originalIsbn. Books whose
+// ISBN fails its checksum, and editions catalogued more than once under the two forms, are
+// reported and left as they are for a librarian to correct or merge. Pass --dry-run to only report.
+const migrateIsbns = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  let exitCode = 0;
+
+  try {
+    await connectDB();
+
+    const books = await Book.find({}).select('title isbn originalIsbn isActive').sort('title');
+
+    const invalid = [];
+    const byIsbn = new Map();
+    for (const book of books) {
+      const isbn13 = isbns.toIsbn13(book.isbn);
+      if (!isbn13) {
+        invalid.push(book);
+      } else if (byIsbn.has(isbn13)) {
+        byIsbn.get(isbn13).push(book);
+      } else {
+        byIsbn.set(isbn13, [book]);
+      }
+    }
+
+    let converted = 0;
+    const duplicates = [];
+    for (const [isbn13, group] of byIsbn) {
+      if (group.length > 1) {
+        duplicates.push({ isbn: isbn13, books: group });
+        continue;
+      }
+
+      const [book] = group;
+      if (book.isbn !== isbn13) {
+        if (!dryRun) {
+          await Book.updateOne({ _id: book._id }, { isbn: isbn13, originalIsbn: book.originalIsbn || book.isbn });
+        }
+        converted += 1;
+      }
+    }
+
+    console.log(`\n📚 ${dryRun ? 'Would convert' : 'Converted'} ${converted} ISBN(s) to ISBN-13`);
+
+    console.log(`\n⚠️  Books with an invalid ISBN: ${invalid.length}`);
+    for (const book of invalid) {
+      console.log(`- ${describe(book)}`);
+    }
+
+    console.log(`\n⚠️  Editions catalogued more than once: ${duplicates.length}`);
+    for (const { isbn, books: group } of duplicates) {
+      console.log(`- ${isbn}:`);
+      for (const book of group) {
+        console.log(`    ${describe(book)}`);
+      }
+    }
+
+    if (invalid.length || duplicates.length) {
+      console.log('\nCorrect the ISBNs above, or merge the duplicate books and their copies, then run again');
+      exitCode = 1;
+    } else {
+      console.log('\n✅ Every ISBN is a valid ISBN-13');
+    }
+  } catch (error) {
+    console.error('Error migrating ISBNs:', error);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed.');
+    process.exit(exitCode);
+  }
+};
+
+// Run the migration
+migrateIsbns();
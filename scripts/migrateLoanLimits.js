@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import models
+const Student = require('../models/Student');
+
+// Every student used to be stored with this limit, which now overrides the circulation policy
+const OLD_DEFAULT_LIMIT = 3;
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('MongoDB Connected for migration...');
+  } catch (error) {
+    console.error('Database connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Clear the book limit students were given by the old schema default, so the policy's
+// maxBooks applies to them. Limits set to anything else are kept as overrides.
+const migrateLoanLimits = async () => {
+  try {
+    await connectDB();
+
+    const result = await Student.updateMany(
+      { maxBooksAllowed: OLD_DEFAULT_LIMIT },
+      { $unset: { maxBooksAllowed: 1 } }
+    );
+
+    console.log(`✅ Cleared the default limit of ${OLD_DEFAULT_LIMIT} books from ${result.modifiedCount} students`);
+  } catch (error) {
+    console.error('Error migrating loan limits:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed.');
+    process.exit(0);
+  }
+};
+
+// Run the migration
+migrateLoanLimits();
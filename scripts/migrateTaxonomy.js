@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import models
+const Book = require('../models/Book');
+const Category = require('../models/Category');
+const Subject = require('../models/Subject');
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('MongoDB Connected for migration...');
+  } catch (error) {
+    console.error('Database connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Fill the stored taxonomy from the catalog: the default categories plus any category
+// books already use, and a subject heading for every subject books are tagged with.
+// Safe to run again; existing categories and headings are left alone.
+const migrateTaxonomy = async () => {
+  try {
+    await connectDB();
+
+    await Category.ensureDefaults();
+
+    let categories = 0;
+    for (const name of await Book.distinct('category')) {
+      if (name && !await Category.exists({ name, parent: null })) {
+        await Category.create({ name });
+        categories += 1;
+      }
+    }
+
+    let subjects = 0;
+    for (const name of await Book.distinct('subject')) {
+      if (name && name.trim() && !await Subject.findByTerm(name)) {
+        await Subject.create({ name: name.trim() });
+        subjects += 1;
+      }
+    }
+
+    console.log(`✅ Added ${categories} categories and ${subjects} subject headings in use by books`);
+  } catch (error) {
+    console.error('Error migrating taxonomy:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed.');
+    process.exit(0);
+  }
+};
+
+// Run the migration
+migrateTaxonomy();
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { reconcileCounts } = require('../services/reconcile');
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('MongoDB Connected for reconciliation...');
+  } catch (error) {
+    console.error('Database connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Report counter drift; pass --fix to write the recomputed values back
+const run = async () => {
+  const fix = process.argv.includes('--fix');
+  let exitCode = 0;
+
+  try {
+    await connectDB();
+
+    const report = await reconcileCounts({ fix });
+
+    console.log(`\n📚 Books with drifted counters: ${report.books.length}`);
+    for (const item of report.books) {
+      console.log(
+        `- ${item.title} (${item.isbn}): available ${item.actual.availableCopies} → ${item.expected.availableCopies}, ` +
+        `total ${item.actual.totalCopies} → ${item.expected.totalCopies}`
+      );
+    }
+
+    console.log(`\n👥 Students with drifted loan counts: ${report.students.length}`);
+    for (const item of report.students) {
+      console.log(`- ${item.name} (${item.studentId}): ${item.actual} → ${item.expected}`);
+    }
+
+    console.log(`\n⚠️  Copies marked issued with no open loan: ${report.issuedCopiesWithoutLoan.length}`);
+    for (const item of report.issuedCopiesWithoutLoan) {
+      console.log(`- ${item.barcode}`);
+    }
+
+    console.log(`\n⚠️  Open loans whose copy is not marked issued: ${report.loansWithCopyNotIssued.length}`);
+    for (const item of report.loansWithCopyNotIssued) {
+      console.log(`- transaction ${item.transaction} (copy ${item.copy})`);
+    }
+
+    const drift = report.books.length + report.students.length;
+    if (drift === 0) {
+      console.log('\n✅ All counters match');
+    } else if (fix) {
+      console.log(`\n✅ Fixed ${drift} counters`);
+    } else {
+      console.log('\nRun again with --fix to write the expected values');
+      exitCode = 1;
+    }
+  } catch (error) {
+    console.error('Error reconciling counters:', error);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed.');
+    process.exit(exitCode);
+  }
+};
+
+run();
@@ -6,7 +6,11 @@ require('dotenv').config();
 const User = require('../models/User');
 const Student = require('../models/Student');
 const Book = require('../models/Book');
+const BookCopy = require('../models/BookCopy');
 const Transaction = require('../models/Transaction');
+const CirculationPolicy = require('../models/CirculationPolicy');
+const Category = require('../models/Category');
+const Subject = require('../models/Subject');
 
 // Connect to MongoDB
 const connectDB = async () => {
@@ -93,6 +97,7 @@ const sampleBooks = [
     description: 'A classic novel about racial injustice and childhood in the American South.',
     totalCopies: 5,
     availableCopies: 3,
+    callNumber: { classNumber: '813.54', cutter: 'LEE' },
     location: { shelf: 'A1', section: 'Fiction' },
     language: 'English',
     pages: 376,
@@ -109,6 +114,7 @@ const sampleBooks = [
     description: 'A dystopian social science fiction novel about totalitarian control.',
     totalCopies: 4,
     availableCopies: 2,
+    callNumber: { classNumber: '823.912', cutter: 'ORW' },
     location: { shelf: 'A2', section: 'Fiction' },
     language: 'English',
     pages: 328,
@@ -125,6 +131,7 @@ const sampleBooks = [
     description: 'A classic American novel set in the Jazz Age.',
     totalCopies: 6,
     availableCopies: 4,
+    callNumber: { classNumber: '813.52', cutter: 'FIT' },
     location: { shelf: 'A3', section: 'Fiction' },
     language: 'English',
     pages: 180,
@@ -141,6 +148,7 @@ const sampleBooks = [
     description: 'Comprehensive textbook on algorithms and data structures.',
     totalCopies: 3,
     availableCopies: 2,
+    callNumber: { classNumber: '005.1', cutter: 'COR' },
     location: { shelf: 'B1', section: 'Science' },
     language: 'English',
     pages: 1312,
@@ -157,6 +165,7 @@ const sampleBooks = [
     description: 'Popular science book about cosmology and the universe.',
     totalCopies: 4,
     availableCopies: 3,
+    callNumber: { classNumber: '523.1', cutter: 'HAW' },
     location: { shelf: 'B2', section: 'Science' },
     language: 'English',
     pages: 256,
@@ -173,6 +182,7 @@ const sampleBooks = [
     description: 'Coming-of-age novel about teenage rebellion and alienation.',
     totalCopies: 5,
     availableCopies: 3,
+    callNumber: { classNumber: '813.54', cutter: 'SAL' },
     location: { shelf: 'A4', section: 'Fiction' },
     language: 'English',
     pages: 277,
@@ -189,6 +199,7 @@ const sampleBooks = [
     description: 'Classic romance novel about manners and marriage in Georgian England.',
     totalCopies: 4,
     availableCopies: 2,
+    callNumber: { classNumber: '823.7', cutter: 'AUS' },
     location: { shelf: 'A5', section: 'Fiction' },
     language: 'English',
     pages: 432,
@@ -205,6 +216,7 @@ const sampleBooks = [
     description: 'Ancient Chinese military treatise on strategy and tactics.',
     totalCopies: 3,
     availableCopies: 3,
+    callNumber: { classNumber: '355.02', cutter: 'SUN' },
     location: { shelf: 'C1', section: 'History' },
     language: 'English',
     pages: 273,
@@ -212,6 +224,29 @@ const sampleBooks = [
   }
 ];
 
+// Sample circulation rules (unset values inherit the built-in defaults)
+const samplePolicies = [
+  {
+    name: 'Default loan',
+    loanDays: 14,
+    renewalLimit: 3,
+    finePerDay: 2,
+    graceDays: 1,
+    maxFine: 50,
+  },
+  {
+    name: 'Reference (in-library only)',
+    category: 'Reference',
+    loanable: false,
+  },
+  {
+    name: 'Textbook (whole term)',
+    category: 'Textbook',
+    loanDays: 120,
+    renewalLimit: 0,
+  },
+];
+
 const seedDatabase = async () => {
   try {
     await connectDB();
@@ -221,7 +256,11 @@ const seedDatabase = async () => {
     await User.deleteMany({});
     await Student.deleteMany({});
     await Book.deleteMany({});
+    await BookCopy.deleteMany({});
     await Transaction.deleteMany({});
+    await CirculationPolicy.deleteMany({});
+    await Category.deleteMany({});
+    await Subject.deleteMany({});
 
     // Create staff users
     console.log('Creating staff users...');
@@ -239,6 +278,19 @@ const seedDatabase = async () => {
       students.push(student);
     }
 
+    // Create circulation policies
+    console.log('Creating circulation policies...');
+    await CirculationPolicy.create(samplePolicies.map(policy => ({
+      ...policy,
+      updatedBy: adminUser._id,
+    })));
+
+    // Create the taxonomy books are filed under
+    console.log('Creating categories and subjects...');
+    await Category.ensureDefaults();
+    const subjects = [...new Set(sampleBooks.map(book => book.subject).filter(Boolean))];
+    await Subject.create(subjects.map(name => ({ name, updatedBy: adminUser._id })));
+
     // Create books
     console.log('Creating books...');
     const books = [];
@@ -247,6 +299,7 @@ const seedDatabase = async () => {
         ...bookData,
         addedBy: adminUser._id
       });
+      await BookCopy.createForBook(book, book.totalCopies, { addedBy: adminUser._id });
       books.push(book);
     }
 
@@ -286,21 +339,26 @@ const seedDatabase = async () => {
     ];
 
     for (const transactionData of transactions) {
-      const transaction = await Transaction.create(transactionData);
+      const copy = await BookCopy.findOne({ book: transactionData.book, status: 'available' });
+      const transaction = await Transaction.create({ ...transactionData, copy: copy._id });
       
-      // Update book availability for active transactions
+      // Mark the copy as issued for active transactions
       if (transaction.status === 'active') {
-        await Book.findByIdAndUpdate(
-          transaction.book,
-          { $inc: { availableCopies: -1 } }
-        );
+        copy.status = 'issued';
+        await copy.save();
       }
     }
 
+    // Derive book availability from copy states
+    for (const book of books) {
+      await BookCopy.syncBookCounts(book._id);
+    }
+
     console.log('✅ Database seeded successfully!');
     console.log('\n📚 Sample Data Created:');
     console.log(`- ${sampleUsers.length} staff users (1 admin, 1 librarian)`);
     console.log(`- ${students.length} student records`);
+    console.log(`- ${samplePolicies.length} circulation policies`);
     console.log(`- ${sampleBooks.length} books`);
     console.log(`- ${transactions.length} transactions`);
     
@@ -5,17 +5,43 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const compression = require('compression');
+const cookieParser = require('cookie-parser');
 require('dotenv').config();
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const bookRoutes = require('./routes/books');
+const copyRoutes = require('./routes/copies');
 const studentRoutes = require('./routes/students');
 const transactionRoutes = require('./routes/transactions');
+const deskRoutes = require('./routes/desk');
+const holdRoutes = require('./routes/holds');
 const statsRoutes = require('./routes/stats');
+const policyRoutes = require('./routes/policies');
+const fineRoutes = require('./routes/fines');
+const jobRoutes = require('./routes/jobs');
+const notificationRoutes = require('./routes/notifications');
+const promotionRoutes = require('./routes/promotions');
+const portalRoutes = require('./routes/portal');
+const userRoutes = require('./routes/users');
+const roleRoutes = require('./routes/roles');
+const auditRoutes = require('./routes/audit');
+const apiKeyRoutes = require('./routes/apiKeys');
+const taxonomyRoutes = require('./routes/taxonomy');
+
+// Import models seeded at startup
+const Role = require('./models/Role');
+const Category = require('./models/Category');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
+const requestId = require('./middleware/requestId');
+
+// Import background jobs
+const scheduler = require('./jobs/scheduler');
+
+// Import the in-process catalog search index
+const catalogSearch = require('./services/catalogSearch');
 
 const app = express();
 
@@ -24,6 +50,9 @@ if (process.env.NODE_ENV === 'production') {
   app.set('trust proxy', 1);
 }
 
+// Request ids, recorded in the audit log
+app.use(requestId);
+
 // Security middleware
 app.use(helmet());
 
@@ -35,9 +64,21 @@ const limiter = rateLimit({
   windowMs: (process.env.RATE_LIMIT_WINDOW || 15) * 60 * 1000, // 15 minutes
   max: process.env.RATE_LIMIT_MAX_REQUESTS || 100, // limit each IP to 100 requests per windowMs
   message: 'Too many requests from this IP, please try again later.',
+  // Logins have their own limit below
+  skip: req => req.path.startsWith('/auth/login'),
 });
 app.use('/api/', limiter);
 
+// Failed logins are throttled per account and IP (services/loginThrottle.js), but that only
+// counts attempts once they have failed; this caps how many an IP can have going at once.
+// It is looser than the general limit since a whole school may log in from one address.
+const loginLimiter = rateLimit({
+  windowMs: (process.env.LOGIN_RATE_LIMIT_WINDOW || 15) * 60 * 1000,
+  max: process.env.LOGIN_RATE_LIMIT_MAX_REQUESTS || 300,
+  message: 'Too many login attempts from this IP, please try again later.',
+});
+app.use('/api/auth/login', loginLimiter);
+
 // CORS configuration
 const corsOptions = {
   origin: function (origin, callback) {
@@ -71,6 +112,7 @@ app.use(cors(corsOptions));
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
 
 // Logging middleware
 if (process.env.NODE_ENV === 'development') {
@@ -87,6 +129,17 @@ const connectDB = async () => {
       useUnifiedTopology: true,
     });
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+    // Store the built-in roles so admins can edit them
+    await Role.ensureBuiltIns();
+
+    // Start a new installation with the default book categories
+    await Category.ensureDefaults();
+
+    // Build the catalog search index now rather than on the first search
+    catalogSearch.rebuild().catch((error) => {
+      console.error('Search index build failed:', error.message);
+    });
   } catch (error) {
     console.error('Database connection error:', error);
     process.exit(1);
@@ -108,9 +161,23 @@ app.get('/api/health', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/books', bookRoutes);
+app.use('/api/copies', copyRoutes);
 app.use('/api/students', studentRoutes);
 app.use('/api/transactions', transactionRoutes);
+app.use('/api/desk', deskRoutes);
+app.use('/api/holds', holdRoutes);
 app.use('/api/stats', statsRoutes);
+app.use('/api/policies', policyRoutes);
+app.use('/api/fines', fineRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/portal', portalRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/taxonomy', taxonomyRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -129,6 +196,13 @@ const server = app.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
 });
 
+// Start background jobs (overdue detection, hold expiry, reminders)
+if (process.env.JOBS_ENABLED !== 'false') {
+  scheduler.start().catch((error) => {
+    console.error('Job scheduler failed to start:', error);
+  });
+}
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
   console.log(`Error: ${err.message}`);
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const RefreshToken = require('../models/RefreshToken');
+const { sendEmail } = require('./notifications');
+const ErrorResponse = require('../utils/errorResponse');
+
+const INVITE_TOKEN_DAYS = () => parseInt(process.env.INVITE_TOKEN_DAYS, 10) || 7;
+const RESET_TOKEN_MINUTES = () => parseInt(process.env.RESET_TOKEN_MINUTES, 10) || 30;
+
+// Link in the frontend where a reset or invitation token is used
+const frontendLink = (pathname, token) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/${pathname}/${token}`;
+
+// Create a pending staff account and email a link to set its password.
+// Inviting someone whose invitation is still pending sends them a fresh link.
+const inviteStaff = async ({ name, email, role }, invitedBy) => {
+  let user = await User.findOne({ email });
+  if (user && !user.invitePending) {
+    throw new ErrorResponse('User already exists with this email', 400);
+  }
+
+  if (!user) {
+    user = new User({ email, invitePending: true });
+  }
+  user.set({ name, role, invitedBy: invitedBy._id });
+
+  const days = INVITE_TOKEN_DAYS();
+  const token = user.getResetPasswordToken(days * 24 * 60);
+  await user.save();
+
+  await sendEmail(user.email, 'invitation', {
+    user,
+    invitedBy,
+    url: frontendLink('accept-invitation', token),
+    days,
+  });
+
+  return user;
+};
+
+// Email a password reset link. Pending tokens are cleared again if the mail can't be sent.
+const sendPasswordReset = async (user) => {
+  const minutes = RESET_TOKEN_MINUTES();
+  const token = user.getResetPasswordToken(minutes);
+  await user.save();
+
+  try {
+    await sendEmail(user.email, 'passwordReset', {
+      user,
+      url: frontendLink('reset-password', token),
+      minutes,
+    });
+  } catch (error) {
+    await User.updateOne({ _id: user._id }, { $unset: { resetPasswordToken: 1, resetPasswordExpire: 1 } });
+    throw error;
+  }
+};
+
+// Make a user choose a new password: the current one stops working, every session ends
+// and a reset link is emailed
+const forcePasswordReset = async (user) => {
+  user.password = crypto.randomBytes(32).toString('hex');
+  await user.save();
+  await RefreshToken.revokeAllForUser(user._id);
+  await sendPasswordReset(user);
+};
+
+// Refuse a change that would leave no active admin
+const ensureNotLastAdmin = async (user) => {
+  if (user.role !== 'admin' || !user.isActive || user.invitePending) {
+    return;
+  }
+
+  const otherAdmins = await User.countDocuments({
+    _id: { $ne: user._id },
+    role: 'admin',
+    isActive: true,
+    invitePending: false,
+  });
+
+  if (otherAdmins === 0) {
+    throw new ErrorResponse('Cannot demote or deactivate the last active admin', 400);
+  }
+};
+
+// Whether a role gives nothing beyond `permissions`. Staff never hold portal.use, but a
+// portal account has no access over them.
+const roleWithin = async (role, permissions) => {
+  const granted = await Role.permissionsFor(role);
+  return granted.every(permission => permission === 'portal.use' || permissions.includes(permission));
+};
+
+// Refuse to give a role with permissions the actor doesn't hold, so users.manage
+// can't be used to climb to admin
+const ensureCanGrant = async (actor, role) => {
+  if (!(await roleWithin(role, await actor.getPermissions()))) {
+    throw new ErrorResponse(`You cannot give the ${role} role: it has permissions you don't hold`, 403);
+  }
+};
+
+// Refuse changes to the actor's own account, which go through /api/auth, and to
+// users holding permissions the actor doesn't
+const ensureCanManage = async (actor, user) => {
+  if (user._id.equals(actor._id)) {
+    throw new ErrorResponse('Change your own account through /api/auth instead', 403);
+  }
+  if (!(await roleWithin(user.role, await actor.getPermissions()))) {
+    throw new ErrorResponse('You cannot manage a user with permissions you don\'t hold', 403);
+  }
+};
+
+module.exports = {
+  inviteStaff,
+  sendPasswordReset,
+  forcePasswordReset,
+  ensureNotLastAdmin,
+  ensureCanGrant,
+  ensureCanManage,
+};
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// Bookkeeping fields left out of diffs
+const IGNORED = new Set(['_id', '__v', 'id', 'createdAt', 'updatedAt']);
+
+// Secrets: the diff shows they changed, never their values
+const REDACTED = new Set([
+  'password', 'resetPasswordToken', 'resetPasswordExpire', 'activationCode', 'activationCodeExpires',
+  'twoFactor.secret', 'twoFactor.pendingSecret', 'twoFactor.recoveryCodes', 'keyHash',
+]);
+
+const plain = doc => (doc && typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc || {});
+
+const isObjectLike = value => value && typeof value === 'object'
+  && !Array.isArray(value)
+  && !(value instanceof Date)
+  && !(value instanceof mongoose.Types.ObjectId)
+  && !Buffer.isBuffer(value);
+
+// Nested objects as dotted paths: { location: { shelf } } -> { 'location.shelf' }
+const flatten = (object, prefix = '', out = {}) => {
+  for (const [key, value] of Object.entries(object)) {
+    if (IGNORED.has(key)) continue;
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isObjectLike(value) && Object.keys(value).length) {
+      flatten(value, path, out);
+    } else {
+      out[path] = value;
+    }
+  }
+  return out;
+};
+
+// Dates, ids and arrays compare by their JSON form
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Fields that differ between two versions of a record. Pass null as `before` for a
+// new record, or as `after` for a removed one.
+const diff = (before, after) => {
+  const from = flatten(plain(before));
+  const to = flatten(plain(after));
+  const changes = [];
+
+  for (const field of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    if (same(from[field], to[field])) continue;
+
+    const secret = REDACTED.has(field) || REDACTED.has(field.split('.')[0]);
+    changes.push({
+      field,
+      from: secret ? '[redacted]' : from[field],
+      to: secret ? '[redacted]' : to[field],
+    });
+  }
+  return changes;
+};
+
+// Record an action taken through a request. `actor` defaults to the logged-in user, or
+// the API key the request was made with; updates that changed nothing are not recorded.
+// Background jobs pass null for `req` and name themselves with `actorName`.
+// `counters` adds counters on other records the action moved with $inc, which the diff can't
+// see, as { 'book.availableCopies': { from, to } }. Never throws: the action already happened,
+// so a failed write is only logged.
+const record = async (req, {
+  action,
+  entity,
+  entityId,
+  before = null,
+  after = null,
+  related = [],
+  note,
+  actor = req ? req.user : null,
+  actorName = actor ? actor.name : undefined,
+  counters = {},
+}) => {
+  try {
+    const changes = diff(before, after);
+    for (const [field, counter] of Object.entries(counters)) {
+      if (counter && counter.from !== counter.to) {
+        changes.push({ field, from: counter.from, to: counter.to });
+      }
+    }
+    if (action === 'update' && changes.length === 0) {
+      return null;
+    }
+
+    const viaApiKey = Boolean(actor && actor.apiKey);
+
+    return await AuditLog.create({
+      actor: actor && !viaApiKey ? actor._id : undefined,
+      apiKey: viaApiKey ? actor._id : undefined,
+      actorName,
+      action,
+      entity,
+      entityId: entityId || (after && after._id) || (before && before._id),
+      related: related.filter(item => item.entityId),
+      changes,
+      note,
+      ip: req ? req.ip : undefined,
+      userAgent: req ? req.get('User-Agent') : undefined,
+      requestId: req ? req.id : undefined,
+    });
+  } catch (error) {
+    console.error(`Audit log write failed for ${action} ${entity}:`, error.message);
+    return null;
+  }
+};
+
+// Related-record list for a loan or hold: its book, copy and student
+const loanRefs = doc => [
+  { entity: 'Book', entityId: doc.book && (doc.book._id || doc.book) },
+  { entity: 'BookCopy', entityId: doc.copy && (doc.copy._id || doc.copy) },
+  { entity: 'Student', entityId: doc.student && (doc.student._id || doc.student) },
+];
+
+// Related-record list for a fine ledger entry: its student, loan, and the charges it applies to
+const fineRefs = entry => [
+  { entity: 'Student', entityId: entry.student },
+  { entity: 'Transaction', entityId: entry.transaction },
+  ...entry.allocations.map(allocation => ({ entity: 'FineEntry', entityId: allocation.charge })),
+  { entity: 'FineEntry', entityId: entry.refundOf },
+];
+
+module.exports = {
+  diff,
+  record,
+  loanRefs,
+  fineRefs,
+};
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+
+// Dimensions the books list can be narrowed by, with a count of books for each value.
+// `list: true` values can also be sent comma-separated, as they never contain commas.
+const FACETS = {
+  category: { field: 'category', list: true },
+  subcategory: { field: 'subcategory' },
+  language: { field: 'language' },
+  condition: { field: 'condition', list: true },
+  subject: { field: 'subject' },
+  publisher: { field: 'publisher' },
+  section: { field: 'location.section' },
+  shelf: { field: 'location.shelf' },
+  publicationYear: { field: 'publicationYear', list: true, ranges: true },
+};
+
+// Most values listed for one facet
+const FACET_LIMIT = 50;
+
+const valuesOf = (param, { list }) => [].concat(param)
+  .flatMap(value => (list ? String(value).split(',') : [String(value)]))
+  .map(value => value.trim())
+  .filter(Boolean);
+
+// A year range as used in filters and the year facet: "1990-1999", "2005", "2000-" or "-1950"
+const parseRange = (value) => {
+  const match = /^(\d{4})?(-)?(\d{4})?$/.exec(value);
+  if (!match || (!match[1] && !match[3])) {
+    return null;
+  }
+  const from = match[1] ? Number(match[1]) : null;
+  const to = match[3] ? Number(match[3]) : match[2] ? null : from;
+  return { from, to };
+};
+
+// Selected values for each facet from the query string. Repeat a parameter for several values.
+const parseFilters = (query) => {
+  const filters = {};
+  for (const [name, facet] of Object.entries(FACETS)) {
+    if (query[name] === undefined) continue;
+
+    const values = valuesOf(query[name], facet);
+    if (facet.ranges) {
+      const ranges = values.map(parseRange).filter(Boolean);
+      if (ranges.length) filters[name] = ranges;
+    } else if (values.length) {
+      filters[name] = values;
+    }
+  }
+  return filters;
+};
+
+// Conditions for the selected values: any value within a facet, every facet at once.
+// Leave out `except` to count that facet's other values as if it weren't selected.
+const matchFor = (filters, except) => {
+  const conditions = [];
+  for (const [name, values] of Object.entries(filters)) {
+    if (name === except) continue;
+    const { field, ranges } = FACETS[name];
+
+    if (ranges) {
+      conditions.push({
+        $or: values.map(({ from, to }) => ({
+          [field]: { ...(from !== null && { $gte: from }), ...(to !== null && { $lte: to }) },
+        })),
+      });
+    } else {
+      conditions.push({ [field]: { $in: values } });
+    }
+  }
+  return conditions.length ? { $and: conditions } : {};
+};
+
+// Aggregation stages counting one facet's values, most common first. Years are counted by decade.
+const countStages = ({ field, ranges }) => {
+  const key = ranges
+    ? { $subtract: [`$${field}`, { $mod: [`$${field}`, 10] }] }
+    : `$${field}`;
+
+  return [
+    { $match: { [field]: { $nin: [null, ''] } } },
+    { $group: { _id: key, count: { $sum: 1 } } },
+    { $sort: ranges ? { _id: -1 } : { count: -1, _id: 1 } },
+    { $limit: FACET_LIMIT },
+  ];
+};
+
+// Aggregations don't cast ids the way queries do
+const castIds = (match) => {
+  if (!match._id || !match._id.$in) {
+    return match;
+  }
+  return { ...match, _id: { $in: match._id.$in.map(id => new mongoose.Types.ObjectId(id)) } };
+};
+
+// Counts for every facet over the books matching `base` (active books, the search results).
+// Each facet is counted with every other selection applied but not its own, so the counts
+// show how many books picking that value would give.
+const facetCounts = async (base, filters, { available } = {}) => {
+  const availability = available ? { availableCopies: { $gt: 0 } } : {};
+  const facets = {};
+  for (const [name, facet] of Object.entries(FACETS)) {
+    facets[name] = [{ $match: { ...availability, ...matchFor(filters, name) } }, ...countStages(facet)];
+  }
+  facets.available = [
+    { $match: matchFor(filters) },
+    { $group: { _id: { $gt: ['$availableCopies', 0] }, count: { $sum: 1 } } },
+  ];
+
+  const [counts] = await Book.aggregate([
+    { $match: castIds(base) },
+    { $facet: facets },
+  ]);
+
+  const result = {};
+  for (const [name, buckets] of Object.entries(counts)) {
+    result[name] = buckets.map(({ _id, count }) => ({
+      value: FACETS[name] && FACETS[name].ranges ? `${_id}-${_id + 9}` : String(_id),
+      count,
+    }));
+  }
+  return result;
+};
+
+module.exports = {
+  FACETS,
+  parseFilters,
+  matchFor,
+  facetCounts,
+};
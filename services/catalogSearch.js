@@ -0,0 +1,366 @@
+const Book = require('../models/Book');
+const { fold, algorithmFor, stem, tokenize, editDistance } = require('../utils/textAnalysis');
+const isbns = require('../utils/isbn');
+
+// An in-process search index over the active catalog. Each word is stemmed in its book's
+// language, so "libraries" finds "library" in English and "bibliotecas" finds "biblioteca" in
+// Spanish. Book writes through the model update the index as they happen (see models/Book.js);
+// the whole index is rebuilt after SEARCH_INDEX_MAX_AGE_MINUTES to pick up changes made by
+// other server instances or scripts.
+
+// How much a match in each field counts
+const FIELD_WEIGHTS = {
+  title: 8,
+  author: 5,
+  subject: 3,
+  description: 1,
+};
+const FIELDS = Object.keys(FIELD_WEIGHTS);
+
+// Book fields the index is built from; writes to other fields leave it alone
+const INDEXED_FIELDS = [...FIELDS, 'language', 'isbn', 'isActive'];
+
+// How much a query word counts when it only matches as the start of a word or with a typo
+const PREFIX_WEIGHT = 0.6;
+const TYPO_WEIGHT = 0.4;
+
+const MAX_QUERY_WORDS = 10;
+const SNIPPET_BEFORE = 60;
+const SNIPPET_LENGTH = 200;
+
+const maxAgeMs = () => (parseInt(process.env.SEARCH_INDEX_MAX_AGE_MINUTES, 10) || 10) * 60 * 1000;
+
+let index = null;
+let building = null;
+let stale = false;
+
+const emptyIndex = () => ({
+  builtAt: new Date(),
+  // id -> { isbn, algorithm, text: { title, ... }, keys, words }
+  docs: new Map(),
+  // "<algorithm>:<stem>" -> Map(id -> { title: count, ... })
+  postings: new Map(),
+  // folded word as written -> Set of posting keys, for prefix and typo matches
+  words: new Map(),
+  // stemming algorithms in use -> number of books
+  algorithms: new Map(),
+});
+
+const keyFor = (word, algorithm) => `${algorithm}:${stem(word, algorithm)}`;
+
+const removeDoc = (target, id) => {
+  const doc = target.docs.get(id);
+  if (!doc) return;
+
+  for (const key of doc.keys) {
+    const posting = target.postings.get(key);
+    posting.delete(id);
+    if (posting.size === 0) {
+      target.postings.delete(key);
+    }
+  }
+  for (const word of doc.words) {
+    const keys = target.words.get(word);
+    for (const key of keys) {
+      if (!target.postings.has(key)) keys.delete(key);
+    }
+    if (keys.size === 0) {
+      target.words.delete(word);
+    }
+  }
+
+  const count = target.algorithms.get(doc.algorithm) - 1;
+  if (count > 0) {
+    target.algorithms.set(doc.algorithm, count);
+  } else {
+    target.algorithms.delete(doc.algorithm);
+  }
+  target.docs.delete(id);
+};
+
+const addDoc = (target, book) => {
+  const id = book._id.toString();
+  removeDoc(target, id);
+  if (!book.isActive) return;
+
+  const algorithm = algorithmFor(book.language);
+  const doc = {
+    isbn: book.isbn,
+    algorithm,
+    text: Object.fromEntries(FIELDS.map(field => [field, book[field] || ''])),
+    keys: new Set(),
+    words: new Set(),
+  };
+
+  for (const field of FIELDS) {
+    for (const { word } of tokenize(doc.text[field])) {
+      const key = keyFor(word, algorithm);
+      const folded = fold(word);
+
+      if (!target.postings.has(key)) target.postings.set(key, new Map());
+      const posting = target.postings.get(key);
+      if (!posting.has(id)) posting.set(id, {});
+      const counts = posting.get(id);
+      counts[field] = (counts[field] || 0) + 1;
+
+      if (!target.words.has(folded)) target.words.set(folded, new Set());
+      target.words.get(folded).add(key);
+
+      doc.keys.add(key);
+      doc.words.add(folded);
+    }
+  }
+
+  target.docs.set(id, doc);
+  target.algorithms.set(algorithm, (target.algorithms.get(algorithm) || 0) + 1);
+};
+
+// Load every active book into a fresh index and swap it in. Concurrent callers share one build.
+const rebuild = () => {
+  if (!building) {
+    stale = false;
+    building = Book.find({ isActive: true })
+      .select(INDEXED_FIELDS.join(' '))
+      .lean()
+      .then((books) => {
+        const next = emptyIndex();
+        for (const book of books) {
+          addDoc(next, book);
+        }
+        index = next;
+        return index;
+      })
+      .finally(() => {
+        building = null;
+      });
+  }
+  return building;
+};
+
+const ready = async () => {
+  if (!index || stale || Date.now() - index.builtAt > maxAgeMs()) {
+    await rebuild();
+  }
+  return index;
+};
+
+// Bring one book up to date after it was written. Does nothing until the index is first
+// built; a write during a build marks the index stale so the next search rebuilds it.
+const update = (book) => {
+  if (building) {
+    stale = true;
+  } else if (index) {
+    addDoc(index, book);
+  }
+};
+
+// Re-read one book from the database into the index
+const refresh = async (id) => {
+  if (!index && !building) return;
+  const book = await Book.findById(id).select(INDEXED_FIELDS.join(' ')).lean();
+  if (book) {
+    update(book);
+  } else if (index) {
+    removeDoc(index, id.toString());
+  }
+};
+
+// For writes whose books aren't known, e.g. updateMany: rebuild before the next search
+const markStale = () => {
+  stale = true;
+};
+
+// Whether a query update (an update object, with or without operators) sets indexed fields
+const touchesIndex = (update = {}) => Object.entries(update).some(([key, value]) => {
+  if (key.startsWith('$')) {
+    return value && typeof value === 'object' && touchesIndex(value);
+  }
+  return INDEXED_FIELDS.includes(key.split('.')[0]);
+});
+
+// The posting keys a query word matches and how much each counts: its stem in every
+// language in the index, indexed words it starts (from 3 letters), and indexed words
+// one or two typos away (from 4 and 8 letters)
+const expandWord = (target, word) => {
+  const folded = fold(word);
+  const matches = new Map();
+  const add = (key, weight) => {
+    if (target.postings.has(key) && weight > (matches.get(key) || 0)) {
+      matches.set(key, weight);
+    }
+  };
+
+  for (const algorithm of target.algorithms.keys()) {
+    add(keyFor(word, algorithm), 1);
+  }
+
+  const maxTypos = folded.length >= 8 ? 2 : folded.length >= 4 ? 1 : 0;
+  if (folded.length >= 3) {
+    for (const [indexed, keys] of target.words) {
+      let weight = 0;
+      if (indexed !== folded && indexed.startsWith(folded)) {
+        weight = PREFIX_WEIGHT;
+      } else if (maxTypos && indexed !== folded) {
+        const distance = editDistance(folded, indexed, maxTypos);
+        if (distance <= maxTypos) {
+          weight = TYPO_WEIGHT / distance;
+        }
+      }
+      if (weight) {
+        for (const key of keys) add(key, weight);
+      }
+    }
+  }
+  return matches;
+};
+
+// How well one query word matches a book: the best of its expansions, each scored by
+// field weight, how often it appears and how rare it is in the catalog
+const scoreWord = (target, id, matches) => {
+  let best = 0;
+  let bestKey = null;
+  for (const [key, weight] of matches) {
+    const posting = target.postings.get(key);
+    const counts = posting.get(id);
+    if (!counts) continue;
+
+    const rarity = Math.log(1 + target.docs.size / posting.size);
+    let fieldScore = 0;
+    for (const [field, count] of Object.entries(counts)) {
+      fieldScore += FIELD_WEIGHTS[field] * (1 + Math.log(count));
+    }
+    const score = weight * rarity * fieldScore;
+    if (score > best) {
+      best = score;
+      bestKey = key;
+    }
+  }
+  return { score: best, key: bestKey };
+};
+
+const escapeHtml = text => text.replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+})[char]);
+
+// A field's text with matched words wrapped in <mark>, or null if nothing matched.
+// Long fields are cut to a snippet around the first match.
+const highlight = (text, algorithm, keys, { snippet = false } = {}) => {
+  const marked = tokenize(text).filter(({ word }) => keys.has(keyFor(word, algorithm)));
+  if (marked.length === 0) {
+    return null;
+  }
+
+  let start = 0;
+  let end = text.length;
+  if (snippet && text.length > SNIPPET_LENGTH) {
+    start = Math.max(0, marked[0].start - SNIPPET_BEFORE);
+    end = Math.min(text.length, start + SNIPPET_LENGTH);
+    // Don't cut words in half
+    if (start > 0) {
+      start = text.indexOf(' ', start) + 1 || start;
+    }
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      if (space > marked[0].end) end = space;
+    }
+  }
+
+  let output = start > 0 ? '…' : '';
+  let position = start;
+  for (const token of marked) {
+    if (token.start < start || token.end > end) continue;
+    output += escapeHtml(text.slice(position, token.start)) + `<mark>${escapeHtml(token.word)}</mark>`;
+    position = token.end;
+  }
+  output += escapeHtml(text.slice(position, end)) + (end < text.length ? '…' : '');
+  return output;
+};
+
+const highlightsFor = (doc, keys) => {
+  const highlights = {};
+  for (const field of FIELDS) {
+    const value = highlight(doc.text[field], doc.algorithm, keys, { snippet: field === 'description' });
+    if (value) {
+      highlights[field] = value;
+    }
+  }
+  return highlights;
+};
+
+// Search the catalog. Returns every matching book as { id, score, highlights }, best first.
+// Books matching every query word come first; if none do, books matching any of them are
+// returned instead. An ISBN, or at least its first six digits, finds books by ISBN.
+const search = async (query) => {
+  const target = await ready();
+
+  const isbn = isbns.clean(query);
+  if (/^\d{5,12}[\dX]?$/.test(isbn)) {
+    // Books store the ISBN-13, so the start of an ISBN-10 is also looked for after 978
+    const exact = isbns.isValid(isbn) ? isbns.lookupValues(isbn) : [];
+    const prefixes = exact.length ? exact : [isbn, ...(isbn.length <= 10 ? [`978${isbn.slice(0, 9)}`] : [])];
+    const results = [];
+    for (const [id, doc] of target.docs) {
+      if (doc.isbn && prefixes.some(prefix => doc.isbn.startsWith(prefix))) {
+        results.push({ id, score: exact.includes(doc.isbn) ? 100 : 50, highlights: {} });
+      }
+    }
+    if (results.length) {
+      return results.sort((a, b) => b.score - a.score);
+    }
+  }
+
+  // Single letters match nearly everything, so they only count when they are the whole query
+  let words = [...new Set(tokenize(query).map(token => token.word))];
+  if (words.some(word => word.length > 1)) {
+    words = words.filter(word => word.length > 1);
+  }
+  words = words.slice(0, MAX_QUERY_WORDS);
+  if (words.length === 0) {
+    return [];
+  }
+
+  const expansions = words.map(word => expandWord(target, word));
+  const candidates = new Set();
+  for (const matches of expansions) {
+    for (const key of matches.keys()) {
+      for (const id of target.postings.get(key).keys()) candidates.add(id);
+    }
+  }
+
+  const scored = [];
+  for (const id of candidates) {
+    let score = 0;
+    let matched = 0;
+    const keys = new Set();
+    for (const matches of expansions) {
+      const result = scoreWord(target, id, matches);
+      if (result.key) {
+        score += result.score;
+        matched += 1;
+        keys.add(result.key);
+      }
+    }
+    scored.push({ id, score, matched, keys });
+  }
+
+  const all = scored.filter(result => result.matched === words.length);
+  const results = all.length ? all : scored;
+
+  return results
+    .sort((a, b) => b.matched - a.matched || b.score - a.score)
+    .map(({ id, score, keys }) => ({
+      id,
+      score: Math.round(score * 100) / 100,
+      highlights: highlightsFor(target.docs.get(id), keys),
+    }));
+};
+
+module.exports = {
+  INDEXED_FIELDS,
+  search,
+  rebuild,
+  update,
+  refresh,
+  markStale,
+  touchesIndex,
+};
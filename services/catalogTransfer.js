@@ -0,0 +1,359 @@
+const path = require('path');
+const { stringify } = require('csv-stringify/sync');
+const Book = require('../models/Book');
+const BookCopy = require('../models/BookCopy');
+const Category = require('../models/Category');
+const taxonomy = require('./taxonomy');
+const marc = require('../utils/marc');
+const { readRows } = require('../utils/spreadsheet');
+const ErrorResponse = require('../utils/errorResponse');
+const { madeBy } = require('../utils/actor');
+const callNumbers = require('../utils/callNumber');
+const isbns = require('../utils/isbn');
+
+// Columns written by the CSV export, which the CSV import reads back
+const CSV_COLUMNS = [
+  'isbn', 'title', 'author', 'publisher', 'publicationYear', 'category', 'subcategory',
+  'subject', 'description', 'language', 'pages', 'callNumber', 'shelf', 'section', 'copies',
+];
+
+// Other headings the CSV import recognises, compared lowercased without spaces or punctuation
+const CSV_ALIASES = {
+  isbn13: 'isbn',
+  isbn10: 'isbn',
+  name: 'title',
+  authors: 'author',
+  year: 'publicationYear',
+  published: 'publicationYear',
+  numberofpages: 'pages',
+  quantity: 'copies',
+  totalcopies: 'copies',
+};
+
+// MARC language codes (041 $a, 008/35-37) for the languages the catalog uses
+const LANGUAGE_CODES = {
+  English: 'eng',
+  Hindi: 'hin',
+  Marathi: 'mar',
+  Bengali: 'ben',
+  Tamil: 'tam',
+  Telugu: 'tel',
+  Kannada: 'kan',
+  Malayalam: 'mal',
+  Gujarati: 'guj',
+  Punjabi: 'pan',
+  Urdu: 'urd',
+  Sanskrit: 'san',
+  French: 'fre',
+  German: 'ger',
+  Spanish: 'spa',
+  Arabic: 'ara',
+  Chinese: 'chi',
+  Japanese: 'jpn',
+};
+
+const FORMATS = {
+  csv: { extension: 'csv', type: 'text/csv' },
+  marc: { extension: 'mrc', type: 'application/marc' },
+  marcxml: { extension: 'xml', type: 'application/marcxml+xml' },
+};
+
+// File extensions the import accepts, by format
+const IMPORT_EXTENSIONS = {
+  '.csv': 'csv',
+  '.mrc': 'marc',
+  '.marc': 'marc',
+  '.xml': 'marcxml',
+};
+
+const normalize = heading => String(heading).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// ISBN digits from text like "978-0-306-40615-7 (pbk.)"
+const cleanIsbn = (value) => {
+  const match = String(value || '').match(/[\dXx][\dXx -]{8,16}[\dXx]/);
+  return match ? match[0].replace(/[ -]/g, '').toUpperCase() : String(value || '').trim();
+};
+
+// Strip the ISBD punctuation MARC leaves at the end of values (" /", " :", ",", ".")
+const trimPunctuation = value => (value === undefined ? undefined : String(value).replace(/[\s/:;,.=]+$/, '').trim());
+
+// Catalog fields from a MARC21 record
+const fromMarc = (record) => {
+  const title = [marc.subfield(record, '245', 'a'), marc.subfield(record, '245', 'b')]
+    .map(trimPunctuation).filter(Boolean).join(': ');
+
+  const imprint = tag => marc.subfield(record, '264', tag) || marc.subfield(record, '260', tag);
+  const year = String(imprint('c') || '').match(/\d{4}/)
+    || String(marc.controlField(record, '008') || '').slice(7, 11).match(/^\d{4}$/);
+
+  const extent = String(marc.subfield(record, '300', 'a') || '');
+  const pages = extent.match(/(\d+)\s*(?:p\b|pages)/) || extent.match(/\d+/);
+
+  // Dewey number, without the segmentation marks in "823/.914"
+  const dewey = String(marc.subfield(record, '082', 'a') || '').replace(/['/]/g, '');
+
+  const languageCode = marc.subfield(record, '041', 'a')
+    || String(marc.controlField(record, '008') || '').slice(35, 38).trim();
+  const language = Object.keys(LANGUAGE_CODES).find(name => LANGUAGE_CODES[name] === languageCode);
+
+  return {
+    isbn: marc.subfield(record, '020', 'a'),
+    title,
+    author: trimPunctuation(marc.subfield(record, '100', 'a')
+      || marc.subfield(record, '110', 'a')
+      || marc.subfield(record, '700', 'a')),
+    publisher: trimPunctuation(imprint('b')),
+    publicationYear: year ? year[0] : undefined,
+    subject: trimPunctuation(marc.subfield(record, '650', 'a')),
+    description: marc.subfield(record, '520', 'a'),
+    language: language || undefined,
+    pages: pages ? pages[1] || pages[0] : undefined,
+    category: marc.subfield(record, '690', 'a'),
+    subcategory: marc.subfield(record, '690', 'b'),
+    callNumber: dewey ? [dewey, marc.subfield(record, '082', 'b')].filter(Boolean).join(' ') : undefined,
+    section: marc.subfield(record, '852', 'c'),
+    shelf: marc.subfield(record, '852', 'h'),
+  };
+};
+
+// MARC21 record for a book
+const toMarc = (book) => {
+  const added = new Date(book.createdAt || Date.now());
+  const language = LANGUAGE_CODES[book.language] || 'und';
+  const dataField = (tag, ind1, ind2, subfields) => ({
+    tag,
+    ind1,
+    ind2,
+    subfields: subfields.filter(item => item.value !== undefined && item.value !== null && item.value !== ''),
+  });
+
+  const fields = [
+    { tag: '001', value: book._id.toString() },
+    { tag: '005', value: `${new Date(book.updatedAt || added).toISOString().replace(/[-T:]/g, '').slice(0, 14)}.0` },
+    // Fixed-length data: date entered, single publication date, language
+    {
+      tag: '008',
+      value: `${added.toISOString().slice(2, 10).replace(/-/g, '')}s${book.publicationYear || '    '}    xx ${' '.repeat(17)}${language} d`,
+    },
+    dataField('020', ' ', ' ', [{ code: 'a', value: book.isbn }]),
+    dataField('041', '0', ' ', [{ code: 'a', value: language }]),
+    dataField('082', '0', '4', [
+      { code: 'a', value: book.callNumber && book.callNumber.classNumber },
+      { code: 'b', value: callNumbers.format(book.callNumber).split(' ').slice(1).join(' ') },
+    ]),
+    dataField('100', '1', ' ', [{ code: 'a', value: book.author }]),
+    dataField('245', '1', '0', [{ code: 'a', value: book.title }]),
+    dataField('264', ' ', '1', [
+      { code: 'b', value: book.publisher },
+      { code: 'c', value: book.publicationYear },
+    ]),
+    dataField('300', ' ', ' ', [{ code: 'a', value: book.pages && `${book.pages} pages` }]),
+    dataField('520', ' ', ' ', [{ code: 'a', value: book.description }]),
+    dataField('650', ' ', '0', [{ code: 'a', value: book.subject }]),
+    // Local field: the catalog's category and subcategory
+    dataField('690', ' ', ' ', [
+      { code: 'a', value: book.category },
+      { code: 'b', value: book.subcategory },
+    ]),
+    dataField('852', ' ', ' ', [
+      { code: 'c', value: book.location && book.location.section },
+      { code: 'h', value: book.location && book.location.shelf },
+    ]),
+  ];
+
+  return { fields: fields.filter(field => field.value !== undefined || field.subfields.length) };
+};
+
+// Read an uploaded catalog file into `{ row, fields, errors }` per record
+const readCatalog = async (file) => {
+  const format = IMPORT_EXTENSIONS[path.extname(file.originalname).toLowerCase()];
+
+  if (format === 'csv') {
+    const rows = await readRows(file);
+    return rows.map(({ row, values }) => {
+      const fields = {};
+      for (const [heading, value] of Object.entries(values)) {
+        const key = normalize(heading);
+        const field = CSV_COLUMNS.find(column => normalize(column) === key) || CSV_ALIASES[key];
+        if (field && value !== '') {
+          fields[field] = value;
+        }
+      }
+      return { row, fields, errors: [] };
+    });
+  }
+
+  const records = format === 'marc' ? marc.decodeBinary(file.buffer) : marc.decodeXml(file.buffer);
+  return records.map((record, index) => (record.error
+    ? { row: index + 1, fields: {}, errors: [{ message: record.error }] }
+    : { row: index + 1, fields: fromMarc(record), errors: [] }));
+};
+
+const validationErrors = (doc) => {
+  const error = doc.validateSync();
+  return error
+    ? Object.values(error.errors).map(item => ({ field: item.path, message: item.message }))
+    : [];
+};
+
+// Validate catalog records and, unless it is a dry run, create the books and their copies.
+// Records whose ISBN is already in the catalog are skipped, or with onDuplicate 'addCopies'
+// their copies are added to the existing book. `defaults` fills in category, shelf, section
+// and copies for records that don't give them. A file with invalid records is not imported
+// unless skipInvalid is set.
+const importCatalog = async (records, {
+  dryRun = true,
+  skipInvalid = false,
+  onDuplicate = 'skip',
+  defaults = {},
+  actor,
+} = {}) => {
+  if (records.length === 0) {
+    throw new ErrorResponse('The file has no records', 400);
+  }
+
+  // Compare and store ISBNs as ISBN-13, so an edition listed under both forms is one book
+  for (const record of records) {
+    if (record.fields.isbn) {
+      const isbn = cleanIsbn(record.fields.isbn);
+      record.fields.originalIsbn = isbn;
+      record.fields.isbn = isbns.toIsbn13(isbn) || isbn;
+    }
+  }
+
+  const lookups = records.flatMap(record => (record.fields.isbn ? isbns.lookupValues(record.fields.isbn) : []));
+  const existing = await Book.find({ isbn: { $in: lookups } });
+  const byIsbn = new Map(existing.map(book => [isbns.toIsbn13(book.isbn) || book.isbn, book]));
+
+  const categories = await Category.topLevelNames();
+  const seen = new Set();
+  const report = [];
+
+  for (const { row, fields, errors } of records) {
+    const entry = { row, isbn: fields.isbn, title: fields.title, errors };
+    report.push(entry);
+
+    const copies = parseInt(fields.copies || defaults.copies || 1, 10);
+    if (!(copies >= 1)) {
+      errors.push({ field: 'copies', message: 'Copies must be at least 1' });
+    }
+
+    if (fields.isbn && seen.has(fields.isbn)) {
+      errors.push({ field: 'isbn', message: 'ISBN appears more than once in the file' });
+    }
+    seen.add(fields.isbn);
+
+    const duplicate = fields.isbn && byIsbn.get(fields.isbn);
+    if (duplicate) {
+      entry.book = duplicate._id;
+
+      if (onDuplicate !== 'addCopies') {
+        entry.action = errors.length ? 'invalid' : 'duplicate';
+        continue;
+      }
+      if (!duplicate.isActive) {
+        errors.push({ field: 'isbn', message: 'ISBN belongs to a deleted book' });
+      }
+      entry.action = errors.length ? 'invalid' : 'addCopies';
+      entry.copies = copies;
+      entry.existing = duplicate;
+      continue;
+    }
+
+    const category = categories.includes(fields.category) ? fields.category : defaults.category;
+    const checked = await taxonomy.checkBook({ category, subcategory: fields.subcategory, subject: fields.subject });
+    errors.push(...checked.errors.filter(error => error.field !== 'category'));
+
+    const callNumber = fields.callNumber ? callNumbers.parse(fields.callNumber) : undefined;
+    if (callNumber === null) {
+      errors.push({ field: 'callNumber', message: `${fields.callNumber} is not a valid call number` });
+    }
+
+    const doc = new Book({
+      title: fields.title,
+      author: fields.author,
+      isbn: fields.isbn,
+      originalIsbn: fields.originalIsbn,
+      publisher: fields.publisher,
+      publicationYear: fields.publicationYear,
+      category,
+      subcategory: checked.values.subcategory || undefined,
+      subject: checked.values.subject || fields.subject,
+      description: fields.description,
+      language: fields.language,
+      pages: fields.pages,
+      callNumber: callNumber || undefined,
+      totalCopies: copies,
+      availableCopies: copies,
+      location: {
+        shelf: fields.shelf || defaults.shelf,
+        section: fields.section || defaults.section || (callNumber && callNumbers.suggestSection(callNumber.classNumber)),
+      },
+      ...madeBy(actor, 'addedBy'),
+    });
+
+    errors.push(...validationErrors(doc));
+    entry.action = errors.length ? 'invalid' : 'create';
+    entry.copies = copies;
+    entry.doc = doc;
+  }
+
+  const invalid = report.filter(entry => entry.action === 'invalid').length;
+  const commit = !dryRun && (invalid === 0 || skipInvalid);
+
+  if (commit) {
+    for (const entry of report) {
+      try {
+        if (entry.action === 'create') {
+          const book = await entry.doc.save();
+          await BookCopy.createForBook(book, entry.copies, madeBy(actor, 'addedBy'));
+          await BookCopy.syncBookCounts(book._id);
+          entry.book = book._id;
+        } else if (entry.action === 'addCopies') {
+          await BookCopy.createForBook(entry.existing, entry.copies, madeBy(actor, 'addedBy'));
+          await BookCopy.syncBookCounts(entry.existing._id);
+        }
+      } catch (error) {
+        entry.errors.push({ message: error.code === 11000 ? 'ISBN was added by another request' : error.message });
+        entry.action = 'failed';
+      }
+    }
+  }
+
+  const summary = { records: report.length, create: 0, addCopies: 0, duplicate: 0, invalid: 0, failed: 0 };
+  for (const entry of report) {
+    summary[entry.action] += 1;
+    delete entry.doc;
+    delete entry.existing;
+  }
+
+  return {
+    dryRun: !commit,
+    summary,
+    records: report,
+  };
+};
+
+// Serialise books as CSV, binary MARC21 or MARCXML
+const exportCatalog = (books, format) => {
+  if (format === 'csv') {
+    return stringify(books.map(book => ({
+      ...book.toObject(),
+      callNumber: callNumbers.format(book.callNumber),
+      shelf: book.location && book.location.shelf,
+      section: book.location && book.location.section,
+      copies: book.totalCopies,
+    })), { header: true, columns: CSV_COLUMNS });
+  }
+
+  const records = books.map(toMarc);
+  return format === 'marc' ? marc.encodeBinary(records) : marc.encodeXml(records);
+};
+
+module.exports = {
+  FORMATS,
+  IMPORT_EXTENSIONS,
+  readCatalog,
+  importCatalog,
+  exportCatalog,
+};
@@ -0,0 +1,385 @@
+const Book = require('../models/Book');
+const BookCopy = require('../models/BookCopy');
+const Student = require('../models/Student');
+const Transaction = require('../models/Transaction');
+const Hold = require('../models/Hold');
+const CirculationPolicy = require('../models/CirculationPolicy');
+const FineEntry = require('../models/FineEntry');
+const ErrorResponse = require('../utils/errorResponse');
+const { madeBy } = require('../utils/actor');
+
+// Every step that changes a counter claims its document with a conditional update,
+// so two desks working on the same copy or student can't both succeed. When a later
+// step fails, the claims already made are undone in reverse order.
+const undoAll = async (steps) => {
+  for (const undo of steps.reverse()) {
+    await undo();
+  }
+};
+
+// Move a book's available count by `by` if it still matches `filter`. Returns the count's
+// { from, to } for the audit log, or null if the book didn't match.
+const moveAvailable = async (filter, by) => {
+  const book = await Book.findOneAndUpdate(
+    filter,
+    { $inc: { availableCopies: by } },
+    { new: true, projection: { availableCopies: 1 } }
+  );
+  return book && { from: book.availableCopies - by, to: book.availableCopies };
+};
+
+// Find the copy to issue: by barcode, the student's copy on the hold shelf,
+// or any available copy of the book
+const resolveCopy = async ({ barcode, bookId, studentId }) => {
+  if (barcode) {
+    const copy = await BookCopy.findOne({ barcode }).populate('book');
+    if (!copy || !copy.book || !copy.book.isActive) {
+      throw new ErrorResponse('Copy not found', 404);
+    }
+
+    if (copy.status === 'on_hold') {
+      const hold = await Hold.findOne({ copy: copy._id, status: 'ready' });
+      if (hold && hold.student.toString() !== studentId.toString()) {
+        throw new ErrorResponse('Copy is on the hold shelf for another student', 400);
+      }
+      return { copy, hold };
+    }
+
+    if (copy.status !== 'available') {
+      throw new ErrorResponse(`Copy is not available for issue (status: ${copy.status})`, 400);
+    }
+    return { copy, hold: null };
+  }
+
+  const book = await Book.findById(bookId);
+  if (!book || !book.isActive) {
+    throw new ErrorResponse('Book not found', 404);
+  }
+
+  const hold = await Hold.findOne({ book: book._id, student: studentId, status: 'ready' });
+  const copy = hold
+    ? await BookCopy.findById(hold.copy).populate('book')
+    : await BookCopy.findOne({ book: book._id, status: 'available' }).populate('book');
+
+  if (!copy) {
+    throw new ErrorResponse('Book is not available for issue', 400);
+  }
+  return { copy, hold };
+};
+
+// Issue a copy to a student
+const issueLoan = async ({ barcode, bookId, studentId, notes, actor }) => {
+  const { copy, hold } = await resolveCopy({ barcode, bookId, studentId });
+  const book = copy.book;
+
+  const student = await Student.findOne({ _id: studentId, status: 'active' });
+  if (!student) {
+    throw new ErrorResponse('Student not found', 404);
+  }
+
+  // Resolve loan rules for this book category and student class
+  const policy = await CirculationPolicy.resolve({
+    category: book.category,
+    studentClass: student.class,
+  });
+
+  if (!policy.loanable) {
+    throw new ErrorResponse(`${book.category} books are for in-library use only`, 400);
+  }
+
+  // Students owing too much in fines can't borrow until they pay
+  const unpaidFines = await FineEntry.outstandingFor(student._id);
+  if (unpaidFines > policy.fineBlockThreshold) {
+    throw new ErrorResponse(`Student has unpaid fines of ${unpaidFines} (limit ${policy.fineBlockThreshold})`, 400);
+  }
+
+  // Check if student already has this book
+  const existingTransaction = await Transaction.findOne({
+    book: book._id,
+    student: student._id,
+    status: { $in: Transaction.OPEN_STATUSES },
+  });
+
+  if (existingTransaction) {
+    throw new ErrorResponse('Student already has this book issued', 400);
+  }
+
+  const issueDate = new Date();
+  const undo = [];
+
+  // Claim the copy: only one request can move it out of its current state
+  const claimed = await BookCopy.findOneAndUpdate(
+    { _id: copy._id, status: copy.status },
+    { status: 'issued', lastSeenAt: issueDate }
+  );
+
+  if (!claimed) {
+    throw new ErrorResponse('Copy was just issued by another request', 409);
+  }
+  undo.push(() => BookCopy.updateOne({ _id: copy._id }, { status: copy.status }));
+
+  let transaction;
+  let availableCopies = null;
+  try {
+    // Take a slot against the student's limit; a limit on the student record overrides the policy
+    const maxBooks = student.maxBooksAllowed ?? policy.maxBooks;
+    const slot = await Student.updateOne(
+      { _id: student._id, status: 'active', currentBooksIssued: { $lt: maxBooks } },
+      { $inc: { currentBooksIssued: 1 } }
+    );
+
+    if (!slot.modifiedCount) {
+      throw new ErrorResponse(`Student has reached maximum book limit (${maxBooks} books)`, 400);
+    }
+    undo.push(() => Student.updateOne({ _id: student._id }, { $inc: { currentBooksIssued: -1 } }));
+
+    // Copies on the hold shelf were already taken out of the available count
+    if (copy.status === 'available') {
+      availableCopies = await moveAvailable({ _id: book._id, availableCopies: { $gt: 0 } }, -1);
+
+      if (!availableCopies) {
+        throw new ErrorResponse('Book is not available for issue', 400);
+      }
+      undo.push(() => Book.updateOne({ _id: book._id }, { $inc: { availableCopies: 1 } }));
+    }
+
+    transaction = await Transaction.create({
+      book: book._id,
+      copy: copy._id,
+      student: student._id,
+      type: 'issue',
+      issueDate,
+      dueDate: CirculationPolicy.dueDateFor(policy, issueDate),
+      policy: CirculationPolicy.snapshot(policy),
+      notes,
+      ...madeBy(actor, 'processedBy'),
+    });
+  } catch (error) {
+    await undoAll(undo);
+    throw error;
+  }
+
+  // Close the student's hold on this title, whether it was ready or still waiting
+  const closed = await Hold.findOneAndUpdate(
+    hold
+      ? { _id: hold._id }
+      : { book: book._id, student: student._id, status: { $in: Hold.OPEN_STATUSES } },
+    { status: 'fulfilled', fulfilledAt: issueDate }
+  );
+
+  // Another copy was issued than the one on the hold shelf for them: that one goes
+  // to the next student waiting or back into circulation
+  if (closed && closed.status === 'ready' && closed.copy && !closed.copy.equals(copy._id)) {
+    await Hold.releaseCopy(closed.copy);
+  }
+
+  return { transaction, availableCopies };
+};
+
+// Find the open loan to close, by its id or its copy's barcode
+const findOpenLoan = async ({ transactionId, barcode }) => {
+  let filter;
+  if (barcode) {
+    const copy = await BookCopy.findOne({ barcode });
+    if (!copy) {
+      throw new ErrorResponse('Copy not found', 404);
+    }
+    filter = { copy: copy._id, status: { $in: Transaction.OPEN_STATUSES } };
+  } else {
+    filter = { _id: transactionId, status: { $in: Transaction.OPEN_STATUSES } };
+  }
+
+  const transaction = await Transaction.findOne(filter);
+  if (!transaction) {
+    throw new ErrorResponse('Active transaction not found', 404);
+  }
+  return transaction;
+};
+
+// Return a loan, found by transaction id or by the scanned copy.
+// `previous` is the loan as it was before the return; `availableCopies` is how the book's
+// available count moved, if it did.
+const returnLoan = async ({ transactionId, barcode, condition, notes, actor }) => {
+  const transaction = await findOpenLoan({ transactionId, barcode });
+
+  // Work out the fine in memory, then close the loan only if no one else has
+  const previous = transaction.toObject();
+  const returnDate = new Date();
+  transaction.returnDate = returnDate;
+  transaction.status = 'returned';
+  transaction.calculateFine();
+
+  const returned = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, status: { $in: Transaction.OPEN_STATUSES } },
+    {
+      type: 'return',
+      returnDate,
+      status: 'returned',
+      notes: notes || transaction.notes,
+      'fine.amount': transaction.fine.amount,
+      'fine.reason': transaction.fine.reason,
+    },
+    { new: true }
+  );
+
+  if (!returned) {
+    throw new ErrorResponse('Transaction was already returned', 409);
+  }
+
+  // Put the copy back on the shelf, on the hold shelf if someone is waiting,
+  // or out of circulation if it came back damaged
+  let hold = null;
+  let availableCopies = null;
+  const copy = returned.copy && await BookCopy.findById(returned.copy);
+  if (copy) {
+    if (condition) {
+      copy.condition = condition;
+    }
+    copy.lastSeenAt = returnDate;
+
+    if (copy.condition === 'Damaged') {
+      // Still held by the library, just not lendable: no counter changes
+      copy.status = 'damaged';
+      await copy.save();
+    } else {
+      hold = await Hold.assignNextHold(copy);
+      if (!hold) {
+        copy.status = 'available';
+        await copy.save();
+        availableCopies = await moveAvailable({ _id: returned.book }, 1);
+      }
+    }
+  } else if (returned.copy) {
+    // The copy record was deleted while out on loan: count the book from the copies left
+    const before = await Book.findById(returned.book).select('availableCopies');
+    const after = await BookCopy.syncBookCounts(returned.book);
+    availableCopies = before && after && { from: before.availableCopies, to: after.availableCopies };
+  } else {
+    // Loans issued before copy tracking only carry the book counter
+    availableCopies = await moveAvailable({ _id: returned.book }, 1);
+  }
+
+  // Update student's current books issued count
+  await Student.updateOne(
+    { _id: returned.student, currentBooksIssued: { $gt: 0 } },
+    { $inc: { currentBooksIssued: -1 } }
+  );
+
+  // Post any fine to the fines ledger
+  await FineEntry.chargeForTransaction(returned, actor);
+
+  return { transaction: returned, previous, hold, availableCopies };
+};
+
+// Close a loan whose copy the student lost: the copy goes out of circulation, the student's
+// slot is freed, and the fine to date plus any replacement `charge` is posted to the ledger.
+// Returns the closed loan with its `previous` state.
+const markLost = async ({ transactionId, barcode, charge = 0, notes, actor }) => {
+  const transaction = await findOpenLoan({ transactionId, barcode });
+
+  const previous = transaction.toObject();
+  const returnDate = new Date();
+  transaction.returnDate = returnDate;
+  transaction.status = 'lost';
+  transaction.calculateFine();
+  const amount = FineEntry.round(transaction.fine.amount + charge);
+
+  const lost = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, status: { $in: Transaction.OPEN_STATUSES } },
+    {
+      returnDate,
+      status: 'lost',
+      notes: notes || transaction.notes,
+      'fine.amount': amount,
+      'fine.reason': amount > 0 ? 'lost' : 'none',
+    },
+    { new: true }
+  );
+
+  if (!lost) {
+    throw new ErrorResponse('Transaction was already returned', 409);
+  }
+
+  // A lost copy leaves the stock; it was already out, so only the total moves
+  if (lost.copy) {
+    await BookCopy.updateOne({ _id: lost.copy }, { status: 'lost' });
+    await BookCopy.syncBookCounts(lost.book);
+  }
+
+  await Student.updateOne(
+    { _id: lost.student, currentBooksIssued: { $gt: 0 } },
+    { $inc: { currentBooksIssued: -1 } }
+  );
+
+  await FineEntry.chargeForTransaction(lost, actor);
+
+  return { transaction: lost, previous };
+};
+
+// Renew a loan under the rules currently in force, returning it with its `previous` state.
+// Pass studentId to only renew that student's own loans.
+const renewLoan = async ({ transactionId, studentId }) => {
+  const filter = { _id: transactionId, status: { $in: Transaction.OPEN_STATUSES } };
+  if (studentId) {
+    filter.student = studentId;
+  }
+
+  const transaction = await Transaction.findOne(filter)
+    .populate('book', 'category')
+    .populate('student', 'class');
+
+  if (!transaction) {
+    throw new ErrorResponse('Active transaction not found', 404);
+  }
+
+  // The book record was deleted while the copy was out: it can only be returned
+  if (!transaction.book) {
+    throw new ErrorResponse('Book not found; return the loan instead', 404);
+  }
+
+  // Renewing late would wipe out the fine accrued so far
+  if (transaction.status === 'overdue' || transaction.dueDate < new Date()) {
+    throw new ErrorResponse('Overdue loans must be returned before they can be renewed', 400);
+  }
+
+  // Other students waiting for this title take priority over a renewal
+  const holdsWaiting = await Hold.countDocuments({ book: transaction.book._id, status: 'waiting' });
+  if (holdsWaiting > 0) {
+    throw new ErrorResponse('Cannot renew: other students are waiting for this book', 400);
+  }
+
+  const policy = await CirculationPolicy.resolve({
+    category: transaction.book.category,
+    studentClass: transaction.student && transaction.student.class,
+  });
+
+  // Check renewal limit
+  if (transaction.renewalCount >= policy.renewalLimit) {
+    throw new ErrorResponse(`Maximum renewal limit reached (${policy.renewalLimit} renewals)`, 400);
+  }
+
+  // Only apply the renewal if no one renewed or returned the loan in the meantime
+  const renewed = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, status: 'active', renewalCount: transaction.renewalCount },
+    {
+      $inc: { renewalCount: 1 },
+      dueDate: CirculationPolicy.dueDateFor(policy, new Date()),
+      policy: CirculationPolicy.snapshot(policy),
+      reminderSentAt: null,
+    },
+    { new: true }
+  );
+
+  if (!renewed) {
+    throw new ErrorResponse('Transaction was changed by another request, please try again', 409);
+  }
+
+  return { transaction: renewed, previous: transaction };
+};
+
+module.exports = {
+  issueLoan,
+  returnLoan,
+  markLost,
+  renewLoan,
+};
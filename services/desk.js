@@ -0,0 +1,172 @@
+const Book = require('../models/Book');
+const BookCopy = require('../models/BookCopy');
+const Student = require('../models/Student');
+const Transaction = require('../models/Transaction');
+const Hold = require('../models/Hold');
+const CirculationPolicy = require('../models/CirculationPolicy');
+const FineEntry = require('../models/FineEntry');
+const ErrorResponse = require('../utils/errorResponse');
+const circulation = require('./circulation');
+
+// Find a student from a scanned library card. The student ID printed on school
+// ID cards works too, for students who have lost their library card.
+const findPatron = async (card) => {
+  const value = String(card || '').trim();
+  const student = value && await Student.findOne({
+    $or: [{ libraryCardNumber: value.toUpperCase() }, { studentId: value }],
+  });
+
+  if (!student) {
+    throw new ErrorResponse(`No student found for card ${value}`, 404);
+  }
+  return student;
+};
+
+// Find what a scan refers to: a copy by its barcode, or a title by its ISBN
+const findItem = async (scan) => {
+  const value = String(scan || '').trim();
+
+  const copy = value && await BookCopy.findOne({ barcode: value });
+  if (copy) {
+    return { copy, book: null };
+  }
+
+  const book = value && await Book.findByIsbn(value, { isActive: true });
+  if (book) {
+    return { copy: null, book };
+  }
+
+  throw new ErrorResponse(`No copy or book found for ${value}`, 404);
+};
+
+// Reasons a student can't borrow at all right now. Category rules can still refuse
+// a particular book at checkout.
+const blocksFor = async (student, { loans, unpaidFines }) => {
+  const blocks = [];
+  if (student.status !== 'active') {
+    blocks.push({ reason: 'status', message: `Student is ${student.status}` });
+  }
+
+  const policy = await CirculationPolicy.resolve({ studentClass: student.class });
+  if (unpaidFines > policy.fineBlockThreshold) {
+    blocks.push({
+      reason: 'fines',
+      message: `Unpaid fines of ${unpaidFines} are over the limit of ${policy.fineBlockThreshold}`,
+    });
+  }
+
+  const maxBooks = student.maxBooksAllowed ?? policy.maxBooks;
+  if (loans.length >= maxBooks) {
+    blocks.push({ reason: 'limit', message: `Has ${loans.length} of ${maxBooks} books allowed` });
+  }
+  return blocks;
+};
+
+// What the desk needs to see when a card is scanned: the student, their loans,
+// unpaid fines, holds waiting on the shelf and anything stopping them borrowing
+const patronSummary = async (student) => {
+  const loans = await Transaction.find({ student: student._id, status: { $in: Transaction.OPEN_STATUSES } })
+    .populate('book', 'title author isbn')
+    .populate('copy', 'accessionNumber barcode')
+    .sort('dueDate');
+
+  for (const loan of loans) {
+    loan.checkOverdue();
+    loan.calculateFine();
+  }
+
+  const unpaidFines = await FineEntry.outstandingFor(student._id);
+  const readyHolds = await Hold.find({ student: student._id, status: 'ready' })
+    .populate('book', 'title author isbn')
+    .populate('copy', 'accessionNumber barcode');
+
+  return {
+    student: {
+      _id: student._id,
+      name: student.name,
+      studentId: student.studentId,
+      class: student.class,
+      section: student.section,
+      libraryCardNumber: student.libraryCardNumber,
+      status: student.status,
+    },
+    loans,
+    overdue: loans.filter(loan => loan.status === 'overdue').length,
+    unpaidFines,
+    readyHolds,
+    blocks: await blocksFor(student, { loans, unpaidFines }),
+  };
+};
+
+// Issue each scanned item to the student in turn. One item failing doesn't stop the
+// others; each result says what was issued or why it wasn't. `onIssue` runs with the
+// result of every issue, e.g. to record it in the audit log. Once a loan exists the item
+// counts as issued: a failure after that is reported in the result's `warning`.
+const checkout = async ({ student, items, notes, actor, onIssue }) => {
+  const results = [];
+
+  for (const item of items) {
+    let issued;
+    try {
+      const { copy, book } = await findItem(item);
+      issued = await circulation.issueLoan({
+        barcode: copy && copy.barcode,
+        bookId: book && book._id,
+        studentId: student._id,
+        notes,
+        actor,
+      });
+    } catch (error) {
+      results.push({ item, success: false, message: error.message });
+      continue;
+    }
+
+    const { transaction } = issued;
+    const result = { item, success: true, transaction };
+    results.push(result);
+
+    try {
+      if (onIssue) {
+        await onIssue(issued);
+      }
+
+      await transaction.populate('book', 'title author isbn');
+      await transaction.populate('copy', 'accessionNumber barcode');
+    } catch (error) {
+      result.warning = `Issued, but ${error.message}`;
+    }
+  }
+
+  return results;
+};
+
+// Return the loan for a scanned item. A copy barcode finds its loan directly; an ISBN
+// only works while a single copy of the title is out.
+const checkin = async ({ item, condition, notes, actor }) => {
+  const { copy, book } = await findItem(item);
+
+  if (copy) {
+    return circulation.returnLoan({ barcode: copy.barcode, condition, notes, actor });
+  }
+
+  const loans = await Transaction.find({ book: book._id, status: { $in: Transaction.OPEN_STATUSES } })
+    .select('_id')
+    .limit(2);
+
+  if (loans.length === 0) {
+    throw new ErrorResponse(`No copy of ${book.title} is on loan`, 404);
+  }
+  if (loans.length > 1) {
+    throw new ErrorResponse(`Several copies of ${book.title} are on loan; scan the copy barcode instead`, 409);
+  }
+
+  return circulation.returnLoan({ transactionId: loans[0]._id, condition, notes, actor });
+};
+
+module.exports = {
+  findPatron,
+  findItem,
+  patronSummary,
+  checkout,
+  checkin,
+};
@@ -0,0 +1,117 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const audit = require('./audit');
+
+// Limits for failed logins. Accounts are guessed at from anywhere, so they slow down and lock
+// early; an IP may be a whole school behind one NAT, so it gets much more room.
+const limits = () => ({
+  account: {
+    delayAfter: parseInt(process.env.LOGIN_ACCOUNT_DELAY_AFTER, 10) || 3,
+    maxFailures: parseInt(process.env.LOGIN_ACCOUNT_MAX_FAILURES, 10) || 10,
+  },
+  ip: {
+    delayAfter: parseInt(process.env.LOGIN_IP_DELAY_AFTER, 10) || 20,
+    maxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 100,
+  },
+  windowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 15,
+  lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15,
+  maxDelaySeconds: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS, 10) || 60,
+});
+
+const accountKey = email => `account:${String(email || '').trim().toLowerCase()}`;
+const ipKey = ip => `ip:${ip}`;
+
+// The other public account routes are counted apart from logins, so guessing at them
+// can't lock anyone out of logging in. They share the IP's count with logins.
+const cardKey = number => `card:${String(number || '').trim().toUpperCase()}`;
+const resetKey = email => `reset:${String(email || '').trim().toLowerCase()}`;
+
+// Whether an attempt on `key` (if any) from this request's IP has to wait
+const check = async (req, key) => {
+  const settings = limits();
+  const keys = key ? [key, ipKey(req.ip)] : [ipKey(req.ip)];
+  const records = await LoginThrottle.find({ key: { $in: keys } });
+
+  let blocked = null;
+  for (const record of records) {
+    const block = record.blockedUntil({ ...settings[record.kind], maxDelaySeconds: settings.maxDelaySeconds });
+    if (block && (!blocked || block.until > blocked.until)) {
+      blocked = block;
+    }
+  }
+
+  return blocked && {
+    locked: blocked.locked,
+    retryAfter: Math.max(1, Math.ceil((blocked.until - Date.now()) / 1000)),
+  };
+};
+
+// Whether a login for `email` from this request has to wait. Returns null, or
+// { locked, retryAfter } with the seconds to wait. Unknown emails are throttled the
+// same way, so the answer doesn't reveal which accounts exist.
+const checkLogin = (req, email) => check(req, accountKey(email));
+
+// Count a failure against `key` (if any) and the IP, recording any lockout it causes
+// in the audit log. `label` names what `key` counts for in the lockout note.
+const failed = async (req, key, { label, entity = 'User', entityId } = {}) => {
+  const settings = limits();
+  const options = { windowMinutes: settings.windowMinutes, lockMinutes: settings.lockMinutes };
+
+  const account = key && await LoginThrottle.fail(key, 'account', { ...options, ...settings.account });
+  const ip = await LoginThrottle.fail(ipKey(req.ip), 'ip', { ...options, ...settings.ip });
+
+  if (account && account.lockedOut) {
+    await audit.record(req, {
+      action: 'lockout',
+      entity,
+      entityId,
+      actor: null,
+      note: `${label} locked until ${account.record.lockedUntil.toISOString()}`,
+    });
+  }
+
+  if (ip.lockedOut) {
+    await audit.record(req, {
+      action: 'lockout',
+      entity: 'User',
+      actor: null,
+      note: `IP ${req.ip} locked until ${ip.record.lockedUntil.toISOString()}`,
+    });
+  }
+};
+
+// Count a failed password or two-factor code against the account and the IP
+const loginFailed = (req, email, user) => failed(req, accountKey(email), {
+  label: `Account ${email}`,
+  entityId: user && user._id,
+});
+
+// Portal activation: by library card and date of birth, counted per card, or by code,
+// counted per IP only
+const checkActivation = (req, libraryCardNumber) => check(req, libraryCardNumber && cardKey(libraryCardNumber));
+
+const activationFailed = (req, libraryCardNumber) => failed(req, libraryCardNumber && cardKey(libraryCardNumber), {
+  label: `Activation for library card ${libraryCardNumber}`,
+  entity: 'Student',
+});
+
+// Password resets: every reset email asked for counts against the address, so it can't be
+// flooded, and every wrong reset token against the IP
+const checkPasswordReset = (req, email) => check(req, email && resetKey(email));
+
+const passwordResetAttempted = (req, email) => failed(req, email && resetKey(email), {
+  label: `Password resets for ${email}`,
+});
+
+// Forget an account's failures and lift its lockout: after a successful login, or when an
+// admin unlocks it. The IP's count is left to expire.
+const clearAccount = email => LoginThrottle.clear(accountKey(email));
+
+module.exports = {
+  checkLogin,
+  loginFailed,
+  clearAccount,
+  checkActivation,
+  activationFailed,
+  checkPasswordReset,
+  passwordResetAttempted,
+};
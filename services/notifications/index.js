@@ -0,0 +1,119 @@
+const Student = require('../../models/Student');
+const Notification = require('../../models/Notification');
+const templates = require('./templates');
+const { madeBy } = require('../../utils/actor');
+
+// Transports by name. Each has send({ channel, to, subject, text }) resolving to { id }.
+const transports = {
+  console: require('./transports/console'),
+  file: require('./transports/file'),
+  smtp: require('./transports/smtp'),
+  webhook: require('./transports/webhook'),
+};
+
+// Add or replace a transport, e.g. a different SMS gateway
+const registerTransport = (name, transport) => {
+  transports[name] = { name, ...transport };
+};
+
+// Transport for a channel: EMAIL_TRANSPORT / SMS_TRANSPORT, console by default
+const transportFor = (channel) => {
+  const name = (channel === 'email' ? process.env.EMAIL_TRANSPORT : process.env.SMS_TRANSPORT) || 'console';
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown ${channel} transport "${name}"`);
+  }
+  return transport;
+};
+
+// Where a student's notices go, from their preferences or an explicit list of
+// channels ('email', 'sms', 'parent')
+const deliveriesFor = (student, channels) => {
+  const preferences = student.notificationPreferences || {};
+  const wanted = channels || [
+    preferences.email !== false && 'email',
+    preferences.sms && 'sms',
+    preferences.parent && 'parent',
+  ].filter(Boolean);
+
+  const deliveries = [];
+  if (wanted.includes('email') && student.email) {
+    deliveries.push({ recipient: 'student', channel: 'email', to: student.email });
+  }
+  if (wanted.includes('sms') && student.phone) {
+    deliveries.push({ recipient: 'student', channel: 'sms', to: student.phone });
+  }
+  if (wanted.includes('parent') && student.parentPhone) {
+    deliveries.push({ recipient: 'parent', channel: 'sms', to: student.parentPhone });
+  }
+  return deliveries;
+};
+
+// Send a single message on a channel without logging it (also used for staff account mail)
+const send = async (channel, message) => {
+  const transport = transportFor(channel);
+  const result = await transport.send({ channel, ...message });
+  return { transport: transport.name, id: result && result.id };
+};
+
+// Render a template and email it to a single address, e.g. a staff member. Throws if delivery fails.
+const sendEmail = async (to, template, data) => {
+  const content = templates[template](data);
+  return send('email', { to, subject: content.subject, text: content.text });
+};
+
+// Render a template and send it to a student (and parent) on their preferred channels.
+// Every attempt is logged. Delivery problems never throw: they are logged as failed.
+const notifyStudent = async (studentOrId, template, data = {}, options = {}) => {
+  try {
+    const student = await Student.findById(studentOrId._id || studentOrId);
+    if (!student) {
+      return [];
+    }
+
+    const content = templates[template]({ ...data, student });
+    const logged = [];
+
+    for (const delivery of deliveriesFor(student, options.channels)) {
+      const message = delivery.channel === 'email'
+        ? { to: delivery.to, subject: content.subject, text: content.text }
+        : { to: delivery.to, text: content.sms };
+
+      const entry = {
+        student: student._id,
+        ...delivery,
+        template,
+        subject: message.subject,
+        body: message.text,
+        transaction: options.transaction,
+        hold: options.hold,
+        ...madeBy(options.sentBy, 'sentBy'),
+      };
+
+      try {
+        const result = await send(delivery.channel, message);
+        entry.status = 'sent';
+        entry.transport = result.transport;
+        entry.providerId = result.id;
+      } catch (error) {
+        entry.status = 'failed';
+        entry.error = error.message;
+      }
+
+      logged.push(await Notification.create(entry));
+    }
+
+    return logged;
+  } catch (error) {
+    console.error(`Notification "${template}" failed: ${error.message}`);
+    return [];
+  }
+};
+
+module.exports = {
+  templates,
+  registerTransport,
+  send,
+  sendEmail,
+  notifyStudent,
+};
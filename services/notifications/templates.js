@@ -0,0 +1,56 @@
+// Notification templates. Each returns the email subject and text, and a short SMS text.
+const formatDate = (date) => new Date(date).toDateString();
+const formatAmount = (amount) => Number(amount).toFixed(2);
+
+const templates = {
+  dueSoon: ({ student, book, dueDate }) => ({
+    subject: `Reminder: "${book.title}" is due ${formatDate(dueDate)}`,
+    text: `Dear ${student.name},\n\nThis is a reminder that "${book.title}" is due back at the library on ${formatDate(dueDate)}. ` +
+      'Please return or renew it by then to avoid a fine.\n\nThe Library',
+    sms: `Library: "${book.title}" is due ${formatDate(dueDate)}. Please return or renew it.`,
+  }),
+
+  overdue: ({ student, book, dueDate, fine }) => ({
+    subject: `Overdue: "${book.title}"`,
+    text: `Dear ${student.name},\n\n"${book.title}" was due back on ${formatDate(dueDate)} and is now overdue. ` +
+      `${fine ? `The fine so far is ${formatAmount(fine)}. ` : ''}Please return it as soon as possible.\n\nThe Library`,
+    sms: `Library: "${book.title}" was due ${formatDate(dueDate)} and is overdue. Please return it.`,
+  }),
+
+  holdReady: ({ student, book, pickupDeadline }) => ({
+    subject: `Ready for pickup: "${book.title}"`,
+    text: `Dear ${student.name},\n\n"${book.title}", which you reserved, is waiting for you at the library desk. ` +
+      `Please collect it by ${formatDate(pickupDeadline)}, after which it goes to the next student.\n\nThe Library`,
+    sms: `Library: "${book.title}" is ready for pickup until ${formatDate(pickupDeadline)}.`,
+  }),
+
+  fineAssessed: ({ student, amount, reason, outstanding }) => ({
+    subject: 'A library fine has been charged',
+    text: `Dear ${student.name},\n\nA fine of ${formatAmount(amount)} has been charged to your library account (${reason}). ` +
+      `Your total unpaid fines are now ${formatAmount(outstanding)}.\n\nThe Library`,
+    sms: `Library: fine of ${formatAmount(amount)} charged (${reason}). Total unpaid: ${formatAmount(outstanding)}.`,
+  }),
+
+  notice: ({ subject, message }) => ({
+    subject,
+    text: message,
+    sms: message,
+  }),
+
+  // Staff account mail, sent with send() rather than notifyStudent()
+
+  passwordReset: ({ user, url, minutes }) => ({
+    subject: 'Reset your library password',
+    text: `Hello ${user.name},\n\nSomeone asked to reset the password for your library account. ` +
+      `To choose a new password, open this link within ${minutes} minutes:\n\n${url}\n\n` +
+      'If this wasn\'t you, you can ignore this email and your password will stay the same.\n\nThe Library',
+  }),
+
+  invitation: ({ user, invitedBy, url, days }) => ({
+    subject: 'You have been invited to the library system',
+    text: `Hello ${user.name},\n\n${invitedBy.name} has invited you to the library system as ${/^[aeiou]/.test(user.role) ? 'an' : 'a'} ${user.role}. ` +
+      `To set your password and sign in, open this link within ${days} days:\n\n${url}\n\nThe Library`,
+  }),
+};
+
+module.exports = templates;
@@ -0,0 +1,7 @@
+// Print messages to the console instead of delivering them (local development)
+const send = async ({ channel, to, subject, text }) => {
+  console.log(`[${channel}] to ${to}${subject ? ` - ${subject}` : ''}\n${text}\n`);
+  return { id: null };
+};
+
+module.exports = { name: 'console', send };
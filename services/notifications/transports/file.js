@@ -0,0 +1,14 @@
+const fs = require('fs');
+const path = require('path');
+
+// Append messages as JSON lines to NOTIFICATION_OUTBOX (default ./outbox/notifications.log)
+const outbox = () => process.env.NOTIFICATION_OUTBOX || path.join(process.cwd(), 'outbox', 'notifications.log');
+
+const send = async (message) => {
+  const file = outbox();
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.appendFile(file, `${JSON.stringify({ ...message, sentAt: new Date() })}\n`);
+  return { id: null };
+};
+
+module.exports = { name: 'file', send };
@@ -0,0 +1,31 @@
+const nodemailer = require('nodemailer');
+
+let transporter;
+
+// Deliver email through the SMTP server in SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transporter;
+};
+
+const send = async ({ to, subject, text, html }) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.MAIL_FROM || 'Library <library@localhost>',
+    to,
+    subject,
+    text,
+    html,
+  });
+  return { id: info.messageId };
+};
+
+module.exports = { name: 'smtp', send };
@@ -0,0 +1,37 @@
+const http = require('http');
+const https = require('https');
+
+// Deliver SMS by POSTing { to, message } as JSON to an SMS gateway at SMS_WEBHOOK_URL,
+// with SMS_WEBHOOK_TOKEN sent as a bearer token when set
+const send = ({ to, text }) => new Promise((resolve, reject) => {
+  const url = new URL(process.env.SMS_WEBHOOK_URL);
+  const payload = JSON.stringify({ to, message: text });
+  const client = url.protocol === 'https:' ? https : http;
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(payload),
+  };
+  if (process.env.SMS_WEBHOOK_TOKEN) {
+    headers.Authorization = `Bearer ${process.env.SMS_WEBHOOK_TOKEN}`;
+  }
+
+  const req = client.request(url, { method: 'POST', headers, timeout: 10000 }, (res) => {
+    let body = '';
+    res.on('data', (chunk) => { body += chunk; });
+    res.on('end', () => {
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        resolve({ id: null, response: body.slice(0, 200) });
+      } else {
+        reject(new Error(`SMS gateway responded with ${res.statusCode}`));
+      }
+    });
+  });
+
+  req.on('timeout', () => req.destroy(new Error('SMS gateway timed out')));
+  req.on('error', reject);
+  req.write(payload);
+  req.end();
+});
+
+module.exports = { name: 'webhook', send };
@@ -0,0 +1,153 @@
+const Student = require('../models/Student');
+const Transaction = require('../models/Transaction');
+const PromotionRun = require('../models/PromotionRun');
+const ErrorResponse = require('../utils/errorResponse');
+const { madeBy } = require('../utils/actor');
+
+const placement = student => ({ class: student.class, section: student.section, status: student.status });
+
+// Work out what an end-of-year promotion would do, without changing anything.
+// - classMap: { '10': '11', ... } moves each class up
+// - graduate: ['12'] marks those classes graduated
+// - sections: { '11': ['A', 'B', 'C'] } deals students moving into a class across its sections
+// - holdBack: ['loans', 'fines'] leaves students with open loans / unpaid fines where they are;
+//   otherwise they are promoted and flagged
+const planPromotion = async ({ classMap = {}, graduate = [], sections = {}, holdBack = [] } = {}) => {
+  const overlap = graduate.filter(name => classMap[name] !== undefined);
+  if (overlap.length) {
+    throw new ErrorResponse(`Class ${overlap.join(', ')} cannot be both promoted and graduated`, 400);
+  }
+
+  const classes = [...Object.keys(classMap), ...graduate];
+  if (classes.length === 0) {
+    throw new ErrorResponse('Nothing to do: give a class map or classes to graduate', 400);
+  }
+
+  const students = await Student.find({ status: 'active', class: { $in: classes } })
+    .sort('class section name');
+
+  const openLoans = await Transaction.aggregate([
+    { $match: { student: { $in: students.map(student => student._id) }, status: { $in: Transaction.OPEN_STATUSES } } },
+    { $group: { _id: '$student', count: { $sum: 1 } } },
+  ]);
+  const loansByStudent = new Map(openLoans.map(item => [item._id.toString(), item.count]));
+
+  const changes = [];
+  const heldBack = [];
+
+  for (const student of students) {
+    const flags = [];
+    if (loansByStudent.get(student._id.toString())) flags.push('loans');
+    if (student.totalFines > 0) flags.push('fines');
+
+    if (flags.some(flag => holdBack.includes(flag))) {
+      heldBack.push({ student, flags });
+      continue;
+    }
+
+    const to = graduate.includes(student.class)
+      ? { ...placement(student), status: 'graduated' }
+      : { ...placement(student), class: classMap[student.class] };
+
+    changes.push({ student, from: placement(student), to, flags });
+  }
+
+  // Reshuffle sections round-robin, in name order, for classes that ask for it
+  for (const [className, names] of Object.entries(sections)) {
+    if (!Array.isArray(names) || names.length === 0) continue;
+
+    changes
+      .filter(change => change.to.status === 'active' && change.to.class === className)
+      .sort((a, b) => a.student.name.localeCompare(b.student.name))
+      .forEach((change, index) => {
+        change.to.section = names[index % names.length];
+      });
+  }
+
+  return {
+    changes,
+    heldBack,
+    summary: {
+      promoted: changes.filter(change => change.to.status === 'active').length,
+      graduated: changes.filter(change => change.to.status === 'graduated').length,
+      heldBack: heldBack.length,
+      flagged: changes.filter(change => change.flags.length).length,
+      skipped: 0,
+    },
+  };
+};
+
+// Plan and apply a promotion, recording it so it can be rolled back.
+// Students changed by someone else since they were read are skipped.
+const applyPromotion = async (options, { label, actor }) => {
+  const plan = await planPromotion(options);
+
+  // Record the run before touching students so a failure part-way can still be rolled back
+  const run = await PromotionRun.create({
+    label,
+    options,
+    changes: plan.changes.map(change => ({ ...change, student: change.student._id })),
+    heldBack: plan.heldBack.map(item => ({ student: item.student._id, flags: item.flags })),
+    summary: plan.summary,
+    ...madeBy(actor, 'runBy'),
+  });
+
+  const applied = [];
+  for (const change of run.changes) {
+    const result = await Student.updateOne(
+      { _id: change.student, status: 'active', class: change.from.class, section: change.from.section },
+      { ...change.to.toObject(), updatedAt: Date.now() }
+    );
+    if (result.modifiedCount) {
+      applied.push(change);
+    }
+  }
+
+  run.summary.skipped = run.changes.length - applied.length;
+  run.changes = applied;
+  await run.save();
+
+  return run;
+};
+
+// Put every student a promotion moved back where they were, unless they have changed since
+const rollbackPromotion = async (runId, actor) => {
+  const run = await PromotionRun.findOneAndUpdate(
+    { _id: runId, status: 'applied' },
+    { status: 'rolling_back' },
+    { new: true }
+  );
+
+  if (!run) {
+    const exists = await PromotionRun.exists({ _id: runId });
+    throw exists
+      ? new ErrorResponse('Promotion has already been rolled back', 400)
+      : new ErrorResponse('Promotion not found', 404);
+  }
+
+  let restored = 0;
+  for (const change of [...run.changes].reverse()) {
+    const result = await Student.updateOne(
+      { _id: change.student, class: change.to.class, section: change.to.section, status: change.to.status },
+      { ...change.from.toObject(), updatedAt: Date.now() }
+    );
+    if (result.modifiedCount) {
+      restored += 1;
+    } else {
+      change.rollbackSkipped = true;
+    }
+  }
+
+  run.status = 'rolled_back';
+  run.rolledBackAt = new Date();
+  Object.assign(run, madeBy(actor, 'rolledBackBy', 'rolledBackByApiKey'));
+  await run.save();
+
+  return { run, restored, skipped: run.changes.length - restored };
+};
+
+module.exports = {
+  planPromotion,
+  applyPromotion,
+  rollbackPromotion,
+};
@@ -0,0 +1,128 @@
+const Book = require('../models/Book');
+const BookCopy = require('../models/BookCopy');
+const Student = require('../models/Student');
+const Transaction = require('../models/Transaction');
+
+// Index an aggregate result by its _id
+const byId = (rows) => {
+  const map = {};
+  for (const row of rows) {
+    map[row._id.toString()] = row;
+  }
+  return map;
+};
+
+// Recompute Book.availableCopies/totalCopies and Student.currentBooksIssued from copy states
+// and open loans, and report every counter that drifted. With `fix`, write the expected values back.
+const reconcileCounts = async ({ fix = false } = {}) => {
+  const report = {
+    books: [],
+    students: [],
+    issuedCopiesWithoutLoan: [],
+    loansWithCopyNotIssued: [],
+  };
+
+  const copyCounts = byId(await BookCopy.aggregate([
+    {
+      $group: {
+        _id: '$book',
+        totalCopies: {
+          $sum: { $cond: [{ $in: ['$status', BookCopy.INACTIVE_STATUSES] }, 0, 1] },
+        },
+        availableCopies: {
+          $sum: { $cond: [{ $eq: ['$status', 'available'] }, 1, 0] },
+        },
+      },
+    },
+  ]));
+
+  const loansByBook = byId(await Transaction.aggregate([
+    { $match: { status: { $in: Transaction.OPEN_STATUSES } } },
+    { $group: { _id: '$book', count: { $sum: 1 } } },
+  ]));
+
+  // Books: copy states are the source of truth; books without copies fall back to open loans
+  const books = await Book.find({}).select('title isbn totalCopies availableCopies');
+  for (const book of books) {
+    const id = book._id.toString();
+    const expected = copyCounts[id]
+      ? { totalCopies: copyCounts[id].totalCopies, availableCopies: copyCounts[id].availableCopies }
+      : {
+        totalCopies: book.totalCopies,
+        availableCopies: Math.max(book.totalCopies - (loansByBook[id] ? loansByBook[id].count : 0), 0),
+      };
+
+    if (expected.totalCopies !== book.totalCopies || expected.availableCopies !== book.availableCopies) {
+      report.books.push({
+        book: book._id,
+        title: book.title,
+        isbn: book.isbn,
+        actual: { totalCopies: book.totalCopies, availableCopies: book.availableCopies },
+        expected,
+      });
+
+      if (fix) {
+        await Book.updateOne({ _id: book._id }, expected);
+      }
+    }
+  }
+
+  // Students: one slot per open loan
+  const loansByStudent = byId(await Transaction.aggregate([
+    { $match: { status: { $in: Transaction.OPEN_STATUSES } } },
+    { $group: { _id: '$student', count: { $sum: 1 } } },
+  ]));
+
+  const students = await Student.find({
+    $or: [
+      { currentBooksIssued: { $ne: 0 } },
+      { _id: { $in: Object.keys(loansByStudent) } },
+    ],
+  }).select('name studentId currentBooksIssued');
+
+  for (const student of students) {
+    const loans = loansByStudent[student._id.toString()];
+    const expected = loans ? loans.count : 0;
+
+    if (expected !== student.currentBooksIssued) {
+      report.students.push({
+        student: student._id,
+        name: student.name,
+        studentId: student.studentId,
+        actual: student.currentBooksIssued,
+        expected,
+      });
+
+      if (fix) {
+        await Student.updateOne({ _id: student._id }, { currentBooksIssued: expected });
+      }
+    }
+  }
+
+  // Copies and loans that disagree need a person to look at the shelf
+  const openLoans = await Transaction.find({
+    status: { $in: Transaction.OPEN_STATUSES },
+    copy: { $exists: true },
+  }).select('copy');
+  const loanedCopies = new Set(openLoans.map(loan => loan.copy.toString()));
+
+  const issuedCopies = await BookCopy.find({ status: 'issued' }).select('barcode book');
+  for (const copy of issuedCopies) {
+    if (!loanedCopies.has(copy._id.toString())) {
+      report.issuedCopiesWithoutLoan.push({ copy: copy._id, barcode: copy.barcode, book: copy.book });
+    }
+  }
+
+  const issuedIds = new Set(issuedCopies.map(copy => copy._id.toString()));
+  for (const loan of openLoans) {
+    if (!issuedIds.has(loan.copy.toString())) {
+      report.loansWithCopyNotIssued.push({ transaction: loan._id, copy: loan.copy });
+    }
+  }
+
+  return report;
+};
+
+module.exports = {
+  reconcileCounts,
+};
@@ -0,0 +1,222 @@
+const Student = require('../models/Student');
+const ErrorResponse = require('../utils/errorResponse');
+const { madeBy } = require('../utils/actor');
+
+// Student fields a roster can set, with the column headings recognised for each.
+// Headings are compared lowercased with spaces and punctuation removed.
+const FIELDS = {
+  studentId: ['studentid', 'id', 'admissionno', 'admissionnumber'],
+  name: ['name', 'studentname', 'fullname'],
+  email: ['email', 'emailaddress', 'studentemail'],
+  phone: ['phone', 'phonenumber', 'mobile', 'studentphone'],
+  class: ['class', 'grade'],
+  section: ['section', 'division'],
+  rollNumber: ['rollnumber', 'rollno', 'roll'],
+  address: ['address'],
+  parentName: ['parentname', 'guardianname', 'parentguardianname'],
+  parentPhone: ['parentphone', 'guardianphone', 'parentmobile', 'parentguardianphone'],
+  dateOfBirth: ['dateofbirth', 'dob', 'birthdate'],
+  admissionDate: ['admissiondate', 'dateofadmission'],
+  libraryCardNumber: ['librarycardnumber', 'cardnumber', 'librarycard'],
+  notes: ['notes', 'remarks'],
+};
+
+const DATE_FIELDS = ['dateOfBirth', 'admissionDate'];
+
+const normalize = heading => String(heading).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Work out which field each column fills. `mapping` ({ heading: field }) overrides the defaults.
+const mapColumns = (headings, mapping = {}) => {
+  const mapped = {};
+  const ignored = [];
+
+  for (const heading of headings) {
+    const field = mapping[heading]
+      || Object.keys(FIELDS).find(name => FIELDS[name].includes(normalize(heading)));
+
+    if (field && FIELDS[field]) {
+      mapped[heading] = field;
+    } else {
+      ignored.push(heading);
+    }
+  }
+  return { mapped, ignored };
+};
+
+// Dates as YYYY-MM-DD or day first (DD/MM/YYYY, DD-MM-YYYY, DD.MM.YYYY), or Excel date cells
+const parseDate = (value) => {
+  if (value instanceof Date) return value;
+
+  let year;
+  let month;
+  let day;
+  const iso = String(value).match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const dayFirst = String(value).match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+
+  if (iso) {
+    [, year, month, day] = iso.map(Number);
+  } else if (dayFirst) {
+    [, day, month, year] = dayFirst.map(Number);
+  } else {
+    return null;
+  }
+
+  // Reject dates that roll over, like 31/02/2010
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+};
+
+// Turn one spreadsheet row into Student fields. Blank cells are left out so that
+// re-importing a partial roster doesn't clear existing values.
+const rowToFields = (values, mapped) => {
+  const fields = {};
+  const errors = [];
+
+  for (const [heading, field] of Object.entries(mapped)) {
+    const value = values[heading];
+    if (value === undefined || value === null || String(value).trim() === '') continue;
+
+    if (DATE_FIELDS.includes(field)) {
+      const date = parseDate(value);
+      if (date) {
+        fields[field] = date;
+      } else {
+        errors.push({ field, message: `Invalid date "${value}", use YYYY-MM-DD or DD/MM/YYYY` });
+      }
+    } else {
+      fields[field] = String(value).trim();
+    }
+  }
+  return { fields, errors };
+};
+
+const validationErrors = (doc) => {
+  const error = doc.validateSync();
+  return error
+    ? Object.values(error.errors).map(item => ({ field: item.path, message: item.message }))
+    : [];
+};
+
+// Validate a roster and, unless it is a dry run, create or update students keyed on studentId.
+// Rows are checked with the Student model's own validators, plus uniqueness of studentId and
+// email within the file and of email and library card number against other students.
+// A roster with invalid rows is not imported unless skipInvalid is set.
+const importStudents = async (rows, { mapping, dryRun = true, skipInvalid = false, actor } = {}) => {
+  if (rows.length === 0) {
+    throw new ErrorResponse('The file has no data rows', 400);
+  }
+
+  const headings = [...new Set(rows.flatMap(row => Object.keys(row.values)))];
+  const columns = mapColumns(headings, mapping);
+
+  if (!Object.values(columns.mapped).includes('studentId')) {
+    throw new ErrorResponse('The file needs a student ID column', 400);
+  }
+
+  const parsed = rows.map(row => ({ row: row.row, ...rowToFields(row.values, columns.mapped) }));
+
+  // Load the students the roster refers to, by ID and by the unique fields it sets
+  const studentIds = parsed.map(item => item.fields.studentId).filter(Boolean);
+  const emails = parsed.map(item => item.fields.email).filter(Boolean);
+  const cards = parsed.map(item => item.fields.libraryCardNumber).filter(Boolean);
+
+  const existing = await Student.find({ studentId: { $in: studentIds } });
+  const byStudentId = new Map(existing.map(student => [student.studentId, student]));
+  const holders = await Student.find({
+    $or: [{ email: { $in: emails } }, { libraryCardNumber: { $in: cards } }],
+  }, 'studentId email libraryCardNumber');
+
+  const seenIds = new Set();
+  const seenEmails = new Set();
+  const report = [];
+
+  for (const { row, fields, errors } of parsed) {
+    const entry = { row, studentId: fields.studentId, name: fields.name, errors };
+    report.push(entry);
+
+    if (!fields.studentId) {
+      errors.push({ field: 'studentId', message: 'Student ID is required' });
+      entry.action = 'invalid';
+      continue;
+    }
+
+    if (seenIds.has(fields.studentId)) {
+      errors.push({ field: 'studentId', message: 'Student ID appears more than once in the file' });
+    }
+    seenIds.add(fields.studentId);
+
+    if (fields.email) {
+      const email = fields.email.toLowerCase();
+      if (seenEmails.has(email)) {
+        errors.push({ field: 'email', message: 'Email appears more than once in the file' });
+      }
+      seenEmails.add(email);
+    }
+
+    for (const field of ['email', 'libraryCardNumber']) {
+      const holder = fields[field] && holders.find(student => student[field] === fields[field]
+        && student.studentId !== fields.studentId);
+      if (holder) {
+        errors.push({ field, message: `Already used by student ${holder.studentId}` });
+      }
+    }
+
+    const student = byStudentId.get(fields.studentId);
+    let doc;
+    if (student) {
+      doc = student;
+      doc.set(fields);
+      entry.action = doc.isModified() ? 'update' : 'unchanged';
+    } else {
+      doc = new Student({ ...fields, ...madeBy(actor, 'addedBy') });
+      entry.action = 'create';
+    }
+
+    // Fields that failed to parse already have an error; skip the model's complaint about them
+    const reported = new Set(errors.map(error => error.field));
+    errors.push(...validationErrors(doc).filter(error => !reported.has(error.field)));
+    if (errors.length) {
+      entry.action = 'invalid';
+    } else {
+      entry.doc = doc;
+    }
+  }
+
+  const invalid = report.filter(entry => entry.action === 'invalid').length;
+  const commit = !dryRun && (invalid === 0 || skipInvalid);
+
+  if (commit) {
+    for (const entry of report) {
+      if (!entry.doc || entry.action === 'unchanged') continue;
+
+      try {
+        await entry.doc.save();
+        entry.student = entry.doc._id;
+      } catch (error) {
+        entry.errors.push({
+          field: error.code === 11000 ? Object.keys(error.keyValue || {})[0] : undefined,
+          message: error.code === 11000 ? 'Already used by another student' : error.message,
+        });
+        entry.action = 'failed';
+      }
+    }
+  }
+
+  const summary = { rows: report.length, create: 0, update: 0, unchanged: 0, invalid: 0, failed: 0 };
+  for (const entry of report) {
+    summary[entry.action] += 1;
+    delete entry.doc;
+  }
+
+  return {
+    dryRun: !commit,
+    columns,
+    summary,
+    rows: report,
+  };
+};
+
+module.exports = {
+  FIELDS,
+  importStudents,
+};
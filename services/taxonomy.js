@@ -0,0 +1,173 @@
+const Book = require('../models/Book');
+const Category = require('../models/Category');
+const Subject = require('../models/Subject');
+const CirculationPolicy = require('../models/CirculationPolicy');
+const ErrorResponse = require('../utils/errorResponse');
+
+const sameName = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+// Check a book's category, subcategory and subject against the taxonomy. Fields missing
+// from `fields` are taken from `current` (the book being edited). Returns the problems
+// found and the fields to store, with the subject as its heading's name.
+const checkBook = async (fields, current = {}) => {
+  const errors = [];
+  const values = {};
+
+  const category = fields.category !== undefined ? fields.category : current.category;
+  const subcategory = fields.subcategory !== undefined ? fields.subcategory : current.subcategory;
+
+  if (fields.category !== undefined || fields.subcategory !== undefined) {
+    if (!await Category.isValid(category)) {
+      errors.push({ field: 'category', message: `${category} is not a category` });
+    } else if (subcategory && !await Category.isValid(category, subcategory)) {
+      errors.push({ field: 'subcategory', message: `${subcategory} is not a subcategory of ${category}` });
+    }
+    // Moving a book to another category drops a subcategory it doesn't have
+    values.subcategory = subcategory || null;
+  }
+
+  if (fields.subject) {
+    const subject = await Subject.preferredName(fields.subject);
+    if (subject) {
+      values.subject = subject;
+    } else {
+      errors.push({ field: 'subject', message: `${fields.subject} is not in the subject vocabulary` });
+    }
+  }
+
+  return { errors, values };
+};
+
+// Re-tag books and circulation rules from one top-level category name to another.
+// A rule for the same class already on the target wins over the source's.
+const moveTopLevel = async (from, to) => {
+  const books = await Book.updateMany({ category: from }, { category: to });
+
+  let policiesRemoved = 0;
+  const policies = await CirculationPolicy.find({ category: from });
+  for (const policy of policies) {
+    if (await CirculationPolicy.exists({ category: to, studentClass: policy.studentClass })) {
+      await policy.deleteOne();
+      policiesRemoved += 1;
+    } else {
+      await CirculationPolicy.updateOne({ _id: policy._id }, { category: to });
+    }
+  }
+
+  return {
+    books: books.modifiedCount,
+    policies: policies.length - policiesRemoved,
+    policiesRemoved,
+  };
+};
+
+// Rename a category or subcategory and re-tag everything filed under the old name
+const renameCategory = async (category, name) => {
+  const oldName = category.name;
+  if (oldName === name) {
+    return { books: 0, policies: 0, policiesRemoved: 0 };
+  }
+
+  if (await Category.exists({ _id: { $ne: category._id }, parent: category.parent, name })
+    .collation({ locale: 'en', strength: 2 })) {
+    throw new ErrorResponse(`A category named ${name} already exists here`, 400);
+  }
+
+  category.name = name;
+  await category.save();
+
+  if (!category.parent) {
+    return moveTopLevel(oldName, name);
+  }
+
+  const parent = await Category.findById(category.parent);
+  const books = await Book.updateMany({ category: parent.name, subcategory: oldName }, { subcategory: name });
+  return { books: books.modifiedCount, policies: 0, policiesRemoved: 0 };
+};
+
+// Merge a category into another at the same level, re-tagging its books (and for top-level
+// categories its circulation rules), then delete it. A top-level category's subcategories
+// move to the target, merging with any of the same name.
+const mergeCategory = async (source, target) => {
+  if (String(source._id) === String(target._id)) {
+    throw new ErrorResponse('A category cannot be merged into itself', 400);
+  }
+  if (Boolean(source.parent) !== Boolean(target.parent)) {
+    throw new ErrorResponse('Categories can only be merged with another at the same level', 400);
+  }
+
+  if (source.parent) {
+    const [sourceParent, targetParent] = await Promise.all([
+      Category.findById(source.parent),
+      Category.findById(target.parent),
+    ]);
+    const books = await Book.updateMany(
+      { category: sourceParent.name, subcategory: source.name },
+      { category: targetParent.name, subcategory: target.name }
+    );
+    await source.deleteOne();
+    return { books: books.modifiedCount, policies: 0, policiesRemoved: 0 };
+  }
+
+  const children = await Category.find({ parent: source._id });
+  const targetChildren = await Category.find({ parent: target._id });
+  for (const child of children) {
+    const match = targetChildren.find(existing => sameName(existing.name, child.name));
+    if (match) {
+      await Book.updateMany({ category: source.name, subcategory: child.name }, { subcategory: match.name });
+      await child.deleteOne();
+    } else {
+      child.parent = target._id;
+      await child.save();
+    }
+  }
+
+  const result = await moveTopLevel(source.name, target.name);
+  await source.deleteOne();
+  return result;
+};
+
+// Rename a subject heading, re-tagging its books. The old name is kept as a synonym
+// so it is still accepted.
+const renameSubject = async (subject, name) => {
+  const oldName = subject.name;
+  subject.name = name;
+  if (!sameName(oldName, name)) {
+    subject.synonyms.push(oldName);
+  }
+  await subject.save();
+
+  const books = await Book.updateMany({ subject: oldName }, { subject: name });
+  return { books: books.modifiedCount };
+};
+
+// Merge a subject heading into another: its name and synonyms become the target's
+// synonyms and its books are re-tagged
+const mergeSubject = async (source, target) => {
+  if (String(source._id) === String(target._id)) {
+    throw new ErrorResponse('A subject cannot be merged into itself', 400);
+  }
+
+  // Free the source's terms before the target takes them, keeping the source until the
+  // target is saved; if that fails, saving the source again gives its terms back
+  await Subject.updateOne({ _id: source._id }, { terms: [`merging:${source._id}`] });
+  target.synonyms.push(source.name, ...source.synonyms);
+  try {
+    await target.save();
+  } catch (error) {
+    await source.save();
+    throw error;
+  }
+
+  const books = await Book.updateMany({ subject: source.name }, { subject: target.name });
+  await source.deleteOne();
+  return { books: books.modifiedCount };
+};
+
+module.exports = {
+  checkBook,
+  renameCategory,
+  mergeCategory,
+  renameSubject,
+  mergeSubject,
+};
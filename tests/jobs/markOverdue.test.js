@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../models/Transaction', () => ({ find: jest.fn(), updateOne: jest.fn(), OPEN_STATUSES: ['active', 'overdue'] }));
+jest.mock('../../models/AuditLog', () => ({ create: jest.fn() }));
+jest.mock('../../services/notifications', () => ({ notifyStudent: jest.fn() }));
+
+const Transaction = require('../../models/Transaction');
+const AuditLog = require('../../models/AuditLog');
+const { notifyStudent } = require('../../services/notifications');
+const markOverdue = require('../../jobs/markOverdue');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const loan = ({ status = 'active', fine = 0, accrued = 1.5 } = {}) => {
+  const doc = {
+    _id: id(),
+    book: { _id: id(), title: 'Dune' },
+    copy: id(),
+    student: id(),
+    dueDate: new Date('2026-10-01'),
+    status,
+    fine: { amount: fine, reason: fine ? 'Overdue' : undefined },
+    calculateFine: jest.fn(() => { doc.fine = { amount: accrued, reason: 'Overdue' }; }),
+  };
+  doc.toObject = () => ({ status: doc.status, fine: { ...doc.fine } });
+  return doc;
+};
+
+const found = loans => ({ populate: jest.fn().mockResolvedValue(loans) });
+
+describe('jobs/markOverdue', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    Transaction.OPEN_STATUSES = ['active', 'overdue'];
+    Transaction.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  it('marks an active loan overdue, notifies the student and audits the change', async () => {
+    const active = loan();
+    Transaction.find.mockReturnValue(found([active]));
+
+    await expect(markOverdue()).resolves.toEqual({ checked: 1, marked: 1, accrued: 1 });
+
+    expect(notifyStudent).toHaveBeenCalledWith(active.student, 'overdue', expect.any(Object), { transaction: active._id });
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'update',
+      entity: 'Transaction',
+      entityId: active._id,
+      actor: undefined,
+      actorName: 'Overdue job',
+      changes: [
+        { field: 'status', from: 'active', to: 'overdue' },
+        { field: 'fine.amount', from: 0, to: 1.5 },
+        { field: 'fine.reason', from: undefined, to: 'Overdue' },
+      ],
+      related: [
+        { entity: 'Book', entityId: active.book._id },
+        { entity: 'BookCopy', entityId: active.copy },
+        { entity: 'Student', entityId: active.student },
+      ],
+    }));
+  });
+
+  it('audits only the fine on a loan that was already overdue', async () => {
+    const overdue = loan({ status: 'overdue', fine: 1, accrued: 1.5 });
+    Transaction.find.mockReturnValue(found([overdue]));
+
+    await expect(markOverdue()).resolves.toEqual({ checked: 1, marked: 0, accrued: 1 });
+
+    expect(notifyStudent).not.toHaveBeenCalled();
+    expect(AuditLog.create.mock.calls[0][0].changes).toEqual([{ field: 'fine.amount', from: 1, to: 1.5 }]);
+  });
+
+  it('records nothing for a loan returned while the job ran', async () => {
+    Transaction.find.mockReturnValue(found([loan()]));
+    Transaction.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(markOverdue()).resolves.toEqual({ checked: 1, marked: 0, accrued: 0 });
+
+    expect(AuditLog.create).not.toHaveBeenCalled();
+    expect(notifyStudent).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const FineEntry = require('../../models/FineEntry');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const charge = amount => ({ _id: id(), type: 'charge', amount });
+
+describe('models/FineEntry', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('chargeBalances', () => {
+    it('nets payments, refunds, waivers and adjustments against each charge', async () => {
+      const lost = charge(20);
+      const overdue = charge(1.5);
+      jest.spyOn(FineEntry, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([lost, overdue]) });
+      jest.spyOn(FineEntry, 'aggregate').mockResolvedValue([
+        { _id: { charge: lost._id, type: 'payment' }, total: 10.1 },
+        { _id: { charge: lost._id, type: 'refund' }, total: 0.2 },
+        { _id: { charge: lost._id, type: 'waiver' }, total: 5 },
+        { _id: { charge: lost._id, type: 'adjustment' }, total: -2 },
+      ]);
+
+      const [first, second] = await FineEntry.chargeBalances({ student: id() });
+
+      expect(first).toMatchObject({ charge: lost, paid: 9.9, waived: 5, adjusted: -2, outstanding: 3.1 });
+      expect(second).toMatchObject({ charge: overdue, paid: 0, outstanding: 1.5 });
+    });
+  });
+
+  describe('allocate', () => {
+    const balances = [
+      { charge: charge(1.1), outstanding: 1.1 },
+      { charge: charge(5), outstanding: 0 },
+      { charge: charge(2.2), outstanding: 2.2 },
+    ];
+
+    it('settles charges in order, skipping ones already settled', () => {
+      expect(FineEntry.allocate(balances, 2)).toEqual([
+        { charge: balances[0].charge._id, amount: 1.1 },
+        { charge: balances[2].charge._id, amount: 0.9 },
+      ]);
+    });
+
+    it('settles everything owed without leaving cents over', () => {
+      expect(FineEntry.allocate(balances, 3.3).map(allocation => allocation.amount)).toEqual([1.1, 2.2]);
+    });
+
+    it('refuses more than is owed', () => {
+      expect(() => FineEntry.allocate(balances, 3.31)).toThrow('Amount exceeds the outstanding balance');
+    });
+  });
+
+  describe('nextSequence', () => {
+    const latest = entry => {
+      const query = { sort: jest.fn(() => query), select: jest.fn().mockResolvedValue(entry) };
+      return query;
+    };
+
+    it('follows the student\'s last allocated entry', async () => {
+      jest.spyOn(FineEntry, 'findOne').mockReturnValue(latest({ sequence: 7 }));
+      await expect(FineEntry.nextSequence(id())).resolves.toBe(8);
+    });
+
+    it('starts at 1', async () => {
+      jest.spyOn(FineEntry, 'findOne').mockReturnValue(latest(null));
+      await expect(FineEntry.nextSequence(id())).resolves.toBe(1);
+    });
+  });
+
+  describe('createAllocated', () => {
+    it('writes the entry with its sequence number', async () => {
+      const create = jest.spyOn(FineEntry, 'create').mockImplementation(async fields => fields);
+
+      await FineEntry.createAllocated({ type: 'payment', amount: 2 }, 3);
+
+      expect(create).toHaveBeenCalledWith({ type: 'payment', amount: 2, sequence: 3 });
+    });
+
+    it('refuses an entry when another took its sequence number first', async () => {
+      jest.spyOn(FineEntry, 'create').mockRejectedValue(
+        Object.assign(new Error('E11000 duplicate key'), { code: 11000, keyPattern: { student: 1, sequence: 1 } })
+      );
+
+      await expect(FineEntry.createAllocated({ type: 'payment', amount: 2 }, 3)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('passes other duplicate keys on', async () => {
+      const duplicate = Object.assign(new Error('E11000 duplicate key'), { code: 11000, keyPattern: { receiptNumber: 1 } });
+      jest.spyOn(FineEntry, 'create').mockRejectedValue(duplicate);
+
+      await expect(FineEntry.createAllocated({ type: 'payment', amount: 2 }, 3)).rejects.toBe(duplicate);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../services/notifications', () => ({ notifyStudent: jest.fn() }));
+
+const Hold = require('../../models/Hold');
+const Book = require('../../models/Book');
+const BookCopy = require('../../models/BookCopy');
+const { notifyStudent } = require('../../services/notifications');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const copyOf = (book, status) => ({ _id: id(), book, status, save: jest.fn() });
+
+describe('models/Hold', () => {
+  const book = id();
+
+  beforeEach(() => {
+    jest.spyOn(Book, 'findById').mockResolvedValue({ _id: book, title: 'Dune' });
+    jest.spyOn(Book, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    notifyStudent.mockReset();
+  });
+
+  describe('assignNextHold', () => {
+    it('puts the copy on the hold shelf for the head of the queue and tells the student', async () => {
+      const copy = copyOf(book, 'available');
+      const next = { _id: id(), student: id(), status: 'ready' };
+      const claim = jest.spyOn(Hold, 'findOneAndUpdate').mockResolvedValue(next);
+
+      await expect(Hold.assignNextHold(copy)).resolves.toBe(next);
+
+      expect(claim).toHaveBeenCalledWith(
+        { book, status: 'waiting' },
+        expect.objectContaining({ status: 'ready', copy: copy._id }),
+        { sort: { position: 1, placedAt: 1 }, new: true }
+      );
+      expect(copy.status).toBe('on_hold');
+      expect(copy.save).toHaveBeenCalled();
+      expect(notifyStudent).toHaveBeenCalledWith(next.student, 'holdReady', expect.objectContaining({
+        book: { _id: book, title: 'Dune' },
+        pickupDeadline: expect.any(Date),
+      }), { hold: next._id });
+    });
+
+    it('leaves the copy alone when no one is waiting', async () => {
+      const copy = copyOf(book, 'available');
+      jest.spyOn(Hold, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(Hold.assignNextHold(copy)).resolves.toBeNull();
+
+      expect(copy.save).not.toHaveBeenCalled();
+      expect(notifyStudent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseCopy', () => {
+    it('passes the copy down the queue', async () => {
+      const copy = copyOf(book, 'on_hold');
+      const next = { _id: id(), student: id() };
+      jest.spyOn(BookCopy, 'findById').mockResolvedValue(copy);
+      jest.spyOn(Hold, 'findOneAndUpdate').mockResolvedValue(next);
+
+      await expect(Hold.releaseCopy(copy._id)).resolves.toBe(next);
+
+      expect(Book.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('puts the copy back in circulation when the queue is empty', async () => {
+      const copy = copyOf(book, 'on_hold');
+      jest.spyOn(BookCopy, 'findById').mockResolvedValue(copy);
+      jest.spyOn(Hold, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(Hold.releaseCopy(copy._id)).resolves.toBeNull();
+
+      expect(copy.status).toBe('available');
+      expect(Book.updateOne).toHaveBeenCalledWith({ _id: book }, { $inc: { availableCopies: 1 } });
+    });
+
+    it('ignores a copy that is no longer on the hold shelf', async () => {
+      const copy = copyOf(book, 'issued');
+      jest.spyOn(BookCopy, 'findById').mockResolvedValue(copy);
+      const claim = jest.spyOn(Hold, 'findOneAndUpdate');
+
+      await expect(Hold.releaseCopy(copy._id)).resolves.toBeNull();
+
+      expect(claim).not.toHaveBeenCalled();
+      expect(copy.save).not.toHaveBeenCalled();
+    });
+  });
+
+  it('expires uncollected holds, releasing their copies, and lapsed waiting holds', async () => {
+    const uncollected = { status: 'ready', copy: id(), save: jest.fn() };
+    jest.spyOn(Hold, 'find').mockResolvedValue([uncollected]);
+    jest.spyOn(Hold, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    const release = jest.spyOn(Hold, 'releaseCopy').mockResolvedValue(null);
+
+    await expect(Hold.expireHolds()).resolves.toEqual({ uncollected: 1, lapsed: 2 });
+
+    expect(uncollected.status).toBe('expired');
+    expect(uncollected.save).toHaveBeenCalled();
+    expect(release).toHaveBeenCalledWith(uncollected.copy);
+    expect(Hold.updateMany).toHaveBeenCalledWith(
+      { status: 'waiting', expiresAt: { $lt: expect.any(Date) } },
+      { status: 'expired' }
+    );
+  });
+
+  it('counts the waiting holds ahead in the queue, earlier placements first on a tie', async () => {
+    const hold = new Hold({ book, student: id(), status: 'waiting', position: 3, placedAt: new Date('2026-10-01') });
+    const count = jest.spyOn(Hold, 'countDocuments').mockResolvedValue(2);
+
+    await expect(hold.queuePosition()).resolves.toBe(3);
+
+    expect(count).toHaveBeenCalledWith({
+      book,
+      status: 'waiting',
+      $or: [
+        { position: { $lt: 3 } },
+        { position: 3, placedAt: { $lt: hold.placedAt } },
+      ],
+    });
+  });
+});
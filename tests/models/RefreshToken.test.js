@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const RefreshToken = require('../../models/RefreshToken');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const req = { ip: '10.0.0.7', get: () => 'jest' };
+
+const hash = token => crypto.createHash('sha256').update(token).digest('hex');
+
+describe('models/RefreshToken', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('issue', () => {
+    it('stores only the hash of a new token, in a new family', async () => {
+      const create = jest.spyOn(RefreshToken, 'create').mockImplementation(async fields => ({ _id: id(), ...fields }));
+      const user = { _id: id() };
+
+      const { record, token } = await RefreshToken.issue(user, req);
+
+      expect(token).toMatch(/^[0-9a-f]{80}$/);
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        user: user._id,
+        tokenHash: hash(token),
+        ip: '10.0.0.7',
+        userAgent: 'jest',
+      }));
+      expect(record.family).toEqual(expect.any(String));
+      expect(record.expiresAt.getTime()).toBeGreaterThan(Date.now() + 29 * 24 * 60 * 60 * 1000);
+    });
+
+    it('keeps the family it is given', async () => {
+      jest.spyOn(RefreshToken, 'create').mockImplementation(async fields => fields);
+
+      const { record } = await RefreshToken.issue({ _id: id() }, req, 'family-1');
+
+      expect(record.family).toBe('family-1');
+    });
+  });
+
+  describe('rotate', () => {
+    let current;
+
+    beforeEach(() => {
+      current = {
+        _id: id(),
+        user: id(),
+        family: 'family-1',
+        expiresAt: new Date(Date.now() + 60 * 1000),
+      };
+      jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(current);
+      jest.spyOn(RefreshToken, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(RefreshToken, 'create').mockImplementation(async fields => ({ _id: id(), ...fields }));
+    });
+
+    it('uses up the token and issues the next one in its family', async () => {
+      const claim = jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(current);
+
+      const next = await RefreshToken.rotate('old-token', req);
+
+      expect(RefreshToken.findOne).toHaveBeenCalledWith({ tokenHash: hash('old-token') });
+      expect(claim).toHaveBeenCalledWith({ _id: current._id, revokedAt: null }, { revokedAt: expect.any(Date) });
+      expect(next.record).toMatchObject({ user: current.user, family: 'family-1' });
+      expect(RefreshToken.updateOne).toHaveBeenCalledWith({ _id: current._id }, { replacedBy: next.record._id });
+      expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('ends the whole session when a used token comes back', async () => {
+      jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(RefreshToken.rotate('old-token', req)).resolves.toBeNull();
+
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { family: 'family-1', revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses an expired or unknown token without touching the family', async () => {
+      const claim = jest.spyOn(RefreshToken, 'findOneAndUpdate');
+      current.expiresAt = new Date(Date.now() - 1000);
+
+      await expect(RefreshToken.rotate('old-token', req)).resolves.toBeNull();
+      RefreshToken.findOne.mockResolvedValue(null);
+      await expect(RefreshToken.rotate('unknown', req)).resolves.toBeNull();
+
+      expect(claim).not.toHaveBeenCalled();
+      expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  it('revokes every session of a user but the one kept', async () => {
+    const revoke = jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    const user = id();
+
+    await RefreshToken.revokeAllForUser(user, 'family-1');
+
+    expect(revoke).toHaveBeenCalledWith(
+      { user, revokedAt: null, family: { $ne: 'family-1' } },
+      { revokedAt: expect.any(Date) }
+    );
+  });
+});
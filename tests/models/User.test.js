@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const totp = require('../../utils/totp');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const hash = value => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('models/User two-factor login', () => {
+  const secret = totp.generateSecret();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // findById(...).select(...) resolving to `user`
+  const found = user => jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+  describe('useTwoFactorCode', () => {
+    it('accepts a current code once, recording its time step', async () => {
+      const user = { _id: id(), twoFactor: { enabled: true, secret } };
+      found(user);
+      const update = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const step = totp.stepAt(Date.now());
+
+      await expect(User.useTwoFactorCode(user._id, totp.codeAt(secret, step))).resolves.toBe(true);
+
+      expect(update).toHaveBeenCalledWith(
+        {
+          _id: user._id,
+          $or: [
+            { 'twoFactor.lastUsedStep': { $exists: false } },
+            { 'twoFactor.lastUsedStep': { $lt: step } },
+          ],
+        },
+        { 'twoFactor.lastUsedStep': step }
+      );
+    });
+
+    it('refuses a code whose step was already used', async () => {
+      const user = { _id: id(), twoFactor: { enabled: true, secret } };
+      found(user);
+      jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(User.useTwoFactorCode(user._id, totp.codeAt(secret, totp.stepAt(Date.now())))).resolves.toBe(false);
+    });
+
+    it('refuses a wrong code without recording anything', async () => {
+      const user = { _id: id(), twoFactor: { enabled: true, secret } };
+      found(user);
+      const update = jest.spyOn(User, 'updateOne');
+      const wrong = totp.codeAt(secret, totp.stepAt(Date.now()) + 10);
+
+      await expect(User.useTwoFactorCode(user._id, wrong)).resolves.toBe(false);
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('refuses codes for a user without two-factor authentication', async () => {
+      found({ _id: id(), twoFactor: { enabled: false } });
+      const update = jest.spyOn(User, 'updateOne');
+
+      await expect(User.useTwoFactorCode(id(), '123456')).resolves.toBe(false);
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('stores only hashes of the codes it hands out', () => {
+      const user = new User({ name: 'Ana', email: 'ana@school.edu', role: 'admin' });
+
+      const codes = user.generateRecoveryCodes();
+
+      expect(codes).toHaveLength(10);
+      codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+      expect(user.twoFactor.recoveryCodes).toEqual(codes.map(hash));
+    });
+
+    it('uses up a recovery code as typed, ignoring case and spaces', async () => {
+      const userId = id();
+      const update = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await expect(User.useRecoveryCode(userId, ' AB12C-3D4E5 ')).resolves.toBe(true);
+
+      const used = hash('ab12c-3d4e5');
+      expect(update).toHaveBeenCalledWith(
+        { _id: userId, 'twoFactor.enabled': true, 'twoFactor.recoveryCodes': used },
+        { $pull: { 'twoFactor.recoveryCodes': used } }
+      );
+    });
+
+    it('refuses a code that is unknown or already used', async () => {
+      jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(User.useRecoveryCode(id(), 'ab12c-3d4e5')).resolves.toBe(false);
+    });
+  });
+});
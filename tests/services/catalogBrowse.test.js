@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../models/Book', () => ({ aggregate: jest.fn() }));
+
+const Book = require('../../models/Book');
+const catalogBrowse = require('../../services/catalogBrowse');
+
+describe('services/catalogBrowse', () => {
+  describe('parseFilters', () => {
+    it('reads repeated and comma-separated values where a facet allows them', () => {
+      expect(catalogBrowse.parseFilters({
+        category: ['Fiction,Science', ' History '],
+        publisher: 'Smith, Elder & Co',
+        language: '',
+      })).toEqual({
+        category: ['Fiction', 'Science', 'History'],
+        publisher: ['Smith, Elder & Co'],
+      });
+    });
+
+    it('reads year ranges, open at either end, and drops bad ones', () => {
+      expect(catalogBrowse.parseFilters({ publicationYear: '1990-1999,2005,2010-,-1950,199x' })).toEqual({
+        publicationYear: [
+          { from: 1990, to: 1999 },
+          { from: 2005, to: 2005 },
+          { from: 2010, to: null },
+          { from: null, to: 1950 },
+        ],
+      });
+      expect(catalogBrowse.parseFilters({ publicationYear: 'recent' })).toEqual({});
+    });
+
+    it('ignores parameters that are not facets', () => {
+      expect(catalogBrowse.parseFilters({ page: '2', sort: 'title' })).toEqual({});
+    });
+  });
+
+  describe('matchFor', () => {
+    const filters = {
+      category: ['Fiction', 'Science'],
+      section: ['A'],
+      publicationYear: [{ from: 2010, to: null }],
+    };
+
+    it('matches any value within a facet and every facet at once', () => {
+      expect(catalogBrowse.matchFor(filters)).toEqual({
+        $and: [
+          { category: { $in: ['Fiction', 'Science'] } },
+          { 'location.section': { $in: ['A'] } },
+          { $or: [{ publicationYear: { $gte: 2010 } }] },
+        ],
+      });
+    });
+
+    it('leaves out the facet being counted', () => {
+      expect(catalogBrowse.matchFor(filters, 'category').$and).toHaveLength(2);
+      expect(catalogBrowse.matchFor({ category: ['Fiction'] }, 'category')).toEqual({});
+    });
+  });
+
+  describe('facetCounts', () => {
+    beforeEach(() => {
+      Book.aggregate.mockReset();
+    });
+
+    it('counts each facet without its own selection, and years by decade', async () => {
+      Book.aggregate.mockResolvedValue([{
+        category: [{ _id: 'Fiction', count: 4 }, { _id: 'Science', count: 2 }],
+        publicationYear: [{ _id: 2010, count: 3 }],
+        available: [{ _id: true, count: 5 }, { _id: false, count: 1 }],
+      }]);
+      const filters = { category: ['Fiction'], language: ['English'] };
+
+      const result = await catalogBrowse.facetCounts({ isActive: true }, filters, { available: true });
+
+      expect(result).toEqual({
+        category: [{ value: 'Fiction', count: 4 }, { value: 'Science', count: 2 }],
+        publicationYear: [{ value: '2010-2019', count: 3 }],
+        available: [{ value: 'true', count: 5 }, { value: 'false', count: 1 }],
+      });
+
+      const [match, { $facet: facets }] = Book.aggregate.mock.calls[0][0];
+      expect(match).toEqual({ $match: { isActive: true } });
+      expect(facets.category[0]).toEqual({
+        $match: { availableCopies: { $gt: 0 }, $and: [{ language: { $in: ['English'] } }] },
+      });
+      expect(facets.language[0]).toEqual({
+        $match: { availableCopies: { $gt: 0 }, $and: [{ category: { $in: ['Fiction'] } }] },
+      });
+      expect(facets.available[0]).toEqual({ $match: catalogBrowse.matchFor(filters) });
+    });
+
+    it('casts search result ids, which aggregations leave as strings', async () => {
+      Book.aggregate.mockResolvedValue([{}]);
+      const id = new mongoose.Types.ObjectId();
+
+      await catalogBrowse.facetCounts({ _id: { $in: [id.toString()] } }, {});
+
+      const [{ $match: match }] = Book.aggregate.mock.calls[0][0];
+      expect(match._id.$in[0]).toBeInstanceOf(mongoose.Types.ObjectId);
+      expect(match._id.$in[0].equals(id)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../models/Book', () => ({ find: jest.fn(), findById: jest.fn() }));
+
+const Book = require('../../models/Book');
+const catalogSearch = require('../../services/catalogSearch');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const book = fields => ({ _id: id(), isActive: true, language: 'English', ...fields });
+
+const BOOKS = {
+  hobbit: book({ title: 'The Hobbit', author: 'J. R. R. Tolkien', isbn: '9780261102217', description: 'A hobbit goes on an adventure.' }),
+  libraries: book({ title: 'Public Libraries Today', author: 'Ann Smith', subject: 'Library science' }),
+  history: book({ title: 'A Short History', author: 'Lee Ray', description: 'Mentions libraries once, in passing.' }),
+  spanish: book({ title: 'La biblioteca de noche', author: 'Alberto Manguel', language: 'Spanish' }),
+  dune: book({ title: 'Dune', author: 'Frank Herbert', subject: 'Science fiction' }),
+  messiah: book({ title: 'Dune Messiah', author: 'Frank Herbert', subject: 'Science fiction' }),
+  tags: book({ title: 'Fish & <Chips>', author: 'Cook' }),
+};
+
+const ids = results => results.map(result => result.id);
+const idOf = name => BOOKS[name]._id.toString();
+
+describe('services/catalogSearch', () => {
+  beforeEach(async () => {
+    Book.find.mockReturnValue({
+      select: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockReturnThis(),
+      then: (resolve, reject) => Promise.resolve(Object.values(BOOKS)).then(resolve, reject),
+    });
+    await catalogSearch.rebuild();
+  });
+
+  it('ranks a title match above a passing mention, matching other forms of the word', async () => {
+    const results = await catalogSearch.search('library');
+
+    expect(ids(results)).toEqual([idOf('libraries'), idOf('history')]);
+    expect(results[0].highlights.title).toBe('Public <mark>Libraries</mark> Today');
+  });
+
+  it('stems each book in its own language', async () => {
+    expect(ids(await catalogSearch.search('bibliotecas'))).toEqual([idOf('spanish')]);
+  });
+
+  it('finds words from their first letters and with typos', async () => {
+    expect(ids(await catalogSearch.search('hobb'))).toEqual([idOf('hobbit')]);
+    expect(ids(await catalogSearch.search('hobit'))).toEqual([idOf('hobbit')]);
+    expect(ids(await catalogSearch.search('tolkein'))).toEqual([idOf('hobbit')]);
+  });
+
+  it('returns only the books matching every word when there are any', async () => {
+    const results = await catalogSearch.search('dune messiah');
+    expect(ids(results)).toEqual([idOf('messiah')]);
+  });
+
+  it('falls back to books matching any word when none match them all', async () => {
+    const results = await catalogSearch.search('messiah hobbit');
+
+    expect(ids(results).sort()).toEqual([idOf('messiah'), idOf('hobbit')].sort());
+  });
+
+  it('finds books by ISBN, exactly or from its first digits', async () => {
+    expect(await catalogSearch.search('978-0-261-10221-7')).toEqual([{ id: idOf('hobbit'), score: 100, highlights: {} }]);
+    expect(await catalogSearch.search('0261102')).toEqual([{ id: idOf('hobbit'), score: 50, highlights: {} }]);
+  });
+
+  it('escapes the text around highlights', async () => {
+    const [result] = await catalogSearch.search('chips');
+
+    expect(result.highlights.title).toBe('Fish &amp; &lt;<mark>Chips</mark>&gt;');
+  });
+
+  it('keeps the index up to date as books are written', async () => {
+    const added = book({ title: 'Silmarillion', author: 'J. R. R. Tolkien' });
+    catalogSearch.update(added);
+    expect(ids(await catalogSearch.search('silmarillion'))).toEqual([added._id.toString()]);
+
+    catalogSearch.update({ ...added, isActive: false });
+    expect(await catalogSearch.search('silmarillion')).toEqual([]);
+  });
+
+  it('only treats writes to indexed fields as changing the index', () => {
+    expect(catalogSearch.touchesIndex({ $set: { title: 'New' } })).toBe(true);
+    expect(catalogSearch.touchesIndex({ isActive: false })).toBe(true);
+    expect(catalogSearch.touchesIndex({ $inc: { availableCopies: -1 } })).toBe(false);
+  });
+});
@@ -0,0 +1,409 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../models/Book', () => ({
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+}));
+jest.mock('../../models/BookCopy', () => ({
+  findOne: jest.fn(),
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  syncBookCounts: jest.fn(),
+}));
+jest.mock('../../models/Student', () => ({
+  findOne: jest.fn(),
+  updateOne: jest.fn(),
+}));
+jest.mock('../../models/Transaction', () => ({
+  OPEN_STATUSES: ['active', 'overdue'],
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  create: jest.fn(),
+}));
+jest.mock('../../models/Hold', () => ({
+  OPEN_STATUSES: ['waiting', 'ready'],
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  countDocuments: jest.fn(),
+  assignNextHold: jest.fn(),
+  releaseCopy: jest.fn(),
+}));
+jest.mock('../../models/CirculationPolicy', () => ({
+  resolve: jest.fn(),
+  dueDateFor: jest.fn(),
+  snapshot: jest.fn(),
+}));
+jest.mock('../../models/FineEntry', () => ({
+  round: value => Math.round(value * 100) / 100,
+  outstandingFor: jest.fn(),
+  chargeForTransaction: jest.fn(),
+}));
+
+const Book = require('../../models/Book');
+const BookCopy = require('../../models/BookCopy');
+const Student = require('../../models/Student');
+const Transaction = require('../../models/Transaction');
+const Hold = require('../../models/Hold');
+const CirculationPolicy = require('../../models/CirculationPolicy');
+const FineEntry = require('../../models/FineEntry');
+const circulation = require('../../services/circulation');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// A query whose populate() resolves to `value`
+const populated = value => ({ populate: jest.fn().mockResolvedValue(value) });
+
+const POLICY = { loanable: true, fineBlockThreshold: 10, maxBooks: 3 };
+
+describe('services/circulation', () => {
+  let book;
+  let student;
+  let user;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+
+    book = { _id: id(), title: 'Dune', category: 'Fiction', isActive: true };
+    student = { _id: id(), class: '10', status: 'active' };
+    user = { _id: id(), name: 'Librarian' };
+
+    Student.findOne.mockResolvedValue(student);
+    Student.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    CirculationPolicy.resolve.mockResolvedValue(POLICY);
+    FineEntry.outstandingFor.mockResolvedValue(0);
+    Transaction.findOne.mockResolvedValue(null);
+    Transaction.create.mockImplementation(async fields => ({ _id: id(), ...fields }));
+    BookCopy.findOneAndUpdate.mockImplementation(async filter => ({ _id: filter._id }));
+    Book.findOneAndUpdate.mockResolvedValue({ availableCopies: 1 });
+    Hold.findOneAndUpdate.mockResolvedValue(null);
+  });
+
+  describe('issueLoan', () => {
+    const copyOf = (status, copyId = id()) => ({ _id: copyId, barcode: `B-${copyId}`, status, book });
+
+    it('issues an available copy and takes it out of the available count', async () => {
+      const copy = copyOf('available');
+      BookCopy.findOne.mockReturnValue(populated(copy));
+
+      const { transaction, availableCopies } = await circulation.issueLoan({
+        barcode: copy.barcode,
+        studentId: student._id,
+        actor: user,
+      });
+
+      expect(BookCopy.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: copy._id, status: 'available' },
+        expect.objectContaining({ status: 'issued' })
+      );
+      expect(Student.updateOne).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: student._id, currentBooksIssued: { $lt: 3 } }),
+        { $inc: { currentBooksIssued: 1 } }
+      );
+      expect(Book.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: book._id, availableCopies: { $gt: 0 } },
+        { $inc: { availableCopies: -1 } },
+        expect.anything()
+      );
+      expect(availableCopies).toEqual({ from: 2, to: 1 });
+      expect(transaction).toMatchObject({ book: book._id, copy: copy._id, student: student._id, processedBy: user._id });
+      expect(transaction.apiKey).toBeUndefined();
+    });
+
+    it('records an API key in apiKey rather than processedBy', async () => {
+      const copy = copyOf('available');
+      BookCopy.findOne.mockReturnValue(populated(copy));
+      const key = { _id: id(), name: 'Kiosk (API key)', apiKey: true };
+
+      const { transaction } = await circulation.issueLoan({ barcode: copy.barcode, studentId: student._id, actor: key });
+
+      expect(transaction.processedBy).toBeUndefined();
+      expect(transaction.apiKey).toBe(key._id);
+    });
+
+    it('uses a limit on the student record over the policy', async () => {
+      student.maxBooksAllowed = 5;
+      const copy = copyOf('available');
+      BookCopy.findOne.mockReturnValue(populated(copy));
+
+      await circulation.issueLoan({ barcode: copy.barcode, studentId: student._id, actor: user });
+
+      expect(Student.updateOne).toHaveBeenCalledWith(
+        expect.objectContaining({ currentBooksIssued: { $lt: 5 } }),
+        expect.anything()
+      );
+    });
+
+    it('gives the copy back when the student is at their limit', async () => {
+      const copy = copyOf('available');
+      BookCopy.findOne.mockReturnValue(populated(copy));
+      Student.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+
+      await expect(circulation.issueLoan({ barcode: copy.barcode, studentId: student._id, actor: user }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Student has reached maximum book limit (3 books)' });
+
+      expect(BookCopy.updateOne).toHaveBeenCalledWith({ _id: copy._id }, { status: 'available' });
+      expect(Book.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(Transaction.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses a copy another request just claimed', async () => {
+      const copy = copyOf('available');
+      BookCopy.findOne.mockReturnValue(populated(copy));
+      BookCopy.findOneAndUpdate.mockResolvedValueOnce(null);
+
+      await expect(circulation.issueLoan({ barcode: copy.barcode, studentId: student._id, actor: user }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(Student.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('refuses a copy on the hold shelf for another student', async () => {
+      const copy = copyOf('on_hold');
+      BookCopy.findOne.mockReturnValue(populated(copy));
+      Hold.findOne.mockResolvedValue({ _id: id(), student: id(), copy: copy._id, status: 'ready' });
+
+      await expect(circulation.issueLoan({ barcode: copy.barcode, studentId: student._id, actor: user }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Copy is on the hold shelf for another student' });
+      expect(BookCopy.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('issues the held copy to its student without counting it out again', async () => {
+      const copy = copyOf('on_hold');
+      const hold = { _id: id(), student: student._id, copy: copy._id, status: 'ready' };
+      Book.findById.mockResolvedValue(book);
+      Hold.findOne.mockResolvedValue(hold);
+      BookCopy.findById.mockReturnValue(populated(copy));
+      Hold.findOneAndUpdate.mockResolvedValue(hold);
+
+      const { availableCopies } = await circulation.issueLoan({ bookId: book._id, studentId: student._id, actor: user });
+
+      expect(Book.findById).toHaveBeenCalledWith(book._id);
+      expect(Book.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(availableCopies).toBeNull();
+      expect(Hold.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: hold._id },
+        expect.objectContaining({ status: 'fulfilled' })
+      );
+      expect(Hold.releaseCopy).not.toHaveBeenCalled();
+    });
+
+    it('releases the held copy when another copy fills a ready hold', async () => {
+      const copy = copyOf('available');
+      const heldCopy = id();
+      BookCopy.findOne.mockReturnValue(populated(copy));
+      Hold.findOneAndUpdate.mockResolvedValue({ _id: id(), student: student._id, copy: heldCopy, status: 'ready' });
+
+      await circulation.issueLoan({ barcode: copy.barcode, studentId: student._id, actor: user });
+
+      expect(Hold.findOneAndUpdate).toHaveBeenCalledWith(
+        { book: book._id, student: student._id, status: { $in: Hold.OPEN_STATUSES } },
+        expect.objectContaining({ status: 'fulfilled' })
+      );
+      expect(Hold.releaseCopy).toHaveBeenCalledWith(heldCopy);
+    });
+
+    it('closes a waiting hold without releasing anything', async () => {
+      const copy = copyOf('available');
+      BookCopy.findOne.mockReturnValue(populated(copy));
+      Hold.findOneAndUpdate.mockResolvedValue({ _id: id(), student: student._id, status: 'waiting' });
+
+      await circulation.issueLoan({ barcode: copy.barcode, studentId: student._id, actor: user });
+
+      expect(Hold.releaseCopy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('returnLoan', () => {
+    let loan;
+
+    beforeEach(() => {
+      loan = {
+        _id: id(),
+        book: book._id,
+        copy: id(),
+        student: student._id,
+        status: 'active',
+        fine: { amount: 0, reason: 'none' },
+        toObject() { return { status: this.status }; },
+        calculateFine: jest.fn(),
+      };
+      Transaction.findOne.mockResolvedValue(loan);
+      Transaction.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...loan, ...update }));
+    });
+
+    it('puts the copy back on the shelf and into the available count', async () => {
+      const copy = { _id: loan.copy, condition: 'Good', status: 'issued', save: jest.fn() };
+      BookCopy.findById.mockResolvedValue(copy);
+      Hold.assignNextHold.mockResolvedValue(null);
+      Book.findOneAndUpdate.mockResolvedValue({ availableCopies: 3 });
+
+      const { transaction, previous, hold, availableCopies } = await circulation.returnLoan({
+        transactionId: loan._id,
+        actor: user,
+      });
+
+      expect(transaction.status).toBe('returned');
+      expect(previous).toEqual({ status: 'active' });
+      expect(hold).toBeNull();
+      expect(copy.status).toBe('available');
+      expect(copy.save).toHaveBeenCalled();
+      expect(availableCopies).toEqual({ from: 2, to: 3 });
+      expect(FineEntry.chargeForTransaction).toHaveBeenCalledWith(transaction, user);
+    });
+
+    it('puts the copy on the hold shelf when a student is waiting', async () => {
+      const copy = { _id: loan.copy, condition: 'Good', status: 'issued', save: jest.fn() };
+      const waiting = { _id: id(), status: 'ready', copy: copy._id };
+      BookCopy.findById.mockResolvedValue(copy);
+      Hold.assignNextHold.mockResolvedValue(waiting);
+
+      const { hold, availableCopies } = await circulation.returnLoan({ transactionId: loan._id, actor: user });
+
+      expect(hold).toBe(waiting);
+      expect(Book.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(availableCopies).toBeNull();
+    });
+
+    it('recounts the book when the copy was deleted while on loan', async () => {
+      BookCopy.findById.mockResolvedValue(null);
+      Book.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ availableCopies: 1 }) });
+      BookCopy.syncBookCounts.mockResolvedValue({ availableCopies: 1 });
+
+      const { transaction, availableCopies } = await circulation.returnLoan({ transactionId: loan._id, actor: user });
+
+      expect(transaction.status).toBe('returned');
+      expect(BookCopy.syncBookCounts).toHaveBeenCalledWith(book._id);
+      expect(Book.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(availableCopies).toEqual({ from: 1, to: 1 });
+      expect(Student.updateOne).toHaveBeenCalledWith(
+        { _id: student._id, currentBooksIssued: { $gt: 0 } },
+        { $inc: { currentBooksIssued: -1 } }
+      );
+    });
+
+    it('refuses a loan another request just returned', async () => {
+      Transaction.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(circulation.returnLoan({ transactionId: loan._id, actor: user }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(BookCopy.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('markLost', () => {
+    let loan;
+
+    beforeEach(() => {
+      loan = {
+        _id: id(),
+        book: book._id,
+        copy: id(),
+        student: student._id,
+        status: 'overdue',
+        fine: { amount: 0, reason: 'none' },
+        toObject() { return { status: this.status }; },
+        calculateFine: jest.fn(function() { this.fine = { amount: 1.2, reason: 'overdue' }; }),
+      };
+      Transaction.findOne.mockResolvedValue(loan);
+      Transaction.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...loan, ...update }));
+    });
+
+    it('closes the loan, takes the copy out of stock and frees the student\'s slot', async () => {
+      const { transaction, previous } = await circulation.markLost({ transactionId: loan._id, charge: 15, actor: user });
+
+      expect(previous).toEqual({ status: 'overdue' });
+      expect(transaction).toMatchObject({ status: 'lost', 'fine.amount': 16.2, 'fine.reason': 'lost' });
+      expect(BookCopy.updateOne).toHaveBeenCalledWith({ _id: loan.copy }, { status: 'lost' });
+      expect(BookCopy.syncBookCounts).toHaveBeenCalledWith(book._id);
+      expect(Book.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(Student.updateOne).toHaveBeenCalledWith(
+        { _id: student._id, currentBooksIssued: { $gt: 0 } },
+        { $inc: { currentBooksIssued: -1 } }
+      );
+      expect(FineEntry.chargeForTransaction).toHaveBeenCalledWith(transaction, user);
+    });
+
+    it('charges nothing for a loan lost before its due date with no replacement charge', async () => {
+      loan.calculateFine.mockImplementation(() => {});
+
+      const { transaction } = await circulation.markLost({ transactionId: loan._id, actor: user });
+
+      expect(transaction).toMatchObject({ 'fine.amount': 0, 'fine.reason': 'none' });
+    });
+
+    it('refuses a loan another request just closed', async () => {
+      Transaction.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(circulation.markLost({ transactionId: loan._id, actor: user }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(BookCopy.updateOne).not.toHaveBeenCalled();
+      expect(Student.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('renewLoan', () => {
+    let loan;
+
+    // findOne(...).populate('book').populate('student') resolving to `value`
+    const found = (value) => {
+      const query = { populate: jest.fn(() => query), then: (resolve, reject) => Promise.resolve(value).then(resolve, reject) };
+      return query;
+    };
+
+    beforeEach(() => {
+      loan = {
+        _id: id(),
+        book,
+        student,
+        status: 'active',
+        renewalCount: 0,
+        dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      };
+      Transaction.findOne.mockReturnValue(found(loan));
+      Hold.countDocuments.mockResolvedValue(0);
+      CirculationPolicy.resolve.mockResolvedValue({ ...POLICY, renewalLimit: 2 });
+      Transaction.findOneAndUpdate.mockImplementation(async () => ({ ...loan, renewalCount: 1 }));
+    });
+
+    it('renews under the rules for the book and student', async () => {
+      const { transaction, previous } = await circulation.renewLoan({ transactionId: loan._id });
+
+      expect(CirculationPolicy.resolve).toHaveBeenCalledWith({ category: 'Fiction', studentClass: '10' });
+      expect(Transaction.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: loan._id, status: 'active', renewalCount: 0 },
+        expect.objectContaining({ $inc: { renewalCount: 1 } }),
+        { new: true }
+      );
+      expect(transaction.renewalCount).toBe(1);
+      expect(previous).toBe(loan);
+    });
+
+    it('only renews the given student\'s loans', async () => {
+      await circulation.renewLoan({ transactionId: loan._id, studentId: student._id });
+
+      expect(Transaction.findOne).toHaveBeenCalledWith(expect.objectContaining({ student: student._id }));
+    });
+
+    it('refuses a loan whose book record was deleted', async () => {
+      loan.book = null;
+
+      await expect(circulation.renewLoan({ transactionId: loan._id }))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Book not found; return the loan instead' });
+      expect(Transaction.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('refuses while other students are waiting for the title', async () => {
+      Hold.countDocuments.mockResolvedValue(1);
+
+      await expect(circulation.renewLoan({ transactionId: loan._id })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('refuses past the renewal limit', async () => {
+      loan.renewalCount = 2;
+
+      await expect(circulation.renewLoan({ transactionId: loan._id }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Maximum renewal limit reached (2 renewals)' });
+    });
+  });
+});
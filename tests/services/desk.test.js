@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../models/Book', () => ({ findByIsbn: jest.fn() }));
+jest.mock('../../models/BookCopy', () => ({ findOne: jest.fn() }));
+jest.mock('../../models/Student', () => ({}));
+jest.mock('../../models/Transaction', () => ({}));
+jest.mock('../../models/Hold', () => ({}));
+jest.mock('../../models/CirculationPolicy', () => ({}));
+jest.mock('../../models/FineEntry', () => ({}));
+jest.mock('../../services/circulation', () => ({ issueLoan: jest.fn() }));
+
+const BookCopy = require('../../models/BookCopy');
+const Book = require('../../models/Book');
+const circulation = require('../../services/circulation');
+const desk = require('../../services/desk');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const loan = () => ({ _id: id(), populate: jest.fn().mockResolvedValue() });
+
+describe('services/desk', () => {
+  const student = { _id: id() };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    BookCopy.findOne.mockImplementation(async ({ barcode }) => ({ _id: id(), barcode }));
+  });
+
+  describe('checkout', () => {
+    it('issues every item it can and gives the reason for the rest', async () => {
+      const transaction = loan();
+      circulation.issueLoan
+        .mockResolvedValueOnce({ transaction, availableCopies: { from: 2, to: 1 } })
+        .mockRejectedValueOnce(Object.assign(new Error('Copy is not available for issue (status: issued)'), { statusCode: 400 }));
+      const onIssue = jest.fn();
+
+      const results = await desk.checkout({ student, items: ['C-1', 'C-2'], onIssue });
+
+      expect(results).toEqual([
+        { item: 'C-1', success: true, transaction },
+        { item: 'C-2', success: false, message: 'Copy is not available for issue (status: issued)' },
+      ]);
+      expect(onIssue).toHaveBeenCalledTimes(1);
+      expect(onIssue).toHaveBeenCalledWith({ transaction, availableCopies: { from: 2, to: 1 } });
+    });
+
+    it('reports an item whose audit write failed as issued, with a warning', async () => {
+      const transaction = loan();
+      circulation.issueLoan.mockResolvedValue({ transaction, availableCopies: null });
+      const onIssue = jest.fn().mockRejectedValue(new Error('audit log is down'));
+
+      const [result] = await desk.checkout({ student, items: ['C-1'], onIssue });
+
+      expect(result).toMatchObject({ item: 'C-1', success: true, transaction, warning: 'Issued, but audit log is down' });
+    });
+
+    it('reports an item that could not be found', async () => {
+      BookCopy.findOne.mockResolvedValue(null);
+      Book.findByIsbn.mockResolvedValue(null);
+
+      const [result] = await desk.checkout({ student, items: ['nothing'] });
+
+      expect(result).toEqual({ item: 'nothing', success: false, message: 'No copy or book found for nothing' });
+      expect(circulation.issueLoan).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,71 @@
+jest.mock('../../models/LoginThrottle', () => ({ find: jest.fn(), fail: jest.fn(), clear: jest.fn() }));
+jest.mock('../../models/AuditLog', () => ({ create: jest.fn() }));
+
+const LoginThrottle = require('../../models/LoginThrottle');
+const AuditLog = require('../../models/AuditLog');
+const loginThrottle = require('../../services/loginThrottle');
+
+const req = { ip: '10.0.0.7', get: () => 'jest', id: 'req-1' };
+
+// A stored count that blocks until `until`
+const record = (kind, until, locked = true) => ({ kind, blockedUntil: () => ({ until, locked }) });
+
+describe('services/loginThrottle', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    LoginThrottle.find.mockResolvedValue([]);
+    LoginThrottle.fail.mockImplementation(async () => ({ record: {}, lockedOut: false }));
+  });
+
+  it('lets an attempt through when nothing is counted against it', async () => {
+    await expect(loginThrottle.checkLogin(req, 'Ana@School.edu')).resolves.toBeNull();
+    expect(LoginThrottle.find).toHaveBeenCalledWith({ key: { $in: ['account:ana@school.edu', 'ip:10.0.0.7'] } });
+  });
+
+  it('waits for the longest block among the target and the IP', async () => {
+    const later = new Date(Date.now() + 120 * 1000);
+    LoginThrottle.find.mockResolvedValue([
+      record('account', new Date(Date.now() + 5 * 1000), false),
+      record('ip', later),
+    ]);
+
+    const blocked = await loginThrottle.checkActivation(req, 'lc-1001');
+
+    expect(LoginThrottle.find).toHaveBeenCalledWith({ key: { $in: ['card:LC-1001', 'ip:10.0.0.7'] } });
+    expect(blocked.locked).toBe(true);
+    expect(blocked.retryAfter).toBeGreaterThan(100);
+  });
+
+  it('counts activations by code and wrong reset tokens against the IP only', async () => {
+    await loginThrottle.checkActivation(req, null);
+    await loginThrottle.passwordResetAttempted(req);
+
+    expect(LoginThrottle.find).toHaveBeenCalledWith({ key: { $in: ['ip:10.0.0.7'] } });
+    expect(LoginThrottle.fail).toHaveBeenCalledTimes(1);
+    expect(LoginThrottle.fail).toHaveBeenCalledWith('ip:10.0.0.7', 'ip', expect.any(Object));
+  });
+
+  it('counts password reset requests apart from failed logins', async () => {
+    await loginThrottle.passwordResetAttempted(req, 'Ana@School.edu');
+
+    expect(LoginThrottle.fail).toHaveBeenCalledWith('reset:ana@school.edu', 'account', expect.objectContaining({ maxFailures: 10 }));
+    expect(LoginThrottle.fail).not.toHaveBeenCalledWith('account:ana@school.edu', expect.anything(), expect.anything());
+  });
+
+  it('audits the lockout a failed activation causes', async () => {
+    const lockedUntil = new Date('2026-10-19T12:00:00Z');
+    LoginThrottle.fail.mockImplementation(async key => (key.startsWith('card:')
+      ? { record: { lockedUntil }, lockedOut: true }
+      : { record: {}, lockedOut: false }));
+
+    await loginThrottle.activationFailed(req, 'LC-1001');
+
+    expect(AuditLog.create).toHaveBeenCalledTimes(1);
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'lockout',
+      entity: 'Student',
+      note: 'Activation for library card LC-1001 locked until 2026-10-19T12:00:00.000Z',
+      ip: '10.0.0.7',
+    }));
+  });
+});
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../models/Student', () => ({ find: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../models/Transaction', () => ({ aggregate: jest.fn(), OPEN_STATUSES: ['active', 'overdue'] }));
+jest.mock('../../models/PromotionRun', () => ({ create: jest.fn(), findOneAndUpdate: jest.fn(), exists: jest.fn() }));
+
+const Student = require('../../models/Student');
+const Transaction = require('../../models/Transaction');
+const PromotionRun = require('../../models/PromotionRun');
+const promotion = require('../../services/promotion');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const student = (name, className, fields = {}) => ({
+  _id: id(), name, class: className, section: 'A', status: 'active', totalFines: 0, ...fields,
+});
+
+// A placement as stored on a run, which the service turns back into a plain update
+const stored = placement => ({ ...placement, toObject: () => ({ ...placement }) });
+
+describe('services/promotion', () => {
+  const user = { _id: id(), name: 'Admin' };
+  let students;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    Transaction.OPEN_STATUSES = ['active', 'overdue'];
+    students = [
+      student('Cara', '10'),
+      student('Ana', '10'),
+      student('Ben', '10', { totalFines: 2 }),
+      student('Dev', '12'),
+    ];
+    Student.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(students) });
+    Transaction.aggregate.mockResolvedValue([{ _id: students[1]._id, count: 1 }]);
+  });
+
+  describe('planPromotion', () => {
+    it('moves classes up, graduates the last class and flags students with loans or fines', async () => {
+      const plan = await promotion.planPromotion({ classMap: { 10: '11' }, graduate: ['12'] });
+
+      expect(plan.summary).toEqual({ promoted: 3, graduated: 1, heldBack: 0, flagged: 2, skipped: 0 });
+      const byName = Object.fromEntries(plan.changes.map(change => [change.student.name, change]));
+      expect(byName.Cara).toMatchObject({ from: { class: '10', section: 'A' }, to: { class: '11', section: 'A', status: 'active' }, flags: [] });
+      expect(byName.Ana.flags).toEqual(['loans']);
+      expect(byName.Ben.flags).toEqual(['fines']);
+      expect(byName.Dev.to).toEqual({ class: '12', section: 'A', status: 'graduated' });
+    });
+
+    it('holds back students with open loans or fines when asked', async () => {
+      const plan = await promotion.planPromotion({ classMap: { 10: '11' }, holdBack: ['loans'] });
+
+      expect(plan.heldBack.map(item => [item.student.name, item.flags])).toEqual([['Ana', ['loans']]]);
+      expect(plan.summary).toMatchObject({ promoted: 3, heldBack: 1, flagged: 1 });
+    });
+
+    it('deals students moving into a class across its sections in name order', async () => {
+      const plan = await promotion.planPromotion({ classMap: { 10: '11' }, sections: { 11: ['A', 'B'] } });
+
+      const sections = plan.changes
+        .filter(change => change.to.class === '11')
+        .map(change => [change.student.name, change.to.section])
+        .sort();
+      expect(sections).toEqual([['Ana', 'A'], ['Ben', 'B'], ['Cara', 'A']]);
+    });
+
+    it('refuses a class both promoted and graduated, or nothing to do', async () => {
+      await expect(promotion.planPromotion({ classMap: { 12: '13' }, graduate: ['12'] }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Class 12 cannot be both promoted and graduated' });
+      await expect(promotion.planPromotion({})).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('applyPromotion', () => {
+    it('records the run first and skips students changed since they were read', async () => {
+      Student.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(students.slice(0, 3)) });
+      PromotionRun.create.mockImplementation(async fields => ({
+        ...fields,
+        changes: fields.changes.map(change => ({ ...change, from: stored(change.from), to: stored(change.to) })),
+        save: jest.fn(),
+      }));
+      Student.updateOne
+        .mockResolvedValueOnce({ modifiedCount: 1 })
+        .mockResolvedValueOnce({ modifiedCount: 0 });
+
+      const run = await promotion.applyPromotion({ classMap: { 10: '11' }, holdBack: ['loans'] }, { label: '2026', actor: user });
+
+      expect(PromotionRun.create).toHaveBeenCalledWith(expect.objectContaining({ label: '2026', runBy: user._id }));
+      expect(Student.updateOne).toHaveBeenCalledWith(
+        { _id: students[0]._id, status: 'active', class: '10', section: 'A' },
+        expect.objectContaining({ class: '11', section: 'A', status: 'active' })
+      );
+      expect(run.summary.skipped).toBe(1);
+      expect(run.changes.map(change => change.student)).toEqual([students[0]._id]);
+      expect(run.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('rollbackPromotion', () => {
+    it('puts students back unless they have changed since', async () => {
+      const moved = { student: id(), from: stored({ class: '10', section: 'A', status: 'active' }), to: stored({ class: '11', section: 'B', status: 'active' }) };
+      const changed = { student: id(), from: stored({ class: '12', section: 'A', status: 'active' }), to: stored({ class: '12', section: 'A', status: 'graduated' }) };
+      const run = { changes: [moved, changed], save: jest.fn() };
+      PromotionRun.findOneAndUpdate.mockResolvedValue(run);
+      Student.updateOne.mockImplementation(async filter => ({ modifiedCount: filter._id === moved.student ? 1 : 0 }));
+
+      const result = await promotion.rollbackPromotion(id(), user);
+
+      expect(result).toMatchObject({ restored: 1, skipped: 1 });
+      expect(Student.updateOne).toHaveBeenCalledWith(
+        { _id: moved.student, class: '11', section: 'B', status: 'active' },
+        expect.objectContaining({ class: '10', section: 'A', status: 'active' })
+      );
+      expect(changed.rollbackSkipped).toBe(true);
+      expect(run).toMatchObject({ status: 'rolled_back', rolledBackBy: user._id });
+    });
+
+    it('refuses a run already rolled back, or unknown', async () => {
+      PromotionRun.findOneAndUpdate.mockResolvedValue(null);
+      PromotionRun.exists.mockResolvedValueOnce(true).mockResolvedValueOnce(null);
+
+      await expect(promotion.rollbackPromotion(id(), user)).rejects.toMatchObject({ statusCode: 400 });
+      await expect(promotion.rollbackPromotion(id(), user)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
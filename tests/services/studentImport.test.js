@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const Student = require('../../models/Student');
+const { readRows } = require('../../utils/spreadsheet');
+const { importStudents } = require('../../services/studentImport');
+
+const actor = { _id: new mongoose.Types.ObjectId(), name: 'Librarian' };
+
+const HEADER = 'Admission No,Student Name,Email,Mobile,Grade,Section,Roll No,Address,Guardian Name,Guardian Phone,DOB';
+
+const row = (id, overrides = {}) => {
+  const values = {
+    name: `Student ${id}`,
+    email: `s${id}@school.edu`,
+    dob: '14/03/2011',
+    ...overrides,
+  };
+  return [id, values.name, values.email, '9876543210', '8', 'A', '12', '1 Main St', 'Parent', '9876543211', values.dob].join(',');
+};
+
+const csv = lines => readRows({ originalname: 'roster.csv', buffer: Buffer.from([HEADER, ...lines].join('\n')) });
+
+describe('services/studentImport', () => {
+  let save;
+
+  beforeEach(() => {
+    jest.spyOn(Student, 'find').mockResolvedValue([]);
+    save = jest.spyOn(Student.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('maps common headings and reports what a dry run would create', async () => {
+    const rows = await csv([row('S1'), row('S2')]);
+
+    const result = await importStudents(rows, { actor });
+
+    expect(result.dryRun).toBe(true);
+    expect(result.columns.mapped).toMatchObject({ 'Admission No': 'studentId', DOB: 'dateOfBirth', 'Guardian Phone': 'parentPhone' });
+    expect(result.summary).toMatchObject({ rows: 2, create: 2, invalid: 0 });
+    expect(result.rows[0]).toMatchObject({ row: 2, studentId: 'S1', action: 'create', errors: [] });
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('reports bad dates, repeated IDs and emails other students use', async () => {
+    Student.find
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([{ studentId: 'OTHER', email: 'taken@school.edu' }]);
+    const rows = await csv([
+      row('S1', { dob: '31/02/2011' }),
+      row('S2', { email: 'taken@school.edu' }),
+      row('S2', { email: 's2b@school.edu' }),
+    ]);
+
+    const result = await importStudents(rows, { actor });
+
+    expect(result.summary.invalid).toBe(3);
+    expect(result.rows[0].errors).toEqual([
+      { field: 'dateOfBirth', message: 'Invalid date "31/02/2011", use YYYY-MM-DD or DD/MM/YYYY' },
+    ]);
+    expect(result.rows[1].errors).toEqual([{ field: 'email', message: 'Already used by student OTHER' }]);
+    expect(result.rows[2].errors).toEqual([
+      { field: 'studentId', message: 'Student ID appears more than once in the file' },
+    ]);
+  });
+
+  it('updates existing students by ID and leaves unchanged ones alone', async () => {
+    const rows = await csv([row('S1'), row('S2', { name: 'Renamed' })]);
+
+    // As loaded from the database
+    const existing = rows.map(({ values }) => Student.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      studentId: values['Admission No'],
+      name: `Student ${values['Admission No']}`,
+      email: values.Email,
+      phone: '9876543210',
+      class: '8',
+      section: 'A',
+      rollNumber: '12',
+      address: '1 Main St',
+      parentName: 'Parent',
+      parentPhone: '9876543211',
+      dateOfBirth: new Date(Date.UTC(2011, 2, 14)),
+      addedBy: actor._id,
+    }));
+    Student.find.mockResolvedValueOnce(existing).mockResolvedValueOnce([]);
+
+    const result = await importStudents(rows, { actor, dryRun: false });
+
+    expect(result.rows.map(entry => entry.action)).toEqual(['unchanged', 'update']);
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(existing[1].name).toBe('Renamed');
+  });
+
+  it('imports nothing while rows are invalid, unless told to skip them', async () => {
+    const rows = await csv([row('S1'), row('S2', { dob: 'soon' })]);
+
+    const blocked = await importStudents(rows, { actor, dryRun: false });
+    expect(blocked.dryRun).toBe(true);
+    expect(save).not.toHaveBeenCalled();
+
+    const skipped = await importStudents(rows, { actor, dryRun: false, skipInvalid: true });
+    expect(skipped.dryRun).toBe(false);
+    expect(skipped.summary).toMatchObject({ create: 1, invalid: 1 });
+    expect(save).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports a student a concurrent import took first as failed', async () => {
+    save.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000, keyValue: { email: 's1@school.edu' } }));
+    const rows = await csv([row('S1')]);
+
+    const result = await importStudents(rows, { actor, dryRun: false });
+
+    expect(result.rows[0]).toMatchObject({
+      action: 'failed',
+      errors: [{ field: 'email', message: 'Already used by another student' }],
+    });
+  });
+
+  it('needs a student ID column', async () => {
+    await expect(importStudents([{ row: 2, values: { Name: 'Ana' } }], { actor }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'The file needs a student ID column' });
+  });
+});
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../models/Book', () => ({ updateMany: jest.fn() }));
+jest.mock('../../models/Category', () => ({}));
+jest.mock('../../models/Subject', () => ({ updateOne: jest.fn() }));
+jest.mock('../../models/CirculationPolicy', () => ({}));
+
+const Book = require('../../models/Book');
+const Subject = require('../../models/Subject');
+const taxonomy = require('../../services/taxonomy');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('services/taxonomy', () => {
+  describe('mergeSubject', () => {
+    let calls;
+    let source;
+    let target;
+
+    // Log each write so the order they happen in can be checked
+    const logged = (name, result) => jest.fn(async () => {
+      calls.push(name);
+      return result;
+    });
+
+    beforeEach(() => {
+      jest.resetAllMocks();
+      calls = [];
+      source = { _id: id(), name: 'Sci-fi', synonyms: ['SF'], save: logged('source.save'), deleteOne: logged('source.deleteOne') };
+      target = { _id: id(), name: 'Science fiction', synonyms: [], save: logged('target.save') };
+      Subject.updateOne.mockImplementation(logged('Subject.updateOne'));
+      Book.updateMany.mockImplementation(logged('Book.updateMany', { modifiedCount: 4 }));
+    });
+
+    it('saves the target before deleting the source', async () => {
+      await expect(taxonomy.mergeSubject(source, target)).resolves.toEqual({ books: 4 });
+
+      expect(target.synonyms).toEqual(['Sci-fi', 'SF']);
+      expect(Subject.updateOne).toHaveBeenCalledWith({ _id: source._id }, { terms: [`merging:${source._id}`] });
+      expect(Book.updateMany).toHaveBeenCalledWith({ subject: 'Sci-fi' }, { subject: 'Science fiction' });
+      expect(calls).toEqual(['Subject.updateOne', 'target.save', 'Book.updateMany', 'source.deleteOne']);
+    });
+
+    it('keeps the source, with its terms back, when the target fails to save', async () => {
+      target.save.mockRejectedValue(new Error('Synonym cannot be more than 50 characters'));
+
+      await expect(taxonomy.mergeSubject(source, target)).rejects.toThrow('Synonym cannot be more than 50 characters');
+
+      expect(source.save).toHaveBeenCalled();
+      expect(source.deleteOne).not.toHaveBeenCalled();
+      expect(Book.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('refuses to merge a subject into itself', async () => {
+      await expect(taxonomy.mergeSubject(source, source)).rejects.toMatchObject({ statusCode: 400 });
+      expect(Subject.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const callNumbers = require('../../utils/callNumber');
+
+describe('utils/callNumber', () => {
+  describe('parse', () => {
+    it('reads a class number, Cutter and volume from text', () => {
+      expect(callNumbers.parse('823.914 s655 v.2')).toEqual({
+        classNumber: '823.914',
+        cutter: 'S655',
+        volume: 2,
+        sortKey: '823.914 S655 0002',
+      });
+    });
+
+    it('accepts "vol." and a space before the volume number', () => {
+      expect(callNumbers.parse('823.914 S655 vol. 12').volume).toBe(12);
+    });
+
+    it('reads the same parts given separately', () => {
+      expect(callNumbers.parse({ classNumber: ' 823.914 ', cutter: 's655', volume: 'v.2' }))
+        .toEqual(callNumbers.parse('823.914 S655 v.2'));
+    });
+
+    it('leaves out the parts that are not given', () => {
+      expect(callNumbers.parse('510')).toEqual({
+        classNumber: '510',
+        cutter: undefined,
+        volume: undefined,
+        sortKey: '510',
+      });
+    });
+
+    it('rejects invalid call numbers', () => {
+      expect(callNumbers.parse('82.9')).toBeNull();
+      expect(callNumbers.parse('823.914 S655 EXTRA')).toBeNull();
+      expect(callNumbers.parse('823 v.0')).toBeNull();
+      expect(callNumbers.parse({ cutter: 'S655' })).toBeNull();
+      expect(callNumbers.parse('')).toBeNull();
+    });
+  });
+
+  describe('sortKey', () => {
+    const shelfOrder = values => values
+      .map(value => callNumbers.parse(value).sortKey)
+      .sort();
+
+    it('puts call numbers in shelf order when sorted as strings', () => {
+      const ordered = ['823', '823.1', '823.914', '823.92', '823.92 S66'];
+      expect(shelfOrder([...ordered].reverse())).toEqual(ordered.map(value => callNumbers.parse(value).sortKey));
+    });
+
+    it('compares Cutter numbers as decimals and volumes as numbers', () => {
+      const ordered = ['823 ADA', '823 ADAM', '823 S655', '823 S66', '823 S66 v.2', '823 S66 v.10'];
+      expect(shelfOrder([...ordered].reverse())).toEqual(ordered.map(value => callNumbers.parse(value).sortKey));
+    });
+  });
+
+  it('formats a call number as written on the spine label', () => {
+    expect(callNumbers.format({ classNumber: '823.914', cutter: 'S655', volume: 2 })).toBe('823.914 S655 v.2');
+    expect(callNumbers.format({ classNumber: '510' })).toBe('510');
+    expect(callNumbers.format(null)).toBe('');
+  });
+
+  it('suggests a section from the Dewey main class', () => {
+    expect(callNumbers.suggestSection('823.914')).toBe('Literature');
+    expect(callNumbers.suggestSection('004')).toBe('General Works');
+    expect(callNumbers.suggestSection('')).toBeNull();
+  });
+
+  describe('rangeFilter', () => {
+    it('makes both ends of a range inclusive', () => {
+      const range = callNumbers.rangeFilter('800', '823.9');
+      const inRange = key => key >= range.$gte && key <= range.$lte;
+
+      expect(inRange(callNumbers.parse('800').sortKey)).toBe(true);
+      expect(inRange(callNumbers.parse('823.914').sortKey)).toBe(true);
+      expect(inRange(callNumbers.parse('823.92 SMI').sortKey)).toBe(true);
+      expect(inRange(callNumbers.parse('824').sortKey)).toBe(false);
+    });
+
+    it('leaves out a missing end', () => {
+      expect(callNumbers.rangeFilter('500')).toEqual({ $gte: '500' });
+      expect(callNumbers.rangeFilter(undefined, undefined)).toEqual({});
+    });
+  });
+
+  it('checks range bounds', () => {
+    expect(callNumbers.isValidBound('82')).toBe(true);
+    expect(callNumbers.isValidBound('823.9 s6')).toBe(true);
+    expect(callNumbers.isValidBound('fiction')).toBe(false);
+  });
+
+  describe('outOfOrder', () => {
+    it('finds the items outside the longest run already in order', () => {
+      expect(callNumbers.outOfOrder(['100', '200', '900', '300', '400'])).toEqual([2]);
+      expect(callNumbers.outOfOrder(['500', '100', '200', '300'])).toEqual([0]);
+    });
+
+    it('ignores items with no call number', () => {
+      expect(callNumbers.outOfOrder(['100', null, '200', undefined, '300'])).toEqual([]);
+    });
+
+    it('finds nothing on a shelf in order', () => {
+      expect(callNumbers.outOfOrder(['100', '100', '200'])).toEqual([]);
+      expect(callNumbers.outOfOrder([])).toEqual([]);
+    });
+  });
+});
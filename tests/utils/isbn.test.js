@@ -0,0 +1,62 @@
+const isbns = require('../../utils/isbn');
+
+describe('utils/isbn', () => {
+  describe('toIsbn13', () => {
+    it('keeps a valid ISBN-13', () => {
+      expect(isbns.toIsbn13('9780306406157')).toBe('9780306406157');
+    });
+
+    it('converts an ISBN-10 and recomputes the check digit', () => {
+      expect(isbns.toIsbn13('0306406152')).toBe('9780306406157');
+    });
+
+    it('ignores hyphens, spaces and the case of the check digit X', () => {
+      expect(isbns.toIsbn13('978-0-306-40615-7')).toBe('9780306406157');
+      expect(isbns.toIsbn13('0 8044 2957 x')).toBe('9780804429573');
+    });
+
+    it('rejects a wrong check digit, a bad prefix or the wrong length', () => {
+      expect(isbns.toIsbn13('9780306406158')).toBeNull();
+      expect(isbns.toIsbn13('0306406153')).toBeNull();
+      expect(isbns.toIsbn13('9770306406157')).toBeNull();
+      expect(isbns.toIsbn13('030640615')).toBeNull();
+      expect(isbns.toIsbn13('')).toBeNull();
+      expect(isbns.toIsbn13(undefined)).toBeNull();
+    });
+  });
+
+  describe('toIsbn10', () => {
+    it('converts a 978 ISBN-13 back to its ISBN-10', () => {
+      expect(isbns.toIsbn10('9780306406157')).toBe('0306406152');
+      expect(isbns.toIsbn10('9780804429573')).toBe('080442957X');
+    });
+
+    it('has no ISBN-10 for a 979 ISBN-13', () => {
+      expect(isbns.toIsbn10('9791034304871')).toBeNull();
+    });
+  });
+
+  describe('isValid10 and isValid13', () => {
+    it('only accept the cleaned form with a correct check digit', () => {
+      expect(isbns.isValid10('080442957X')).toBe(true);
+      expect(isbns.isValid10('0-8044-2957-X')).toBe(false);
+      expect(isbns.isValid13('9780306406157')).toBe(true);
+      expect(isbns.isValid13('0306406152')).toBe(false);
+    });
+  });
+
+  describe('lookupValues', () => {
+    it('gives the ISBN-13 and ISBN-10 for either form', () => {
+      expect(isbns.lookupValues('0-306-40615-2')).toEqual(['9780306406157', '0306406152']);
+      expect(isbns.lookupValues('9780306406157')).toEqual(['9780306406157', '0306406152']);
+    });
+
+    it('only gives the ISBN-13 for a 979 ISBN', () => {
+      expect(isbns.lookupValues('9791034304871')).toEqual(['9791034304871']);
+    });
+
+    it('falls back to the cleaned value for an invalid ISBN', () => {
+      expect(isbns.lookupValues('123-45')).toEqual(['12345']);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const totp = require('../../utils/totp');
+
+// RFC 6238 appendix B test vectors for HMAC-SHA1. The secret is the ASCII "12345678901234567890"
+// in base32; codes here are 6 digits, the last six of the RFC's 8-digit values.
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130'],
+];
+
+describe('utils/totp', () => {
+  it.each(VECTORS)('gives the RFC 6238 code at %i seconds', (seconds, code) => {
+    expect(totp.codeAt(SECRET, totp.stepAt(seconds * 1000))).toBe(code);
+  });
+
+  it('reads secrets in lower case, with spaces and padding', () => {
+    const secret = 'gezd gnbv gy3t qojq gezd gnbv gy3t qojq====';
+    expect(totp.codeAt(secret, totp.stepAt(59 * 1000))).toBe('287082');
+  });
+
+  describe('verify', () => {
+    const time = 1111111111 * 1000;
+
+    it('returns the step a current code belongs to', () => {
+      expect(totp.verify(SECRET, '050471', { time })).toBe(totp.stepAt(time));
+    });
+
+    it('allows one step of clock drift either way by default', () => {
+      const step = totp.stepAt(time);
+      expect(totp.verify(SECRET, totp.codeAt(SECRET, step - 1), { time })).toBe(step - 1);
+      expect(totp.verify(SECRET, totp.codeAt(SECRET, step + 1), { time })).toBe(step + 1);
+      expect(totp.verify(SECRET, totp.codeAt(SECRET, step + 2), { time })).toBeNull();
+    });
+
+    it('accepts a code typed with a space', () => {
+      expect(totp.verify(SECRET, '050 471', { time })).toBe(totp.stepAt(time));
+    });
+
+    it('rejects wrong, short and non-numeric codes', () => {
+      expect(totp.verify(SECRET, '050472', { time })).toBeNull();
+      expect(totp.verify(SECRET, '05047', { time })).toBeNull();
+      expect(totp.verify(SECRET, 'abcdef', { time })).toBeNull();
+      expect(totp.verify(SECRET, undefined, { time })).toBeNull();
+    });
+  });
+
+  it('generates base32 secrets of 160 bits', () => {
+    expect(totp.generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+  });
+
+  it('builds the otpauth URI authenticator apps scan', () => {
+    const uri = totp.otpauthUri({ secret: SECRET, account: 'ana@school.edu', issuer: 'Library' });
+    expect(uri).toBe(`otpauth://totp/Library%3Aana%40school.edu?secret=${SECRET}&issuer=Library&algorithm=SHA1&digits=6&period=30`);
+  });
+});
@@ -0,0 +1,12 @@
+// Fields recording who made a change. A staff user goes in `field`, a User ref; a request made
+// with an API key leaves it unset and records the key in `keyField` instead, as the audit log
+// does. Both are always returned, so assigning them over an earlier change clears the other.
+const madeBy = (actor, field, keyField = 'apiKey') => {
+  const viaApiKey = Boolean(actor && actor.apiKey);
+  return {
+    [field]: actor && !viaApiKey ? actor._id : undefined,
+    [keyField]: viaApiKey ? actor._id : undefined,
+  };
+};
+
+module.exports = { madeBy };
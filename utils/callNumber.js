@@ -0,0 +1,144 @@
+// Dewey Decimal call numbers: a class number, an optional Cutter number for the author or
+// title and an optional volume, e.g. "823.914 S655 v.2"
+
+const CLASS_PATTERN = /^\d{3}(?:\.\d+)?$/;
+const CUTTER_PATTERN = /^[A-Z]{1,3}\d{0,4}[A-Z]{0,2}$/;
+const VOLUME_PATTERN = /^(?:V|VOL)\.?(\d{1,4})$/;
+
+// Range bounds for shelf lists: a class number or the start of one, optionally with a Cutter
+const BOUND_PATTERN = /^\d{1,3}(?:\.\d*)?(?: [A-Z0-9]+)?$/;
+
+// Sections suggested for each Dewey main class
+const MAIN_CLASSES = {
+  0: 'General Works',
+  1: 'Philosophy & Psychology',
+  2: 'Religion',
+  3: 'Social Sciences',
+  4: 'Language',
+  5: 'Science',
+  6: 'Technology',
+  7: 'Arts & Recreation',
+  8: 'Literature',
+  9: 'History & Geography',
+};
+
+const normalize = value => String(value).trim().toUpperCase().replace(/\s+/g, ' ');
+
+// Key that sorts call numbers in shelf order as plain strings. Class numbers and Cutter
+// numbers are decimals, so comparing them character by character puts 823.914 before
+// 823.92 and S655 before S66; the space makes shorter numbers come first (823 before
+// 823.1, ADA before ADAM). Volumes are padded so v.2 comes before v.10.
+const sortKey = ({ classNumber, cutter, volume }) => [
+  classNumber,
+  cutter || '',
+  volume ? String(volume).padStart(4, '0') : '',
+].join(' ').trimEnd();
+
+// Read a call number from text ("823.914 S655 v.2") or its parts. Returns the parts with
+// their sort key, or null if it isn't a valid call number.
+const parse = (input) => {
+  let parts;
+  if (typeof input === 'object' && input !== null) {
+    parts = {
+      classNumber: input.classNumber !== undefined && input.classNumber !== null ? normalize(input.classNumber) : '',
+      cutter: input.cutter ? normalize(input.cutter) : '',
+      volume: input.volume ? normalize(input.volume).replace(/^(?:V|VOL)\.? ?/, '') : '',
+    };
+  } else {
+    const tokens = normalize(input || '').replace(/\b(V|VOL)\. (?=\d)/g, '$1.').split(' ');
+    parts = { classNumber: tokens.shift(), cutter: '', volume: '' };
+    for (const token of tokens) {
+      const volume = VOLUME_PATTERN.exec(token);
+      if (volume && !parts.volume) {
+        parts.volume = volume[1];
+      } else if (!parts.cutter && !parts.volume) {
+        parts.cutter = token;
+      } else {
+        return null;
+      }
+    }
+  }
+
+  if (!CLASS_PATTERN.test(parts.classNumber)
+    || (parts.cutter && !CUTTER_PATTERN.test(parts.cutter))
+    || (parts.volume && !/^\d{1,4}$/.test(parts.volume))) {
+    return null;
+  }
+
+  const callNumber = {
+    classNumber: parts.classNumber,
+    cutter: parts.cutter || undefined,
+    volume: parts.volume ? Number(parts.volume) : undefined,
+  };
+  if (callNumber.volume === 0) {
+    return null;
+  }
+  callNumber.sortKey = sortKey(callNumber);
+  return callNumber;
+};
+
+// A call number as written on the spine label
+const format = callNumber => (callNumber && callNumber.classNumber
+  ? [
+    callNumber.classNumber,
+    callNumber.cutter,
+    callNumber.volume && `v.${callNumber.volume}`,
+  ].filter(Boolean).join(' ')
+  : '');
+
+// The section a class number is usually shelved in, from its Dewey main class
+const suggestSection = (classNumber) => {
+  const main = classNumber ? MAIN_CLASSES[String(classNumber).trim()[0]] : undefined;
+  return main || null;
+};
+
+// Sort key conditions for a shelf-list range. Both ends are inclusive: to=823.9 takes in
+// 823.9, 823.914 and 823.92 SMI.
+const rangeFilter = (from, to) => {
+  const range = {};
+  if (from) range.$gte = normalize(from);
+  if (to) range.$lte = `${normalize(to)}\uffff`;
+  return range;
+};
+
+const isValidBound = value => BOUND_PATTERN.test(normalize(value));
+
+// Positions of the items that are out of shelf order in a sequence of sort keys, read along
+// the shelf: everything outside the longest run already in order. Null keys are ignored.
+const outOfOrder = (keys) => {
+  const positions = keys.map((key, index) => index).filter(index => keys[index]);
+
+  // Patience sorting: tails[n] ends the best in-order run of length n + 1
+  const tails = [];
+  const previous = new Map();
+  for (const index of positions) {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (keys[tails[middle]] <= keys[index]) low = middle + 1;
+      else high = middle;
+    }
+    previous.set(index, low > 0 ? tails[low - 1] : null);
+    tails[low] = index;
+  }
+
+  const inOrder = new Set();
+  for (let index = tails[tails.length - 1]; index !== undefined && index !== null; index = previous.get(index)) {
+    inOrder.add(index);
+  }
+  return positions.filter(index => !inOrder.has(index));
+};
+
+module.exports = {
+  CLASS_PATTERN,
+  CUTTER_PATTERN,
+  MAIN_CLASSES,
+  sortKey,
+  parse,
+  format,
+  suggestSection,
+  rangeFilter,
+  isValidBound,
+  outOfOrder,
+};
@@ -0,0 +1,9 @@
+// Error carrying the HTTP status the error handler should respond with
+class ErrorResponse extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = ErrorResponse;
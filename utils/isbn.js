@@ -0,0 +1,74 @@
+// ISBN-10 and ISBN-13 check digits and conversion. Books store the ISBN-13; an ISBN-10
+// names the same edition as the ISBN-13 made by prefixing 978 and recomputing the check digit.
+
+// Drop the hyphens and spaces ISBNs are printed with; check digit X is upper case
+const clean = value => String(value || '').replace(/[\s-]/g, '').toUpperCase();
+
+const checkDigit10 = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < 9; i += 1) {
+    sum += Number(digits[i]) * (10 - i);
+  }
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+};
+
+const checkDigit13 = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < 12; i += 1) {
+    sum += Number(digits[i]) * (i % 2 ? 3 : 1);
+  }
+  return String((10 - (sum % 10)) % 10);
+};
+
+const isValid10 = value => /^\d{9}[\dX]$/.test(value) && checkDigit10(value) === value[9];
+
+const isValid13 = value => /^97[89]\d{10}$/.test(value) && checkDigit13(value) === value[12];
+
+// The ISBN-13 for an ISBN in either form, or null if it isn't a valid ISBN
+const toIsbn13 = (value) => {
+  const isbn = clean(value);
+  if (isValid13(isbn)) {
+    return isbn;
+  }
+  if (isValid10(isbn)) {
+    const digits = `978${isbn.slice(0, 9)}`;
+    return digits + checkDigit13(digits);
+  }
+  return null;
+};
+
+// The ISBN-10 for an ISBN in either form, or null. ISBNs starting 979 have no ISBN-10.
+const toIsbn10 = (value) => {
+  const isbn = clean(value);
+  if (isValid10(isbn)) {
+    return isbn;
+  }
+  if (isValid13(isbn) && isbn.startsWith('978')) {
+    const digits = isbn.slice(3, 12);
+    return digits + checkDigit10(digits);
+  }
+  return null;
+};
+
+const isValid = value => toIsbn13(value) !== null;
+
+// Values a stored ISBN may have for an ISBN in either form: the ISBN-13, and the ISBN-10
+// for books stored before ISBNs were normalized
+const lookupValues = (value) => {
+  const isbn13 = toIsbn13(value);
+  if (!isbn13) {
+    return [clean(value)];
+  }
+  return [isbn13, toIsbn10(isbn13)].filter(Boolean);
+};
+
+module.exports = {
+  clean,
+  isValid10,
+  isValid13,
+  isValid,
+  toIsbn13,
+  toIsbn10,
+  lookupValues,
+};
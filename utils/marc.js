@@ -0,0 +1,188 @@
+const { XMLParser } = require('fast-xml-parser');
+const ErrorResponse = require('./errorResponse');
+
+// MARC21 records as plain objects:
+// { leader, fields: [{ tag, value } | { tag, ind1, ind2, subfields: [{ code, value }] }] }
+
+const FIELD_TERMINATOR = '\x1e';
+const RECORD_TERMINATOR = '\x1d';
+const SUBFIELD_DELIMITER = '\x1f';
+
+const isControlTag = tag => tag < '010';
+
+// First value of a subfield in the first field with `tag`
+const subfield = (record, tag, code) => {
+  for (const field of record.fields) {
+    if (field.tag !== tag || !field.subfields) continue;
+    const found = field.subfields.find(item => item.code === code);
+    if (found) return found.value;
+  }
+  return undefined;
+};
+
+const controlField = (record, tag) => {
+  const field = record.fields.find(item => item.tag === tag && item.value !== undefined);
+  return field ? field.value : undefined;
+};
+
+// ISO 2709 (binary MARC21)
+
+const encodeRecord = (record) => {
+  let directory = '';
+  let data = '';
+  let offset = 0;
+
+  for (const field of record.fields) {
+    const content = (isControlTag(field.tag)
+      ? field.value
+      : `${field.ind1 || ' '}${field.ind2 || ' '}${field.subfields
+        .map(item => `${SUBFIELD_DELIMITER}${item.code}${item.value}`).join('')}`) + FIELD_TERMINATOR;
+
+    const length = Buffer.byteLength(content);
+    directory += `${field.tag}${String(length).padStart(4, '0')}${String(offset).padStart(5, '0')}`;
+    data += content;
+    offset += length;
+  }
+  directory += FIELD_TERMINATOR;
+
+  const baseAddress = 24 + Buffer.byteLength(directory);
+  const recordLength = baseAddress + Buffer.byteLength(data) + 1;
+
+  // Record status n(ew), type a (text), level m (monograph), character coding a (UTF-8)
+  const leader = `${String(recordLength).padStart(5, '0')}nam a22${String(baseAddress).padStart(5, '0')} i 4500`;
+  return Buffer.from(`${leader}${directory}${data}${RECORD_TERMINATOR}`);
+};
+
+const encodeBinary = records => Buffer.concat(records.map(encodeRecord));
+
+const decodeRecord = (buffer) => {
+  const leader = buffer.toString('latin1', 0, 24);
+  const baseAddress = parseInt(leader.slice(12, 17), 10);
+  if (Number.isNaN(baseAddress)) {
+    throw new Error('invalid leader');
+  }
+
+  // Leader/09 'a' is UTF-8; anything else is MARC-8, read as Latin-1
+  const encoding = leader[9] === 'a' ? 'utf8' : 'latin1';
+  const fields = [];
+
+  for (let entry = 24; entry + 12 <= baseAddress - 1; entry += 12) {
+    const tag = buffer.toString('latin1', entry, entry + 3);
+    const length = parseInt(buffer.toString('latin1', entry + 3, entry + 7), 10);
+    const start = baseAddress + parseInt(buffer.toString('latin1', entry + 7, entry + 12), 10);
+    const content = buffer.toString(encoding, start, start + length).replace(/\x1e$/, '');
+
+    if (isControlTag(tag)) {
+      fields.push({ tag, value: content });
+    } else {
+      const [indicators, ...parts] = content.split(SUBFIELD_DELIMITER);
+      fields.push({
+        tag,
+        ind1: indicators[0] || ' ',
+        ind2: indicators[1] || ' ',
+        subfields: parts.filter(Boolean).map(part => ({ code: part[0], value: part.slice(1) })),
+      });
+    }
+  }
+  return { leader, fields };
+};
+
+// Split a binary MARC file into records, reporting records that can't be read
+const decodeBinary = (buffer) => {
+  const records = [];
+  let start = 0;
+
+  while (start < buffer.length) {
+    let end = buffer.indexOf(0x1d, start);
+    if (end === -1) end = buffer.length;
+
+    const chunk = buffer.subarray(start, end + 1);
+    if (chunk.toString('latin1').trim().length > 1) {
+      try {
+        records.push(decodeRecord(chunk));
+      } catch (error) {
+        records.push({ error: `Could not read record: ${error.message}` });
+      }
+    }
+    start = end + 1;
+  }
+  return records;
+};
+
+// MARCXML
+
+const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const encodeXml = (records) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<collection xmlns="http://www.loc.gov/MARC21/slim">',
+  ];
+
+  for (const record of records) {
+    lines.push('  <record>');
+    lines.push(`    <leader>${escapeXml(record.leader || '00000nam a2200000 i 4500')}</leader>`);
+    for (const field of record.fields) {
+      if (isControlTag(field.tag)) {
+        lines.push(`    <controlfield tag="${field.tag}">${escapeXml(field.value)}</controlfield>`);
+      } else {
+        lines.push(`    <datafield tag="${field.tag}" ind1="${field.ind1 || ' '}" ind2="${field.ind2 || ' '}">`);
+        for (const item of field.subfields) {
+          lines.push(`      <subfield code="${item.code}">${escapeXml(item.value)}</subfield>`);
+        }
+        lines.push('    </datafield>');
+      }
+    }
+    lines.push('  </record>');
+  }
+
+  lines.push('</collection>');
+  return `${lines.join('\n')}\n`;
+};
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  trimValues: false,
+  isArray: name => ['record', 'controlfield', 'datafield', 'subfield'].includes(name),
+});
+
+const text = node => (typeof node === 'object' ? node['#text'] || '' : String(node || ''));
+
+const decodeXml = (buffer) => {
+  let document;
+  try {
+    document = xmlParser.parse(buffer.toString('utf8'));
+  } catch (error) {
+    throw new ErrorResponse(`Could not read MARCXML file: ${error.message}`, 400);
+  }
+
+  const records = (document.collection && document.collection.record) || document.record || [];
+  return records.map(record => ({
+    leader: text(record.leader),
+    fields: [
+      ...(record.controlfield || []).map(field => ({ tag: field['@tag'], value: text(field) })),
+      ...(record.datafield || []).map(field => ({
+        tag: field['@tag'],
+        ind1: field['@ind1'] || ' ',
+        ind2: field['@ind2'] || ' ',
+        subfields: (field.subfield || []).map(item => ({ code: item['@code'], value: text(item) })),
+      })),
+    ].sort((a, b) => a.tag.localeCompare(b.tag)),
+  }));
+};
+
+module.exports = {
+  subfield,
+  controlField,
+  encodeBinary,
+  decodeBinary,
+  encodeXml,
+  decodeXml,
+};
@@ -0,0 +1,76 @@
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const ErrorResponse = require('./errorResponse');
+
+// Plain value of an Excel cell: text for rich text and hyperlinks, the result for formulas
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return value.text;
+    if (value.result !== undefined) return cellValue(value.result);
+    return '';
+  }
+  return value;
+};
+
+const readCsv = (buffer) => {
+  try {
+    const records = parse(buffer, {
+      columns: header => header.map(column => column.trim()),
+      bom: true,
+      info: true,
+      relax_column_count: true,
+      skip_empty_lines: true,
+      trim: true,
+    });
+    return records.map(({ record, info }) => ({ row: info.lines, values: record }));
+  } catch (error) {
+    throw new ErrorResponse(`Could not read CSV file: ${error.message}`, 400);
+  }
+};
+
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new ErrorResponse('Could not read Excel file', 400);
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    return [];
+  }
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = String(cellValue(cell.value)).trim();
+  });
+
+  const rows = [];
+  sheet.eachRow((row, number) => {
+    if (number === 1) return;
+
+    const values = {};
+    headers.forEach((header, column) => {
+      if (!header) return;
+      const value = cellValue(row.getCell(column).value);
+      values[header] = typeof value === 'string' ? value.trim() : value;
+    });
+    rows.push({ row: number, values });
+  });
+  return rows;
+};
+
+// Read an uploaded .csv or .xlsx file into `{ row, values }` per data row, where `row` is the
+// line number in the file and `values` is keyed by the header row. Values are strings,
+// except numbers and dates typed into Excel cells.
+const readRows = async (file) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  return extension === '.xlsx' ? readXlsx(file.buffer) : readCsv(file.buffer);
+};
+
+module.exports = { readRows };
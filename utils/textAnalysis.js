@@ -0,0 +1,102 @@
+const snowball = require('snowball-stemmers');
+
+// Stemming algorithm for a book's language, by English or native name. Languages without
+// a stemmer (most Indian and East Asian languages) are indexed word for word.
+const LANGUAGE_ALGORITHMS = {
+  english: 'english',
+  spanish: 'spanish',
+  espanol: 'spanish',
+  french: 'french',
+  francais: 'french',
+  german: 'german',
+  deutsch: 'german',
+  italian: 'italian',
+  italiano: 'italian',
+  portuguese: 'portuguese',
+  portugues: 'portuguese',
+  russian: 'russian',
+  'русский': 'russian',
+  dutch: 'dutch',
+  swedish: 'swedish',
+  danish: 'danish',
+  norwegian: 'norwegian',
+  finnish: 'finnish',
+  turkish: 'turkish',
+  romanian: 'romanian',
+  hungarian: 'hungarian',
+  catalan: 'catalan',
+  czech: 'czech',
+  irish: 'irish',
+  arabic: 'arabic',
+  tamil: 'tamil',
+};
+
+const stemmers = new Map();
+
+// Lowercase and drop accents, so "Café" and "cafe" are the same word. Only Latin, Greek and
+// Cyrillic combining accents are removed; vowel signs in Indic scripts are part of the word.
+const fold = word => word.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').normalize('NFC');
+
+// The stemming algorithm for a language name, or '' for none
+const algorithmFor = (language) => {
+  const name = String(language || 'English').trim().toLowerCase();
+  return LANGUAGE_ALGORITHMS[name] || LANGUAGE_ALGORITHMS[fold(name)] || '';
+};
+
+// Reduce a word to its stem in a language: "libraries" -> "librari"
+const stem = (word, algorithm) => {
+  if (!algorithm) {
+    return fold(word);
+  }
+  if (!stemmers.has(algorithm)) {
+    stemmers.set(algorithm, snowball.newStemmer(algorithm));
+  }
+  // Stem the folded word so queries typed without accents still match
+  return stemmers.get(algorithm).stem(fold(word));
+};
+
+// Words in a text with where they start and end, for highlighting
+const tokenize = (text) => {
+  const tokens = [];
+  for (const match of String(text || '').matchAll(/[\p{L}\p{N}\p{M}]+/gu)) {
+    tokens.push({ word: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+};
+
+// Edit distance counting a swap of neighbouring letters as one edit. Gives up and returns
+// max + 1 once the words are further apart than `max`.
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previous = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+      if (previous && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        next[j] = Math.min(next[j], previous[j - 2] + 1);
+      }
+      best = Math.min(best, next[j]);
+    }
+    if (best > max) {
+      return max + 1;
+    }
+    previous = row;
+    row = next;
+  }
+  return row[b.length];
+};
+
+module.exports = {
+  fold,
+  algorithmFor,
+  stem,
+  tokenize,
+  editDistance,
+};